@@ -5,5 +5,7 @@ module.exports = {
   mongoURI: process.env.MONGO_URI || 'mongodb://localhost:27017/xr-interface',
   jwtSecret: process.env.JWT_SECRET || 'your-secret-key-for-development',
   jwtExpiration: process.env.JWT_EXPIRATION || '1h',
+  refreshTokenExpirationDays: parseInt(process.env.REFRESH_TOKEN_EXPIRATION_DAYS, 10) || 30,
+  heartbeatInterval: parseInt(process.env.HEARTBEAT_INTERVAL, 10) || 30000,
   nodeEnv: process.env.NODE_ENV || 'development'
 };
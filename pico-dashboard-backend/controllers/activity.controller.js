@@ -0,0 +1,237 @@
+const mongoose = require('mongoose');
+const Application = require('../models/Application');
+const UserActivity = require('../models/UserActivity');
+const config = require('../config/config');
+const { parsePagination } = require('../utils/pagination');
+
+// Largest history page (other lists stop at the utils/pagination default)
+const MAX_PAGE_SIZE = 100;
+
+// Events accepted in one batch
+const MAX_BATCH_SIZE = 50;
+
+// Largest sessionData accepted per event, as JSON
+const MAX_SESSION_DATA_LENGTH = 2048;
+
+// Tolerance for clocks running ahead of the server
+const MAX_CLOCK_SKEW = 5 * 60 * 1000;
+
+// Helper function to parse a date parameter
+// Returns null when absent and undefined when invalid
+const parseDate = (value) => {
+  if (value === undefined || value === null || value === '') return null;
+
+  const date = new Date(value);
+  return Number.isNaN(date.getTime()) ? undefined : date;
+};
+
+// Helper function to build the startTime filter from ?from and ?to
+// Returns null when either date is invalid
+const parseDateRange = (query) => {
+  const from = parseDate(query.from);
+  const to = parseDate(query.to);
+
+  if (from === undefined || to === undefined) return null;
+
+  const range = {};
+  if (from) range.$gte = from;
+  if (to) range.$lte = to;
+  return range;
+};
+
+// Helper function to validate a tracking event
+// Returns the normalized event, or null if it can't be recorded
+const normalizeEvent = (event) => {
+  if (!event || typeof event !== 'object') return null;
+
+  const { sessionId, appId, sessionData } = event;
+  const startTime = parseDate(event.startTime);
+  const endTime = parseDate(event.endTime);
+  const latest = Date.now() + MAX_CLOCK_SKEW;
+
+  if (typeof sessionId !== 'string' || !sessionId || sessionId.length > 64) return null;
+  if (typeof appId !== 'string' || !appId) return null;
+  if (!startTime || startTime > latest) return null;
+  if (endTime === undefined || (endTime && (endTime < startTime || endTime > latest))) return null;
+
+  if (sessionData !== undefined) {
+    if (typeof sessionData !== 'object' || sessionData === null || Array.isArray(sessionData)) return null;
+    if (JSON.stringify(sessionData).length > MAX_SESSION_DATA_LENGTH) return null;
+  }
+
+  return { sessionId, appId: appId.toLowerCase(), startTime, endTime, sessionData };
+};
+
+// Helper function to look up catalog apps by their public ids
+const findAppsById = async (appIds) => {
+  const apps = await Application.find({ appId: { $in: appIds } }).select('appId name icon');
+  return new Map(apps.map(app => [app.appId, app]));
+};
+
+// Helper function to format a session for API responses
+const toSessionResponse = (activity, app) => ({
+  id: activity._id,
+  sessionId: activity.sessionId,
+  appId: activity.appId,
+  app: app ? { name: app.name, icon: app.icon } : null,
+  startTime: activity.startTime,
+  endTime: activity.endTime || null,
+  duration: activity.duration,
+  sessionData: activity.sessionData
+});
+
+// Record a batch of app session events
+// Each event starts a session ({ sessionId, appId, startTime }) or, with
+// endTime, completes it; events for a known session update it
+exports.recordActivity = async (req, res) => {
+  try {
+    const { events } = req.body || {};
+
+    if (!Array.isArray(events) || events.length === 0) {
+      return res.status(400).json({ message: 'Events must be a non-empty array' });
+    }
+
+    if (events.length > MAX_BATCH_SIZE) {
+      return res.status(400).json({ message: `At most ${MAX_BATCH_SIZE} events can be sent at once` });
+    }
+
+    const normalized = events.map(normalizeEvent).filter(Boolean);
+    const apps = await findAppsById([...new Set(normalized.map(event => event.appId))]);
+
+    // Sessions are only recorded for catalog apps
+    const valid = normalized.filter(event => apps.has(event.appId));
+
+    if (valid.length > 0) {
+      await UserActivity.bulkWrite(valid.map(event => {
+        const update = {
+          $setOnInsert: { appId: event.appId, startTime: event.startTime }
+        };
+
+        if (event.endTime) {
+          update.$set = {
+            endTime: event.endTime,
+            duration: Math.round((event.endTime - event.startTime) / 1000)
+          };
+        }
+
+        if (event.sessionData) {
+          update.$set = { ...update.$set, sessionData: event.sessionData };
+        }
+
+        return {
+          updateOne: {
+            filter: { userId: req.userId, sessionId: event.sessionId },
+            update,
+            upsert: true
+          }
+        };
+      }), { ordered: false });
+    }
+
+    res.json({
+      recorded: valid.length,
+      rejected: events.length - valid.length
+    });
+  } catch (error) {
+    res.status(500).json({
+      message: 'Error recording activity',
+      error: config.nodeEnv === 'development' ? error.message : undefined
+    });
+  }
+};
+
+// Get the current user's app sessions, newest first
+// (?from, ?to, ?appId, ?page, ?limit)
+exports.getHistory = async (req, res) => {
+  try {
+    const range = parseDateRange(req.query);
+
+    if (!range) {
+      return res.status(400).json({ message: 'From and to must be valid dates' });
+    }
+
+    const { page, limit, skip } = parsePagination(req.query, { maxLimit: MAX_PAGE_SIZE });
+    const filter = { userId: req.userId };
+
+    if (Object.keys(range).length > 0) {
+      filter.startTime = range;
+    }
+
+    if (req.query.appId) {
+      filter.appId = String(req.query.appId).toLowerCase();
+    }
+
+    const [sessions, total] = await Promise.all([
+      UserActivity.find(filter).sort({ startTime: -1 }).skip(skip).limit(limit),
+      UserActivity.countDocuments(filter)
+    ]);
+    const apps = await findAppsById([...new Set(sessions.map(session => session.appId))]);
+
+    res.json({
+      sessions: sessions.map(session => toSessionResponse(session, apps.get(session.appId))),
+      pagination: {
+        page,
+        limit,
+        total,
+        pages: Math.ceil(total / limit)
+      }
+    });
+  } catch (error) {
+    res.status(500).json({
+      message: 'Error retrieving history',
+      error: config.nodeEnv === 'development' ? error.message : undefined
+    });
+  }
+};
+
+// Get per-app totals of the current user's sessions, most played first
+// (?from, ?to)
+exports.getHistorySummary = async (req, res) => {
+  try {
+    const range = parseDateRange(req.query);
+
+    if (!range) {
+      return res.status(400).json({ message: 'From and to must be valid dates' });
+    }
+
+    const match = { userId: new mongoose.Types.ObjectId(req.userId) };
+
+    if (Object.keys(range).length > 0) {
+      match.startTime = range;
+    }
+
+    const totals = await UserActivity.aggregate([
+      { $match: match },
+      {
+        $group: {
+          _id: '$appId',
+          sessions: { $sum: 1 },
+          totalDuration: { $sum: '$duration' },
+          lastPlayed: { $max: '$startTime' }
+        }
+      },
+      { $sort: { totalDuration: -1, lastPlayed: -1 } }
+    ]);
+    const apps = await findAppsById(totals.map(total => total._id));
+
+    res.json({
+      apps: totals.map(total => {
+        const app = apps.get(total._id);
+        return {
+          appId: total._id,
+          name: app ? app.name : total._id,
+          icon: app ? app.icon : '',
+          sessions: total.sessions,
+          totalDuration: total.totalDuration,
+          lastPlayed: total.lastPlayed
+        };
+      }),
+      totalDuration: totals.reduce((sum, total) => sum + total.totalDuration, 0)
+    });
+  } catch (error) {
+    res.status(500).json({
+      message: 'Error retrieving history summary',
+      error: config.nodeEnv === 'development' ? error.message : undefined
+    });
+  }
+};
@@ -0,0 +1,168 @@
+const Application = require('../models/Application');
+const recommendationService = require('../services/recommendation.service');
+const config = require('../config/config');
+const { parsePagination } = require('../utils/pagination');
+
+// Supported ?sort= values for list endpoints
+const SORT_OPTIONS = {
+  popular: { userCount: -1 },
+  rating: { rating: -1 },
+  name: { name: 1 },
+  newest: { releaseDate: -1 }
+};
+
+// Helper function to run a paginated catalog query
+const findPaginated = async (filter, query) => {
+  const { page, limit, skip } = parsePagination(query);
+  const textSearch = Boolean(filter.$text);
+
+  // Rank text search results by relevance unless a sort is requested
+  const sort = SORT_OPTIONS[query.sort] ||
+    (textSearch ? { score: { $meta: 'textScore' } } : SORT_OPTIONS.popular);
+  const projection = textSearch ? { score: { $meta: 'textScore' } } : undefined;
+
+  const [apps, total] = await Promise.all([
+    Application.find(filter, projection).sort(sort).skip(skip).limit(limit),
+    Application.countDocuments(filter)
+  ]);
+
+  return {
+    apps,
+    pagination: {
+      page,
+      limit,
+      total,
+      pages: Math.ceil(total / limit)
+    }
+  };
+};
+
+// Helper function to build the list filter from query parameters
+const buildFilter = (query) => {
+  const filter = {};
+
+  if (query.q) {
+    filter.$text = { $search: String(query.q) };
+  }
+
+  if (query.category) {
+    filter.categoryId = String(query.category);
+  }
+
+  if (query.featured === 'true' || query.featured === 'false') {
+    filter.featured = query.featured === 'true';
+  }
+
+  return filter;
+};
+
+// List apps (?page, ?limit, ?q text search, ?category, ?featured, ?sort)
+exports.getApps = async (req, res) => {
+  try {
+    if (req.query.sort && !SORT_OPTIONS[req.query.sort]) {
+      return res.status(400).json({
+        message: `Sort must be one of: ${Object.keys(SORT_OPTIONS).join(', ')}`
+      });
+    }
+
+    res.json(await findPaginated(buildFilter(req.query), req.query));
+  } catch (error) {
+    res.status(500).json({
+      message: 'Error retrieving apps',
+      error: config.nodeEnv === 'development' ? error.message : undefined
+    });
+  }
+};
+
+// Get featured apps
+exports.getFeaturedApps = async (req, res) => {
+  try {
+    const { limit } = parsePagination(req.query);
+    const apps = await Application.find({ featured: true })
+      .sort({ rating: -1, userCount: -1 })
+      .limit(limit);
+
+    res.json({ apps });
+  } catch (error) {
+    res.status(500).json({
+      message: 'Error retrieving featured apps',
+      error: config.nodeEnv === 'development' ? error.message : undefined
+    });
+  }
+};
+
+// Get "For You" recommendations, each with a reason to show the user
+// Personalized when signed in, otherwise ranked by popularity
+exports.getRecommendedApps = async (req, res) => {
+  try {
+    const { limit } = parsePagination(req.query);
+    const apps = await recommendationService.getRecommendations(req.userId, { limit });
+
+    res.json({ apps });
+  } catch (error) {
+    res.status(500).json({
+      message: 'Error retrieving recommendations',
+      error: config.nodeEnv === 'development' ? error.message : undefined
+    });
+  }
+};
+
+// Get app categories with the number of apps in each
+exports.getCategories = async (req, res) => {
+  try {
+    const categories = await Application.aggregate([
+      { $group: { _id: '$categoryId', name: { $first: '$category' }, count: { $sum: 1 } } },
+      { $sort: { name: 1 } }
+    ]);
+
+    res.json({
+      categories: categories.map(({ _id, name, count }) => ({ id: _id, name, count }))
+    });
+  } catch (error) {
+    res.status(500).json({
+      message: 'Error retrieving categories',
+      error: config.nodeEnv === 'development' ? error.message : undefined
+    });
+  }
+};
+
+// Get apps in a category (paginated)
+exports.getAppsByCategory = async (req, res) => {
+  try {
+    const sample = await Application.findOne({ categoryId: req.params.id }).select('category');
+
+    if (!sample) {
+      return res.status(404).json({ message: 'Category not found' });
+    }
+
+    const result = await findPaginated({ categoryId: req.params.id }, req.query);
+
+    res.json({
+      category: { id: req.params.id, name: sample.category },
+      ...result
+    });
+  } catch (error) {
+    res.status(500).json({
+      message: 'Error retrieving category apps',
+      error: config.nodeEnv === 'development' ? error.message : undefined
+    });
+  }
+};
+
+// Get a specific app by its app id
+exports.getAppById = async (req, res) => {
+  try {
+    const app = await Application.findOne({ appId: req.params.id });
+
+    if (!app) {
+      return res.status(404).json({ message: 'App not found' });
+    }
+
+    res.json(app);
+  } catch (error) {
+    res.status(500).json({
+      message: 'Error retrieving app',
+      error: config.nodeEnv === 'development' ? error.message : undefined
+    });
+  }
+};
@@ -1,13 +1,6 @@
-const jwt = require('jsonwebtoken');
 const User = require('../models/User');
 const config = require('../config/config');
-
-// Helper function to generate a JWT token
-const generateToken = (userId) => {
-  return jwt.sign({ id: userId }, config.jwtSecret, {
-    expiresIn: config.jwtExpiration
-  });
-};
+const tokenService = require('../services/token.service');
 
 // Register a new user
 exports.register = async (req, res) => {
@@ -34,13 +27,14 @@ exports.register = async (req, res) => {
     
     await user.save();
     
-    // Generate token
-    const token = generateToken(user._id);
+    // Generate access and refresh tokens
+    const { token, refreshToken } = await tokenService.issueTokens(user._id);
     
     // Return user info (without password) and token
     res.status(201).json({
       message: 'User registered successfully',
       token,
+      refreshToken,
       user: {
         id: user._id,
         username: user.username,
@@ -86,12 +80,13 @@ exports.login = async (req, res) => {
     user.lastLogin = Date.now();
     await user.save();
     
-    // Generate token
-    const token = generateToken(user._id);
+    // Generate access and refresh tokens
+    const { token, refreshToken } = await tokenService.issueTokens(user._id);
     
     res.json({
       message: 'Login successful',
       token,
+      refreshToken,
       user: {
         id: user._id,
         username: user.username,
@@ -126,3 +121,60 @@ exports.getCurrentUser = async (req, res) => {
     });
   }
 };
+
+// Refresh tokens (rotates the refresh token)
+exports.refresh = async (req, res) => {
+  try {
+    const { refreshToken } = req.body || {};
+
+    if (!refreshToken) {
+      return res.status(400).json({ message: 'Refresh token is required' });
+    }
+
+    const tokens = await tokenService.rotateRefreshToken(refreshToken);
+
+    if (!tokens) {
+      return res.status(401).json({ message: 'Refresh token is not valid' });
+    }
+
+    res.json({
+      message: 'Token refreshed',
+      token: tokens.token,
+      refreshToken: tokens.refreshToken
+    });
+  } catch (error) {
+    res.status(500).json({ 
+      message: 'Error refreshing token',
+      error: config.nodeEnv === 'development' ? error.message : undefined
+    });
+  }
+};
+
+// Logout user (revokes the session's refresh tokens, or all sessions with `all`)
+exports.logout = async (req, res) => {
+  try {
+    const { refreshToken, all } = req.body || {};
+
+    if (!refreshToken) {
+      return res.status(400).json({ message: 'Refresh token is required' });
+    }
+
+    const stored = await tokenService.findRefreshToken(refreshToken);
+
+    // Logging out with an unknown token is treated as already logged out
+    if (stored) {
+      if (all) {
+        await tokenService.revokeAllForUser(stored.user);
+      } else {
+        await tokenService.revokeFamily(stored.family);
+      }
+    }
+
+    res.json({ message: 'Logout successful' });
+  } catch (error) {
+    res.status(500).json({ 
+      message: 'Error logging out',
+      error: config.nodeEnv === 'development' ? error.message : undefined
+    });
+  }
+};
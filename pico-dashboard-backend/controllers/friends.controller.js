@@ -0,0 +1,297 @@
+const mongoose = require('mongoose');
+const FriendRequest = require('../models/FriendRequest');
+const User = require('../models/User');
+const notificationService = require('../services/notification.service');
+const config = require('../config/config');
+
+// Public profile fields exposed for friends and request senders/recipients
+const PUBLIC_USER_FIELDS = 'username displayName avatar status';
+
+// Helper function to shape a populated user for the client
+const toPublicUser = (user) => ({
+  id: user._id,
+  username: user.username,
+  displayName: user.displayName,
+  avatar: user.avatar,
+  status: user.status
+});
+
+// Helper function to shape a populated friend request for the client
+const toRequestResponse = (request) => ({
+  id: request._id,
+  sender: toPublicUser(request.sender),
+  recipient: toPublicUser(request.recipient),
+  status: request.status,
+  createdAt: request.createdAt
+});
+
+// Helper function to load the user's accepted friendships as friend profiles
+const findFriends = async (userId) => {
+  const friendships = await FriendRequest.find({
+    status: 'accepted',
+    $or: [{ sender: userId }, { recipient: userId }]
+  })
+    .populate('sender', PUBLIC_USER_FIELDS)
+    .populate('recipient', PUBLIC_USER_FIELDS);
+
+  // Skip friendships whose other user no longer exists
+  const existing = friendships.filter(friendship => friendship.sender && friendship.recipient);
+
+  return existing.map(friendship => {
+    const friend = friendship.sender._id.equals(userId)
+      ? friendship.recipient
+      : friendship.sender;
+
+    return {
+      ...toPublicUser(friend),
+      friendsSince: friendship.respondedAt || friendship.createdAt
+    };
+  });
+};
+
+// Get the user's friends
+exports.getFriends = async (req, res) => {
+  try {
+    const friends = await findFriends(req.userId);
+
+    res.json({ friends });
+  } catch (error) {
+    res.status(500).json({
+      message: 'Error retrieving friends',
+      error: config.nodeEnv === 'development' ? error.message : undefined
+    });
+  }
+};
+
+// Get the user's friends that are currently online
+exports.getOnlineFriends = async (req, res) => {
+  try {
+    const friends = await findFriends(req.userId);
+
+    res.json({ friends: friends.filter(friend => friend.status.online) });
+  } catch (error) {
+    res.status(500).json({
+      message: 'Error retrieving online friends',
+      error: config.nodeEnv === 'development' ? error.message : undefined
+    });
+  }
+};
+
+// Get pending friend requests (?type=incoming|outgoing, both by default)
+exports.getRequests = async (req, res) => {
+  try {
+    const { type } = req.query;
+
+    if (type && !['incoming', 'outgoing'].includes(type)) {
+      return res.status(400).json({ message: 'Type must be "incoming" or "outgoing"' });
+    }
+
+    const loadRequests = (filter) => FriendRequest.find({ ...filter, status: 'pending' })
+      .sort({ createdAt: -1 })
+      .populate('sender', PUBLIC_USER_FIELDS)
+      .populate('recipient', PUBLIC_USER_FIELDS);
+
+    const [incoming, outgoing] = await Promise.all([
+      type === 'outgoing' ? [] : loadRequests({ recipient: req.userId }),
+      type === 'incoming' ? [] : loadRequests({ sender: req.userId })
+    ]);
+
+    const hasUsers = (request) => request.sender && request.recipient;
+
+    res.json({
+      incoming: incoming.filter(hasUsers).map(toRequestResponse),
+      outgoing: outgoing.filter(hasUsers).map(toRequestResponse)
+    });
+  } catch (error) {
+    res.status(500).json({
+      message: 'Error retrieving friend requests',
+      error: config.nodeEnv === 'development' ? error.message : undefined
+    });
+  }
+};
+
+// Send a friend request (by recipient id or username)
+exports.sendRequest = async (req, res) => {
+  try {
+    const { recipientId, username } = req.body || {};
+
+    if (!recipientId && !username) {
+      return res.status(400).json({ message: 'Recipient id or username is required' });
+    }
+
+    if (recipientId && !mongoose.Types.ObjectId.isValid(recipientId)) {
+      return res.status(400).json({ message: 'Invalid recipient id' });
+    }
+
+    const recipient = recipientId
+      ? await User.findById(recipientId)
+      : await User.findOne({ username });
+
+    if (!recipient) {
+      return res.status(404).json({ message: 'User not found' });
+    }
+
+    // Prevent sending a request to yourself
+    if (recipient._id.equals(req.userId)) {
+      return res.status(400).json({ message: 'You cannot send a friend request to yourself' });
+    }
+
+    // Check for an existing request in either direction
+    const existing = await FriendRequest.findBetween(req.userId, recipient._id);
+
+    if (existing.some(request => request.status === 'accepted')) {
+      return res.status(400).json({ message: 'You are already friends with this user' });
+    }
+
+    const sent = existing.find(request => request.sender.equals(req.userId));
+    const received = existing.find(request => request.recipient.equals(req.userId));
+
+    if (sent && sent.status === 'pending') {
+      return res.status(400).json({ message: 'Friend request already sent' });
+    }
+
+    if (received && received.status === 'pending') {
+      return res.status(400).json({
+        message: 'This user has already sent you a friend request',
+        requestId: received._id
+      });
+    }
+
+    // Reuse a previously rejected request, otherwise create a new one
+    const request = sent || new FriendRequest({
+      sender: req.userId,
+      recipient: recipient._id
+    });
+
+    request.status = 'pending';
+    request.createdAt = Date.now();
+    request.respondedAt = undefined;
+    await request.save();
+
+    await request.populate([
+      { path: 'sender', select: PUBLIC_USER_FIELDS },
+      { path: 'recipient', select: PUBLIC_USER_FIELDS }
+    ]);
+
+    notificationService.friendRequestReceived(request);
+
+    res.status(201).json({
+      message: 'Friend request sent',
+      request: toRequestResponse(request)
+    });
+  } catch (error) {
+    res.status(500).json({
+      message: 'Error sending friend request',
+      error: config.nodeEnv === 'development' ? error.message : undefined
+    });
+  }
+};
+
+// Accept or reject a friend request sent to the current user
+exports.respondToRequest = async (req, res) => {
+  try {
+    const { action } = req.body || {};
+
+    if (!['accept', 'reject'].includes(action)) {
+      return res.status(400).json({ message: 'Action must be "accept" or "reject"' });
+    }
+
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+      return res.status(400).json({ message: 'Invalid request id' });
+    }
+
+    const request = await FriendRequest.findOne({
+      _id: req.params.id,
+      recipient: req.userId
+    });
+
+    if (!request) {
+      return res.status(404).json({ message: 'Friend request not found' });
+    }
+
+    if (request.status !== 'pending') {
+      return res.status(400).json({ message: `Friend request already ${request.status}` });
+    }
+
+    request.status = action === 'accept' ? 'accepted' : 'rejected';
+    request.respondedAt = Date.now();
+    await request.save();
+
+    notificationService.friendRequestClosed(request);
+
+    await request.populate([
+      { path: 'sender', select: PUBLIC_USER_FIELDS },
+      { path: 'recipient', select: PUBLIC_USER_FIELDS }
+    ]);
+
+    if (request.status === 'accepted') {
+      notificationService.friendRequestAccepted(request);
+    }
+
+    res.json({
+      message: `Friend request ${request.status}`,
+      request: toRequestResponse(request)
+    });
+  } catch (error) {
+    res.status(500).json({
+      message: 'Error responding to friend request',
+      error: config.nodeEnv === 'development' ? error.message : undefined
+    });
+  }
+};
+
+// Cancel a pending friend request sent by the current user
+exports.cancelRequest = async (req, res) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+      return res.status(400).json({ message: 'Invalid request id' });
+    }
+
+    const request = await FriendRequest.findOneAndDelete({
+      _id: req.params.id,
+      sender: req.userId,
+      status: 'pending'
+    });
+
+    if (!request) {
+      return res.status(404).json({ message: 'Friend request not found' });
+    }
+
+    notificationService.friendRequestClosed(request);
+
+    res.json({ message: 'Friend request cancelled' });
+  } catch (error) {
+    res.status(500).json({
+      message: 'Error cancelling friend request',
+      error: config.nodeEnv === 'development' ? error.message : undefined
+    });
+  }
+};
+
+// Remove a friend (by the friend's user id)
+exports.removeFriend = async (req, res) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+      return res.status(400).json({ message: 'Invalid user id' });
+    }
+
+    const friendship = await FriendRequest.findOneAndDelete({
+      status: 'accepted',
+      $or: [
+        { sender: req.userId, recipient: req.params.id },
+        { sender: req.params.id, recipient: req.userId }
+      ]
+    });
+
+    if (!friendship) {
+      return res.status(404).json({ message: 'Friend not found' });
+    }
+
+    res.json({ message: 'Friend removed' });
+  } catch (error) {
+    res.status(500).json({
+      message: 'Error removing friend',
+      error: config.nodeEnv === 'development' ? error.message : undefined
+    });
+  }
+};
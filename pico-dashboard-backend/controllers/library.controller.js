@@ -0,0 +1,144 @@
+const Application = require('../models/Application');
+const LibraryEntry = require('../models/LibraryEntry');
+const presenceService = require('../services/presence.service');
+const config = require('../config/config');
+
+// Supported ?sort= values for the library
+const SORT_OPTIONS = {
+  // Recently launched first; never-launched apps follow, newest installs first
+  recent: (a, b) => (b.lastLaunchedAt || 0) - (a.lastLaunchedAt || 0) || b.installedAt - a.installedAt,
+  installed: (a, b) => b.installedAt - a.installedAt,
+  name: (a, b) => a.name.localeCompare(b.name)
+};
+
+// Helper function to merge a library entry with its catalog app
+const toLibraryApp = (entry, app) => ({
+  ...app.toJSON(),
+  installedAt: entry.installedAt,
+  lastLaunchedAt: entry.lastLaunchedAt || null,
+  launchCount: entry.launchCount
+});
+
+// Helper function to find a catalog app by its public id
+const findApp = (appId) => Application.findOne({ appId: String(appId).toLowerCase() });
+
+// Get the current user's installed apps (?sort=recent|installed|name)
+exports.getLibrary = async (req, res) => {
+  try {
+    const sort = req.query.sort || 'recent';
+
+    if (!SORT_OPTIONS[sort]) {
+      return res.status(400).json({
+        message: `Sort must be one of: ${Object.keys(SORT_OPTIONS).join(', ')}`
+      });
+    }
+
+    const entries = await LibraryEntry.find({ user: req.userId });
+    const apps = await Application.find({ appId: { $in: entries.map(entry => entry.appId) } });
+    const appsById = new Map(apps.map(app => [app.appId, app]));
+
+    // Skip entries whose app has been removed from the catalog
+    const library = entries
+      .filter(entry => appsById.has(entry.appId))
+      .map(entry => toLibraryApp(entry, appsById.get(entry.appId)))
+      .sort(SORT_OPTIONS[sort]);
+
+    res.json({ apps: library });
+  } catch (error) {
+    res.status(500).json({
+      message: 'Error retrieving library',
+      error: config.nodeEnv === 'development' ? error.message : undefined
+    });
+  }
+};
+
+// Add an app to the current user's library
+exports.installApp = async (req, res) => {
+  try {
+    const { appId } = req.body || {};
+
+    if (!appId || typeof appId !== 'string') {
+      return res.status(400).json({ message: 'App id is required' });
+    }
+
+    const app = await findApp(appId);
+
+    if (!app) {
+      return res.status(404).json({ message: 'App not found' });
+    }
+
+    const existing = await LibraryEntry.findOne({ user: req.userId, appId: app.appId });
+
+    if (existing) {
+      return res.status(400).json({ message: 'App is already installed' });
+    }
+
+    const entry = await LibraryEntry.create({ user: req.userId, appId: app.appId });
+
+    res.status(201).json({
+      message: 'App installed',
+      app: toLibraryApp(entry, app)
+    });
+  } catch (error) {
+    res.status(500).json({
+      message: 'Error installing app',
+      error: config.nodeEnv === 'development' ? error.message : undefined
+    });
+  }
+};
+
+// Remove an app from the current user's library
+exports.uninstallApp = async (req, res) => {
+  try {
+    const entry = await LibraryEntry.findOneAndDelete({
+      user: req.userId,
+      appId: String(req.params.appId).toLowerCase()
+    });
+
+    if (!entry) {
+      return res.status(404).json({ message: 'App is not installed' });
+    }
+
+    res.json({ message: 'App uninstalled' });
+  } catch (error) {
+    res.status(500).json({
+      message: 'Error uninstalling app',
+      error: config.nodeEnv === 'development' ? error.message : undefined
+    });
+  }
+};
+
+// Launch an app: records the launch on its library entry (installing the
+// app if needed) and shows it as the user's current activity to friends
+exports.launchApp = async (req, res) => {
+  try {
+    const app = await findApp(req.params.appId);
+
+    if (!app) {
+      return res.status(404).json({ message: 'App not found' });
+    }
+
+    const entry = await LibraryEntry.findOneAndUpdate(
+      { user: req.userId, appId: app.appId },
+      {
+        $set: { lastLaunchedAt: Date.now() },
+        $inc: { launchCount: 1 },
+        $setOnInsert: { installedAt: Date.now() }
+      },
+      { new: true, upsert: true }
+    );
+
+    const status = await presenceService.setActivity(req.userId, app.name);
+
+    res.json({
+      message: 'App launched',
+      app: toLibraryApp(entry, app),
+      status
+    });
+  } catch (error) {
+    res.status(500).json({
+      message: 'Error launching app',
+      error: config.nodeEnv === 'development' ? error.message : undefined
+    });
+  }
+};
@@ -0,0 +1,131 @@
+const mongoose = require('mongoose');
+const Notification = require('../models/Notification');
+const { toNotificationResponse } = require('../services/notification.service');
+const realtime = require('../services/realtime.service');
+const config = require('../config/config');
+const { parsePagination } = require('../utils/pagination');
+
+// Helper function to count the user's unread notifications
+const countUnread = (userId) => Notification.countDocuments({ recipient: userId, read: false });
+
+// List the current user's notifications, newest first (?page, ?limit, ?unread=true)
+exports.getNotifications = async (req, res) => {
+  try {
+    const { page, limit, skip } = parsePagination(req.query);
+    const filter = { recipient: req.userId };
+
+    if (req.query.unread === 'true') {
+      filter.read = false;
+    }
+
+    const [notifications, total, unreadCount] = await Promise.all([
+      Notification.find(filter).sort({ createdAt: -1 }).skip(skip).limit(limit),
+      Notification.countDocuments(filter),
+      countUnread(req.userId)
+    ]);
+
+    res.json({
+      notifications: notifications.map(toNotificationResponse),
+      unreadCount,
+      pagination: {
+        page,
+        limit,
+        total,
+        pages: Math.ceil(total / limit)
+      }
+    });
+  } catch (error) {
+    res.status(500).json({
+      message: 'Error retrieving notifications',
+      error: config.nodeEnv === 'development' ? error.message : undefined
+    });
+  }
+};
+
+// Mark one notification as read
+exports.markRead = async (req, res) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+      return res.status(400).json({ message: 'Invalid notification id' });
+    }
+
+    const notification = await Notification.findOneAndUpdate(
+      { _id: req.params.id, recipient: req.userId },
+      { $set: { read: true } },
+      { new: true }
+    );
+
+    if (!notification) {
+      return res.status(404).json({ message: 'Notification not found' });
+    }
+
+    const unreadCount = await countUnread(req.userId);
+
+    // Keep the user's other devices in step
+    realtime.sendToUser(req.userId, 'notificationsRead', { ids: [notification._id], unreadCount });
+
+    res.json({
+      message: 'Notification marked as read',
+      notification: toNotificationResponse(notification),
+      unreadCount
+    });
+  } catch (error) {
+    res.status(500).json({
+      message: 'Error updating notification',
+      error: config.nodeEnv === 'development' ? error.message : undefined
+    });
+  }
+};
+
+// Mark all of the current user's notifications as read
+exports.markAllRead = async (req, res) => {
+  try {
+    const result = await Notification.updateMany(
+      { recipient: req.userId, read: false },
+      { $set: { read: true } }
+    );
+
+    realtime.sendToUser(req.userId, 'notificationsRead', { all: true, unreadCount: 0 });
+
+    res.json({
+      message: 'All notifications marked as read',
+      updated: result.modifiedCount,
+      unreadCount: 0
+    });
+  } catch (error) {
+    res.status(500).json({
+      message: 'Error updating notifications',
+      error: config.nodeEnv === 'development' ? error.message : undefined
+    });
+  }
+};
+
+// Delete one notification
+exports.deleteNotification = async (req, res) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+      return res.status(400).json({ message: 'Invalid notification id' });
+    }
+
+    const notification = await Notification.findOneAndDelete({
+      _id: req.params.id,
+      recipient: req.userId
+    });
+
+    if (!notification) {
+      return res.status(404).json({ message: 'Notification not found' });
+    }
+
+    realtime.sendToUser(req.userId, 'notificationRemoved', { id: notification._id });
+
+    res.json({
+      message: 'Notification deleted',
+      unreadCount: await countUnread(req.userId)
+    });
+  } catch (error) {
+    res.status(500).json({
+      message: 'Error deleting notification',
+      error: config.nodeEnv === 'development' ? error.message : undefined
+    });
+  }
+};
@@ -0,0 +1,253 @@
+const User = require('../models/User');
+const config = require('../config/config');
+
+// Helper function to flatten a nested settings patch into dotted paths
+// e.g. { comfortSettings: { vignette: false } } -> { 'comfortSettings.vignette': false }
+const flattenPatch = (patch, prefix = '') => {
+  return Object.entries(patch).reduce((paths, [key, value]) => {
+    const path = prefix ? `${prefix}.${key}` : key;
+
+    if (value && typeof value === 'object' && !Array.isArray(value)) {
+      Object.assign(paths, flattenPatch(value, path));
+    } else {
+      paths[path] = value;
+    }
+
+    return paths;
+  }, {});
+};
+
+// Helper function to check a value against the schema type of a settings path
+// Mongoose would silently cast e.g. 'yes' to true, so types are checked first
+const hasSchemaType = (schemaType, value) => {
+  switch (schemaType.instance) {
+    case 'Number':
+      return typeof value === 'number' && Number.isFinite(value);
+    case 'Boolean':
+      return typeof value === 'boolean';
+    case 'String':
+      return typeof value === 'string';
+    default:
+      return false;
+  }
+};
+
+// Panel ids are short slugs, e.g. 'main' or 'friends'
+const PANEL_ID_PATTERN = /^[a-z0-9-]{1,40}$/;
+const MAX_PANEL_LAYOUTS = 50;
+
+// Helper function to check for an [x, y, z] array of finite numbers
+const isVector3 = (value) => {
+  return Array.isArray(value) && value.length === 3 &&
+    value.every(n => typeof n === 'number' && Number.isFinite(n));
+};
+
+// Helper function to check the shape of submitted panel layouts
+// Returns an errors object keyed by '<panelId>.<field>'
+const validateLayouts = (layouts) => {
+  const errors = {};
+
+  Object.entries(layouts).forEach(([id, layout]) => {
+    if (!PANEL_ID_PATTERN.test(id)) {
+      errors[id] = 'Invalid panel id';
+      return;
+    }
+    if (!layout || typeof layout !== 'object' || Array.isArray(layout)) {
+      errors[id] = 'Layout must be an object';
+      return;
+    }
+    if (!isVector3(layout.position)) {
+      errors[`${id}.position`] = 'Must be [x, y, z]';
+    }
+    if (layout.rotation !== undefined && !isVector3(layout.rotation)) {
+      errors[`${id}.rotation`] = 'Must be [x, y, z]';
+    }
+    if (layout.scale !== undefined && (typeof layout.scale !== 'number' || !Number.isFinite(layout.scale))) {
+      errors[`${id}.scale`] = 'Must be a number';
+    }
+  });
+
+  return errors;
+};
+
+// Helper function to convert the stored layout map into a plain object
+const toLayoutResponse = (user) => Object.fromEntries(user.panelLayouts || []);
+
+// Get the current user's VR settings
+exports.getSettings = async (req, res) => {
+  try {
+    const user = await User.findById(req.userId).select('vrSettings');
+
+    if (!user) {
+      return res.status(404).json({ message: 'User not found' });
+    }
+
+    res.json({ vrSettings: user.vrSettings });
+  } catch (error) {
+    res.status(500).json({
+      message: 'Error retrieving settings',
+      error: config.nodeEnv === 'development' ? error.message : undefined
+    });
+  }
+};
+
+// Partially update the current user's VR settings (deep merge)
+exports.updateSettings = async (req, res) => {
+  try {
+    const patch = req.body;
+
+    if (!patch || typeof patch !== 'object' || Array.isArray(patch)) {
+      return res.status(400).json({ message: 'Settings must be an object' });
+    }
+
+    const updates = flattenPatch(patch);
+    const paths = Object.keys(updates);
+
+    if (paths.length === 0) {
+      return res.status(400).json({ message: 'No settings provided' });
+    }
+
+    // Reject unknown settings and wrongly typed values
+    const errors = {};
+    paths.forEach(path => {
+      const schemaType = User.schema.path(`vrSettings.${path}`);
+
+      if (!schemaType) {
+        errors[path] = 'Unknown setting';
+      } else if (!hasSchemaType(schemaType, updates[path])) {
+        errors[path] = `Must be a ${schemaType.instance.toLowerCase()}`;
+      }
+    });
+
+    if (Object.keys(errors).length > 0) {
+      return res.status(400).json({ message: 'Invalid settings', errors });
+    }
+
+    const user = await User.findById(req.userId);
+
+    if (!user) {
+      return res.status(404).json({ message: 'User not found' });
+    }
+
+    paths.forEach(path => user.set(`vrSettings.${path}`, updates[path]));
+
+    // Enum and range checks come from the User schema
+    try {
+      await user.validate(paths.map(path => `vrSettings.${path}`));
+    } catch (validationError) {
+      if (validationError.name !== 'ValidationError') throw validationError;
+
+      Object.entries(validationError.errors).forEach(([path, err]) => {
+        errors[path.replace(/^vrSettings\./, '')] = err.message;
+      });
+      return res.status(400).json({ message: 'Invalid settings', errors });
+    }
+
+    await user.save();
+
+    res.json({
+      message: 'Settings updated',
+      vrSettings: user.vrSettings
+    });
+  } catch (error) {
+    res.status(500).json({
+      message: 'Error updating settings',
+      error: config.nodeEnv === 'development' ? error.message : undefined
+    });
+  }
+};
+
+// Get the current user's panel layout
+exports.getLayout = async (req, res) => {
+  try {
+    const user = await User.findById(req.userId).select('panelLayouts');
+
+    if (!user) {
+      return res.status(404).json({ message: 'User not found' });
+    }
+
+    res.json({ panelLayouts: toLayoutResponse(user) });
+  } catch (error) {
+    res.status(500).json({
+      message: 'Error retrieving layout',
+      error: config.nodeEnv === 'development' ? error.message : undefined
+    });
+  }
+};
+
+// Replace the current user's panel layout
+exports.updateLayout = async (req, res) => {
+  try {
+    const { panelLayouts } = req.body || {};
+
+    if (!panelLayouts || typeof panelLayouts !== 'object' || Array.isArray(panelLayouts)) {
+      return res.status(400).json({ message: 'panelLayouts must be an object' });
+    }
+
+    if (Object.keys(panelLayouts).length > MAX_PANEL_LAYOUTS) {
+      return res.status(400).json({ message: `Layout cannot contain more than ${MAX_PANEL_LAYOUTS} panels` });
+    }
+
+    const errors = validateLayouts(panelLayouts);
+    if (Object.keys(errors).length > 0) {
+      return res.status(400).json({ message: 'Invalid layout', errors });
+    }
+
+    const user = await User.findById(req.userId);
+
+    if (!user) {
+      return res.status(404).json({ message: 'User not found' });
+    }
+
+    user.set('panelLayouts', panelLayouts);
+
+    // Range checks come from the User schema
+    try {
+      await user.validate(Object.keys(panelLayouts).map(id => `panelLayouts.${id}`));
+    } catch (validationError) {
+      if (validationError.name !== 'ValidationError') throw validationError;
+
+      Object.entries(validationError.errors).forEach(([path, err]) => {
+        errors[path.replace(/^panelLayouts\./, '')] = err.message;
+      });
+      return res.status(400).json({ message: 'Invalid layout', errors });
+    }
+
+    await user.save();
+
+    res.json({
+      message: 'Layout saved',
+      panelLayouts: toLayoutResponse(user)
+    });
+  } catch (error) {
+    res.status(500).json({
+      message: 'Error saving layout',
+      error: config.nodeEnv === 'development' ? error.message : undefined
+    });
+  }
+};
+
+// Restore the default panel layout
+exports.resetLayout = async (req, res) => {
+  try {
+    const user = await User.findByIdAndUpdate(
+      req.userId,
+      { $set: { panelLayouts: {} } },
+      { new: true }
+    ).select('panelLayouts');
+
+    if (!user) {
+      return res.status(404).json({ message: 'User not found' });
+    }
+
+    res.json({
+      message: 'Layout reset',
+      panelLayouts: toLayoutResponse(user)
+    });
+  } catch (error) {
+    res.status(500).json({
+      message: 'Error resetting layout',
+      error: config.nodeEnv === 'development' ? error.message : undefined
+    });
+  }
+};
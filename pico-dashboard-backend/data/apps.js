@@ -0,0 +1,95 @@
+// App catalog seed data - the canonical color format is a { from, to } gradient
+// Used by the seeding script (scripts/seed-apps.js) and the test routes
+module.exports = [
+  { 
+    id: 'beat-saber', 
+    name: 'Beat Saber', 
+    color: { from: '#E91E63', to: '#9C27B0' }, 
+    category: 'Music & Rhythm',
+    icon: '🎵',
+    users: '5.2M+',
+    rating: 4.8,
+    featured: true,
+    tags: ['music', 'rhythm', 'fitness'],
+    developer: 'Beat Games',
+    description: 'Slash the beats of adrenaline-pumping music as they fly towards you.'
+  },
+  { 
+    id: 'blade-fury', 
+    name: 'Blade & Fury', 
+    color: { from: '#3F51B5', to: '#2196F3' }, 
+    category: 'Action',
+    icon: '⚔️',
+    users: '2.8M+',
+    rating: 4.5,
+    featured: true,
+    tags: ['combat', 'swords', 'martial arts'],
+    developer: 'Ultimate Reality',
+    description: 'Physics-based sword fighting set in ancient China.'
+  },
+  { 
+    id: 'job-simulator', 
+    name: 'Job Simulator', 
+    color: { from: '#4CAF50', to: '#8BC34A' }, 
+    category: 'Simulation',
+    icon: '🧑‍💼',
+    users: '3.4M+',
+    rating: 4.7,
+    featured: true,
+    tags: ['comedy', 'sandbox'],
+    developer: 'Owlchemy Labs',
+    description: 'Experience the joy of having a job in a world where robots have replaced all jobs.'
+  },
+  {
+    id: 'virtual-desktop',
+    name: 'Virtual Desktop',
+    color: { from: '#2196F3', to: '#03A9F4' },
+    category: 'Productivity',
+    icon: '🖥️',
+    users: '1.9M+',
+    rating: 4.6,
+    featured: false,
+    tags: ['desktop', 'streaming', 'pc'],
+    developer: 'Guy Godin',
+    description: 'Use your computer in VR and stream PC VR games wirelessly.'
+  },
+  {
+    id: 'eleven-table',
+    name: 'Eleven Table Tennis',
+    color: { from: '#FF9800', to: '#FF5722' },
+    category: 'Sports',
+    icon: '🏓',
+    users: '1.2M+',
+    rating: 4.7,
+    featured: false,
+    tags: ['table tennis', 'multiplayer'],
+    developer: 'For Fun Labs',
+    description: 'The most realistic table tennis simulation in VR.'
+  },
+  {
+    id: 'superhot',
+    name: 'SuperHOT VR',
+    color: { from: '#F44336', to: '#E91E63' },
+    category: 'Action',
+    icon: '🔥',
+    users: '2.1M+',
+    rating: 4.8,
+    featured: false,
+    tags: ['shooter', 'puzzle', 'time'],
+    developer: 'SUPERHOT Team',
+    description: 'Time moves only when you move.'
+  },
+  {
+    id: 'all-in-one',
+    name: 'All-in-One Sports VR',
+    color: { from: '#009688', to: '#4CAF50' },
+    category: 'Sports',
+    icon: '🏀',
+    users: '900K+',
+    rating: 4.3,
+    featured: false,
+    tags: ['sports', 'party', 'multiplayer'],
+    developer: 'Pixelity',
+    description: 'Fifteen sports in one app, from bowling to basketball.'
+  }
+];
@@ -1,9 +1,16 @@
 const jwt = require('jsonwebtoken');
 const config = require('../config/config');
 
+// Helper function to read the token from the request
+// (x-auth-token or Authorization: Bearer <token>)
+const getToken = (req) => {
+  const authorization = req.header('authorization') || '';
+  const bearerToken = authorization.startsWith('Bearer ') ? authorization.slice(7).trim() : null;
+  return req.header('x-auth-token') || bearerToken;
+};
+
 module.exports = (req, res, next) => {
-  // Get token from header
-  const token = req.header('x-auth-token');
+  const token = getToken(req);
   
   // Check if no token
   if (!token) {
@@ -21,3 +28,11 @@ module.exports = (req, res, next) => {
     res.status(401).json({ message: 'Token is not valid' });
   }
 };
+
+// For routes that also serve signed-out users: requests without a token
+// continue anonymously, while an invalid token is still rejected so the
+// client can refresh it
+module.exports.optional = (req, res, next) => {
+  if (!getToken(req)) return next();
+  module.exports(req, res, next);
+};
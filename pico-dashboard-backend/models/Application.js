@@ -0,0 +1,100 @@
+const mongoose = require('mongoose');
+const { slugify, formatUserCount } = require('../utils/format');
+
+// Hex color validation for the gradient endpoints
+const hexColor = {
+  type: String,
+  required: true,
+  match: [/^#[0-9A-Fa-f]{6}$/, 'Please provide a valid hex color']
+};
+
+const ApplicationSchema = new mongoose.Schema({
+  appId: {
+    type: String,
+    required: [true, 'App id is required'],
+    unique: true,
+    trim: true,
+    lowercase: true
+  },
+  name: {
+    type: String,
+    required: [true, 'Name is required'],
+    trim: true
+  },
+  description: {
+    type: String,
+    default: ''
+  },
+  category: {
+    type: String,
+    required: [true, 'Category is required'],
+    trim: true
+  },
+  // URL-safe category id derived from the category name
+  categoryId: {
+    type: String,
+    index: true
+  },
+  tags: [String],
+  icon: String,
+  // Card gradient - { from, to } is the canonical color format
+  color: {
+    from: hexColor,
+    to: hexColor
+  },
+  rating: {
+    type: Number,
+    min: 0,
+    max: 5,
+    default: 0
+  },
+  userCount: {
+    type: Number,
+    min: 0,
+    default: 0
+  },
+  featured: {
+    type: Boolean,
+    default: false,
+    index: true
+  },
+  developer: String,
+  releaseDate: Date,
+  lastUpdated: {
+    type: Date,
+    default: Date.now
+  }
+}, {
+  // The public id is appId, so skip mongoose's default id virtual
+  id: false,
+  toJSON: {
+    virtuals: true,
+    transform: (doc, ret) => {
+      ret.id = ret.appId;
+      delete ret._id;
+      delete ret.__v;
+      return ret;
+    }
+  }
+});
+
+// Text search on name, category and tags
+ApplicationSchema.index(
+  { name: 'text', category: 'text', tags: 'text' },
+  { weights: { name: 10, category: 5, tags: 2 } }
+);
+
+// Formatted player count matching the UI (e.g. '5.2M+')
+ApplicationSchema.virtual('users').get(function() {
+  return formatUserCount(this.userCount);
+});
+
+// Keep the category id in sync with the category name
+ApplicationSchema.pre('validate', function(next) {
+  if (this.category) {
+    this.categoryId = slugify(this.category);
+  }
+  next();
+});
+
+module.exports = mongoose.model('Application', ApplicationSchema);
@@ -4,7 +4,35 @@ const FriendRequestSchema = new mongoose.Schema({
   sender: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
   recipient: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
   status: { type: String, enum: ['pending', 'accepted', 'rejected'], default: 'pending' },
-  createdAt: { type: Date, default: Date.now }
+  createdAt: { type: Date, default: Date.now },
+  respondedAt: { type: Date }
 });
 
+// One request document per sender/recipient pair - a rejected request is
+// reused when the sender tries again instead of piling up duplicates
+FriendRequestSchema.index({ sender: 1, recipient: 1 }, { unique: true });
+FriendRequestSchema.index({ recipient: 1, status: 1 });
+
+// Find the request (in either direction) between two users
+FriendRequestSchema.statics.findBetween = function(userA, userB) {
+  return this.find({
+    $or: [
+      { sender: userA, recipient: userB },
+      { sender: userB, recipient: userA }
+    ]
+  });
+};
+
+// Get the ids of everyone the user is friends with (accepted requests)
+FriendRequestSchema.statics.findFriendIds = async function(userId) {
+  const friendships = await this.find({
+    status: 'accepted',
+    $or: [{ sender: userId }, { recipient: userId }]
+  }).select('sender recipient');
+
+  return friendships.map(friendship =>
+    friendship.sender.equals(userId) ? friendship.recipient : friendship.sender
+  );
+};
+
 module.exports = mongoose.model('FriendRequest', FriendRequestSchema);
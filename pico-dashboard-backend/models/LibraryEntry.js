@@ -0,0 +1,18 @@
+const mongoose = require('mongoose');
+
+// An app in a user's library. Apps are referenced by their public appId,
+// matching how clients address them. Launches update the entry, so recent
+// use can be sorted and shown without scanning activity history.
+const LibraryEntrySchema = new mongoose.Schema({
+  user: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+  appId: { type: String, required: true, trim: true, lowercase: true },
+  installedAt: { type: Date, default: Date.now },
+  lastLaunchedAt: { type: Date },
+  launchCount: { type: Number, min: 0, default: 0 }
+});
+
+// One entry per user and app; also serves the library listing
+LibraryEntrySchema.index({ user: 1, appId: 1 }, { unique: true });
+LibraryEntrySchema.index({ user: 1, lastLaunchedAt: -1 });
+
+module.exports = mongoose.model('LibraryEntry', LibraryEntrySchema);
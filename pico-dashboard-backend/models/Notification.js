@@ -0,0 +1,35 @@
+const mongoose = require('mongoose');
+
+// Kinds of notification the server generates
+const NOTIFICATION_TYPES = ['friend_request', 'friend_accepted', 'system'];
+
+// A message in a user's notification feed. Related documents (e.g. the
+// friend request) are referenced from data so clients can act on them.
+const NotificationSchema = new mongoose.Schema({
+  recipient: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+  type: {
+    type: String,
+    enum: {
+      values: NOTIFICATION_TYPES,
+      message: 'Unknown notification type'
+    },
+    required: true
+  },
+  title: { type: String, required: true, trim: true },
+  body: { type: String, default: '' },
+  icon: { type: String, default: '' },
+  data: {
+    requestId: { type: mongoose.Schema.Types.ObjectId, ref: 'FriendRequest' },
+    userId: { type: mongoose.Schema.Types.ObjectId, ref: 'User' }
+  },
+  read: { type: Boolean, default: false },
+  createdAt: { type: Date, default: Date.now }
+});
+
+// Feed queries: newest first, optionally only unread
+NotificationSchema.index({ recipient: 1, createdAt: -1 });
+NotificationSchema.index({ recipient: 1, read: 1 });
+
+NotificationSchema.statics.TYPES = NOTIFICATION_TYPES;
+
+module.exports = mongoose.model('Notification', NotificationSchema);
@@ -0,0 +1,19 @@
+const mongoose = require('mongoose');
+
+// Server-side record of an issued refresh token. Only a hash of the token is
+// stored. Every token belongs to a family (one per login); rotating a token
+// revokes it and issues its successor in the same family.
+const RefreshTokenSchema = new mongoose.Schema({
+  user: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true, index: true },
+  tokenHash: { type: String, required: true, unique: true },
+  family: { type: String, required: true, index: true },
+  expiresAt: { type: Date, required: true },
+  revokedAt: { type: Date },
+  replacedBy: { type: String }, // tokenHash of the token issued on rotation
+  createdAt: { type: Date, default: Date.now }
+});
+
+// Let MongoDB clean up expired tokens automatically
+RefreshTokenSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+module.exports = mongoose.model('RefreshToken', RefreshTokenSchema);
@@ -1,6 +1,29 @@
 const mongoose = require('mongoose');
 const bcrypt = require('bcryptjs'); // For password hashing
 
+// Helper function to validate [x, y, z] arrays
+const isVector3 = (value) => value.length === 3 && value.every(Number.isFinite);
+
+// Saved pose of a panel in the user's home space
+const PanelLayoutSchema = new mongoose.Schema({
+  position: {
+    type: [Number],
+    required: [true, 'Position is required'],
+    validate: [isVector3, 'Position must be [x, y, z]']
+  },
+  rotation: {
+    type: [Number],
+    default: [0, 0, 0],
+    validate: [isVector3, 'Rotation must be [x, y, z]']
+  },
+  scale: {
+    type: Number,
+    min: [0.5, 'Scale must be at least 0.5'],
+    max: [2, 'Scale cannot exceed 2'],
+    default: 1
+  }
+}, { _id: false });
+
 const UserSchema = new mongoose.Schema({
   username: {
     type: String,
@@ -58,16 +81,24 @@ const UserSchema = new mongoose.Schema({
   vrSettings: {
     playerHeight: {
       type: Number,
+      min: [1.0, 'Player height must be at least 1.0 meters'],
+      max: [2.5, 'Player height cannot exceed 2.5 meters'],
       default: 1.7 // Default height in meters
     },
     handedness: {
       type: String,
-      enum: ['left', 'right'],
+      enum: {
+        values: ['left', 'right'],
+        message: 'Handedness must be "left" or "right"'
+      },
       default: 'right'
     },
     movementType: {
       type: String,
-      enum: ['smooth', 'teleport', 'mixed'],
+      enum: {
+        values: ['smooth', 'teleport', 'mixed'],
+        message: 'Movement type must be "smooth", "teleport" or "mixed"'
+      },
       default: 'smooth'
     },
     comfortSettings: {
@@ -85,9 +116,43 @@ const UserSchema = new mongoose.Schema({
       },
       turnAngle: {
         type: Number,
+        min: [15, 'Turn angle must be at least 15 degrees'],
+        max: [90, 'Turn angle cannot exceed 90 degrees'],
         default: 45
       }
+    },
+    // Display brightness in percent (mapped to tone-mapping exposure)
+    brightness: {
+      type: Number,
+      min: [0, 'Brightness must be at least 0'],
+      max: [100, 'Brightness cannot exceed 100'],
+      default: 70
+    },
+    // Master volume in percent
+    volume: {
+      type: Number,
+      min: [0, 'Volume must be at least 0'],
+      max: [100, 'Volume cannot exceed 100'],
+      default: 50
+    },
+    notifications: {
+      type: Boolean,
+      default: true
+    },
+    graphicsQuality: {
+      type: String,
+      enum: {
+        values: ['low', 'medium', 'high'],
+        message: 'Graphics quality must be "low", "medium" or "high"'
+      },
+      default: 'high'
     }
+  },
+  // Customized home space layout, keyed by panel id
+  panelLayouts: {
+    type: Map,
+    of: PanelLayoutSchema,
+    default: {}
   }
 });
 
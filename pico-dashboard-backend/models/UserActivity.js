@@ -0,0 +1,22 @@
+const mongoose = require('mongoose');
+
+// One app session: a launch, and once it ends, how long it lasted. Clients
+// create the session id, so a batch that is resent after a network error
+// updates the same session instead of recording it twice.
+const UserActivitySchema = new mongoose.Schema({
+  userId: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+  sessionId: { type: String, required: true, trim: true, maxlength: 64 },
+  appId: { type: String, required: true, trim: true, lowercase: true },
+  startTime: { type: Date, required: true },
+  endTime: { type: Date },
+  // Seconds between startTime and endTime (0 while the session is open)
+  duration: { type: Number, min: 0, default: 0 },
+  sessionData: { type: mongoose.Schema.Types.Mixed, default: {} }
+});
+
+UserActivitySchema.index({ userId: 1, sessionId: 1 }, { unique: true });
+
+// History queries: newest first within a date range
+UserActivitySchema.index({ userId: 1, startTime: -1 });
+
+module.exports = mongoose.model('UserActivity', UserActivitySchema);
@@ -0,0 +1,24 @@
+const express = require('express');
+const router = express.Router();
+const appsController = require('../controllers/apps.controller');
+const authMiddleware = require('../middleware/auth.middleware');
+
+// GET /api/v1/apps - List all applications (paginated, searchable with ?q=)
+router.get('/', appsController.getApps);
+
+// GET /api/v1/apps/featured - Get featured applications
+router.get('/featured', appsController.getFeaturedApps);
+
+// GET /api/v1/apps/recommended - Get "For You" recommendations (personalized when signed in)
+router.get('/recommended', authMiddleware.optional, appsController.getRecommendedApps);
+
+// GET /api/v1/apps/categories - Get app categories
+router.get('/categories', appsController.getCategories);
+
+// GET /api/v1/apps/category/:id - Get apps in category
+router.get('/category/:id', appsController.getAppsByCategory);
+
+// GET /api/v1/apps/:id - Get specific application
+router.get('/:id', appsController.getAppById);
+
+module.exports = router;
@@ -9,6 +9,12 @@ router.post('/register', authController.register);
 // POST /api/v1/auth/login - Login user
 router.post('/login', authController.login);
 
+// POST /api/v1/auth/refresh - Exchange a refresh token for new tokens
+router.post('/refresh', authController.refresh);
+
+// POST /api/v1/auth/logout - Revoke refresh tokens
+router.post('/logout', authController.logout);
+
 // GET /api/v1/auth/me - Get current user (protected route)
 router.get('/me', authMiddleware, authController.getCurrentUser);
 
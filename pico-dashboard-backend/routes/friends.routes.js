@@ -0,0 +1,30 @@
+const express = require('express');
+const router = express.Router();
+const friendsController = require('../controllers/friends.controller');
+const authMiddleware = require('../middleware/auth.middleware');
+
+// All friends routes require an authenticated user
+router.use(authMiddleware);
+
+// GET /api/v1/friends - List user's friends
+router.get('/', friendsController.getFriends);
+
+// GET /api/v1/friends/online - Get online friends
+router.get('/online', friendsController.getOnlineFriends);
+
+// GET /api/v1/friends/requests - List pending requests (?type=incoming|outgoing)
+router.get('/requests', friendsController.getRequests);
+
+// POST /api/v1/friends/request - Send friend request
+router.post('/request', friendsController.sendRequest);
+
+// PATCH /api/v1/friends/request/:id - Accept/reject request
+router.patch('/request/:id', friendsController.respondToRequest);
+
+// DELETE /api/v1/friends/request/:id - Cancel request
+router.delete('/request/:id', friendsController.cancelRequest);
+
+// DELETE /api/v1/friends/:id - Remove friend
+router.delete('/:id', friendsController.removeFriend);
+
+module.exports = router;
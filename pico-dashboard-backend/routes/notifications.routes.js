@@ -0,0 +1,21 @@
+const express = require('express');
+const router = express.Router();
+const notificationsController = require('../controllers/notifications.controller');
+const authMiddleware = require('../middleware/auth.middleware');
+
+// All notification routes require an authenticated user
+router.use(authMiddleware);
+
+// GET /api/v1/notifications - List notifications (paginated, ?unread=true)
+router.get('/', notificationsController.getNotifications);
+
+// PATCH /api/v1/notifications/read - Mark all notifications as read
+router.patch('/read', notificationsController.markAllRead);
+
+// PATCH /api/v1/notifications/:id/read - Mark a notification as read
+router.patch('/:id/read', notificationsController.markRead);
+
+// DELETE /api/v1/notifications/:id - Delete a notification
+router.delete('/:id', notificationsController.deleteNotification);
+
+module.exports = router;
@@ -1,36 +1,8 @@
 const express = require('express');
 const router = express.Router();
 
-// Test data - we'll move this to a controller and database later
-const apps = [
-  { 
-    id: 'beat-saber', 
-    name: 'Beat Saber', 
-    color: { from: '#E91E63', to: '#9C27B0' }, 
-    category: 'Music & Rhythm',
-    icon: '🎵',
-    users: '5.2M+',
-    rating: 4.8
-  },
-  { 
-    id: 'blade-fury', 
-    name: 'Blade & Fury', 
-    color: { from: '#3F51B5', to: '#2196F3' }, 
-    category: 'Action',
-    icon: '⚔️',
-    users: '2.8M+',
-    rating: 4.5
-  },
-  { 
-    id: 'job-simulator', 
-    name: 'Job Simulator', 
-    color: { from: '#4CAF50', to: '#8BC34A' }, 
-    category: 'Simulation',
-    icon: '🧑‍💼',
-    users: '3.4M+',
-    rating: 4.7
-  }
-];
+// Test data - the full catalog is served from the database by /api/v1/apps
+const apps = require('../data/apps').filter(app => app.featured);
 
 // GET - Get all test apps
 router.get('/', (req, res) => {
@@ -0,0 +1,47 @@
+const express = require('express');
+const router = express.Router();
+const usersController = require('../controllers/users.controller');
+const libraryController = require('../controllers/library.controller');
+const activityController = require('../controllers/activity.controller');
+const authMiddleware = require('../middleware/auth.middleware');
+
+// All user routes require an authenticated user
+router.use(authMiddleware);
+
+// GET /api/v1/users/me/settings - Get user settings
+router.get('/me/settings', usersController.getSettings);
+
+// PATCH /api/v1/users/me/settings - Update user settings
+router.patch('/me/settings', usersController.updateSettings);
+
+// GET /api/v1/users/me/layout - Get the user's panel layout
+router.get('/me/layout', usersController.getLayout);
+
+// PUT /api/v1/users/me/layout - Replace the user's panel layout
+router.put('/me/layout', usersController.updateLayout);
+
+// DELETE /api/v1/users/me/layout - Reset the panel layout to defaults
+router.delete('/me/layout', usersController.resetLayout);
+
+// GET /api/v1/users/me/library - List installed apps (?sort=recent|installed|name)
+router.get('/me/library', libraryController.getLibrary);
+
+// POST /api/v1/users/me/library - Install an app
+router.post('/me/library', libraryController.installApp);
+
+// DELETE /api/v1/users/me/library/:appId - Uninstall an app
+router.delete('/me/library/:appId', libraryController.uninstallApp);
+
+// POST /api/v1/users/me/library/:appId/launch - Launch an app (records the launch)
+router.post('/me/library/:appId/launch', libraryController.launchApp);
+
+// GET /api/v1/users/me/history - List app sessions (?from, ?to, ?appId, ?page, ?limit)
+router.get('/me/history', activityController.getHistory);
+
+// GET /api/v1/users/me/history/summary - Per-app totals (?from, ?to)
+router.get('/me/history/summary', activityController.getHistorySummary);
+
+// POST /api/v1/users/me/history - Record a batch of app session events
+router.post('/me/history', activityController.recordActivity);
+
+module.exports = router;
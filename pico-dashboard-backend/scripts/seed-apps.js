@@ -0,0 +1,52 @@
+// Seed the app catalog from data/apps.js
+// Usage: npm run seed:apps
+// Existing apps are updated in place (matched by app id), so the script
+// can be re-run safely after editing the seed data.
+const mongoose = require('mongoose');
+const config = require('../config/config');
+const Application = require('../models/Application');
+const seedApps = require('../data/apps');
+const { parseUserCount } = require('../utils/format');
+
+// Convert a seed entry (same shape as the test routes) to the model shape
+const toApplication = ({ id, users, ...app }) => ({
+  ...app,
+  appId: id,
+  userCount: parseUserCount(users)
+});
+
+const seed = async () => {
+  await mongoose.connect(config.mongoURI);
+  console.log('MongoDB Connected');
+
+  let created = 0;
+  let updated = 0;
+
+  for (const entry of seedApps) {
+    const data = toApplication(entry);
+    const existing = await Application.findOne({ appId: data.appId });
+
+    // Use save() rather than a bulk upsert so validation and hooks run
+    const app = existing || new Application();
+    app.set({ ...data, lastUpdated: Date.now() });
+    await app.save();
+
+    if (existing) {
+      updated++;
+    } else {
+      created++;
+    }
+  }
+
+  // Make sure the text search index exists before the API is used
+  await Application.syncIndexes();
+
+  console.log(`Seeded apps: ${created} created, ${updated} updated`);
+};
+
+seed()
+  .catch(err => {
+    console.log('Seeding Error:', err);
+    process.exitCode = 1;
+  })
+  .finally(() => mongoose.disconnect());
@@ -1,3 +1,4 @@
+const http = require('http');
 const express = require('express');
 const cors = require('cors');
 const helmet = require('helmet');
@@ -7,6 +8,14 @@ const mongoose = require('mongoose'); // You'll need to install this
 // Import routes (we'll create these next)
 const testRoutes = require('./routes/test.routes');
 const authRoutes = require('./routes/auth.routes');
+const friendsRoutes = require('./routes/friends.routes');
+const appsRoutes = require('./routes/apps.routes');
+const usersRoutes = require('./routes/users.routes');
+const notificationsRoutes = require('./routes/notifications.routes');
+
+// Import realtime services
+const realtime = require('./services/realtime.service');
+const presenceService = require('./services/presence.service');
 
 const app = express();
 
@@ -25,6 +34,10 @@ if (config.mongoURI) {
 // Use routes
 app.use('/api/v1/test', testRoutes);
 app.use('/api/v1/auth', authRoutes);
+app.use('/api/v1/friends', friendsRoutes);
+app.use('/api/v1/apps', appsRoutes);
+app.use('/api/v1/users', usersRoutes);
+app.use('/api/v1/notifications', notificationsRoutes);
 
 // Default route
 app.get('/', (req, res) => {
@@ -40,7 +53,11 @@ app.use((err, req, res, next) => {
   });
 });
 
-// Start server
-app.listen(config.port, () => {
+// Start server (HTTP + WebSocket presence channel on the same port)
+const server = http.createServer(app);
+realtime.attach(server);
+presenceService.init();
+
+server.listen(config.port, () => {
   console.log(`Server running on port ${config.port}`);
 });
@@ -0,0 +1,82 @@
+const Notification = require('../models/Notification');
+const realtime = require('./realtime.service');
+
+// Helper function to shape a notification for the client
+const toNotificationResponse = (notification) => ({
+  id: notification._id,
+  type: notification.type,
+  title: notification.title,
+  body: notification.body,
+  icon: notification.icon,
+  data: {
+    requestId: notification.data?.requestId,
+    userId: notification.data?.userId
+  },
+  read: notification.read,
+  createdAt: notification.createdAt
+});
+
+// Helper function to get the name shown for a populated user
+const nameOf = (user) => user.displayName || user.username;
+
+// Helper function to log notification errors without failing the request
+// that triggered them (the triggering action has already succeeded)
+const handleError = (error) => {
+  console.error('Notification error:', error.message);
+};
+
+exports.toNotificationResponse = toNotificationResponse;
+
+// Store a notification and push it to the recipient's open sockets
+exports.notify = async (recipientId, { type, title, body = '', icon = '', data = {} }) => {
+  const notification = await Notification.create({
+    recipient: recipientId,
+    type,
+    title,
+    body,
+    icon,
+    data
+  });
+
+  realtime.sendToUser(recipientId, 'notification', toNotificationResponse(notification));
+  return notification;
+};
+
+// Remove notifications and tell the recipient's clients to drop them
+exports.remove = async (recipientId, filter) => {
+  const notifications = await Notification.find({ ...filter, recipient: recipientId }).select('_id');
+  if (notifications.length === 0) return 0;
+
+  const ids = notifications.map(notification => notification._id);
+  await Notification.deleteMany({ _id: { $in: ids } });
+
+  ids.forEach(id => realtime.sendToUser(recipientId, 'notificationRemoved', { id }));
+  return ids.length;
+};
+
+// Friend request events - expects requests populated with sender and recipient
+exports.friendRequestReceived = (request) => {
+  return exports.notify(request.recipient._id, {
+    type: 'friend_request',
+    title: `${nameOf(request.sender)} sent you a friend request`,
+    icon: '👋',
+    data: { requestId: request._id, userId: request.sender._id }
+  }).catch(handleError);
+};
+
+exports.friendRequestAccepted = (request) => {
+  return exports.notify(request.sender._id, {
+    type: 'friend_accepted',
+    title: `${nameOf(request.recipient)} accepted your friend request`,
+    icon: '🤝',
+    data: { requestId: request._id, userId: request.recipient._id }
+  }).catch(handleError);
+};
+
+// The request was answered or withdrawn, so its prompt is no longer actionable
+exports.friendRequestClosed = (request) => {
+  return exports.remove(request.recipient, {
+    type: 'friend_request',
+    'data.requestId': request._id
+  }).catch(handleError);
+};
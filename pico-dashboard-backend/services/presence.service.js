@@ -0,0 +1,75 @@
+const User = require('../models/User');
+const FriendRequest = require('../models/FriendRequest');
+const realtime = require('./realtime.service');
+
+// Helper function to persist a status change and push it to the user's friends
+// Friends are only notified when online state or activity actually changes,
+// so routine heartbeats don't flood them with updates
+const updateStatus = async (userId, changes) => {
+  const update = { 'status.lastActive': Date.now() };
+  Object.entries(changes).forEach(([key, value]) => {
+    update[`status.${key}`] = value;
+  });
+
+  const previous = await User.findByIdAndUpdate(userId, { $set: update })
+    .select('status');
+  if (!previous) return null;
+
+  const previousStatus = previous.toObject().status || {};
+  const status = { ...previousStatus, ...changes, lastActive: new Date(update['status.lastActive']) };
+  const changed = status.online !== previousStatus.online ||
+    status.currentActivity !== previousStatus.currentActivity;
+
+  if (changed) {
+    const friendIds = await FriendRequest.findFriendIds(userId);
+    friendIds.forEach(friendId => {
+      realtime.sendToUser(friendId, 'presence', { userId, status });
+    });
+  }
+
+  return status;
+};
+
+// Helper function to log presence errors without crashing the socket handlers
+const handleError = (error) => {
+  console.error('Presence update error:', error.message);
+};
+
+// Update what the user is currently doing (e.g. the app they launched)
+exports.setActivity = (userId, activity = '') => {
+  return updateStatus(userId, { online: realtime.isConnected(userId), currentActivity: activity });
+};
+
+// Wire presence updates to the realtime channel
+exports.init = () => {
+  // Nobody is connected when the server starts, so clear stale online flags
+  // left behind by a previous process
+  User.updateMany({ 'status.online': true }, { $set: { 'status.online': false } })
+    .catch(handleError);
+
+  realtime.on('connect', (userId, { firstConnection }) => {
+    if (firstConnection) {
+      updateStatus(userId, { online: true }).catch(handleError);
+    }
+  });
+
+  realtime.on('disconnect', (userId, { lastConnection }) => {
+    if (lastConnection) {
+      updateStatus(userId, { online: false, currentActivity: '' }).catch(handleError);
+    }
+  });
+
+  // Heartbeats keep lastActive fresh and may carry the current activity
+  realtime.on('message:heartbeat', (userId, payload) => {
+    const changes = { online: true };
+    if (typeof payload.activity === 'string') {
+      changes.currentActivity = payload.activity;
+    }
+
+    updateStatus(userId, changes).catch(handleError);
+  });
+
+  realtime.on('message:activity', (userId, payload) => {
+    exports.setActivity(userId, String(payload.activity || '')).catch(handleError);
+  });
+};
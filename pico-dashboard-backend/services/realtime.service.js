@@ -0,0 +1,142 @@
+const { WebSocketServer } = require('ws');
+const { EventEmitter } = require('events');
+const jwt = require('jsonwebtoken');
+const config = require('../config/config');
+
+// Path clients connect to, e.g. ws://localhost:5000/api/v1/realtime?token=<jwt>
+const REALTIME_PATH = '/api/v1/realtime';
+
+// Lifecycle events: 'connect', 'disconnect' and one event per client message type
+const events = new EventEmitter();
+
+// Open sockets per user id - a user can be connected from several devices
+const connections = new Map();
+
+// Helper function to get the JWT from the upgrade request
+// Browsers cannot set headers on WebSocket connections, so the token is
+// accepted as a query parameter as well as the usual x-auth-token header
+const getToken = (req, url) => {
+  return url.searchParams.get('token') || req.headers['x-auth-token'];
+};
+
+// Helper function to reject an upgrade request before the handshake
+const rejectUpgrade = (socket, status, message) => {
+  socket.write(`HTTP/1.1 ${status} ${message}\r\nConnection: close\r\n\r\n`);
+  socket.destroy();
+};
+
+// Helper function to serialize and send a message over a single socket
+const send = (ws, type, payload) => {
+  if (ws.readyState === ws.OPEN) {
+    ws.send(JSON.stringify({ type, payload }));
+  }
+};
+
+// Register a new authenticated socket for a user
+const addConnection = (userId, ws) => {
+  const sockets = connections.get(userId) || new Set();
+  const firstConnection = sockets.size === 0;
+
+  sockets.add(ws);
+  connections.set(userId, sockets);
+
+  events.emit('connect', userId, { firstConnection });
+};
+
+// Remove a closed socket for a user
+const removeConnection = (userId, ws) => {
+  const sockets = connections.get(userId);
+  if (!sockets || !sockets.delete(ws)) return;
+
+  const lastConnection = sockets.size === 0;
+  if (lastConnection) connections.delete(userId);
+
+  events.emit('disconnect', userId, { lastConnection });
+};
+
+// Attach the WebSocket server to an existing HTTP server
+exports.attach = (server) => {
+  const wss = new WebSocketServer({ noServer: true });
+
+  server.on('upgrade', (req, socket, head) => {
+    const url = new URL(req.url, 'http://localhost');
+
+    if (url.pathname !== REALTIME_PATH) {
+      return rejectUpgrade(socket, 404, 'Not Found');
+    }
+
+    // Authenticate with the same JWT used by the REST API
+    const token = getToken(req, url);
+    if (!token) {
+      return rejectUpgrade(socket, 401, 'Unauthorized');
+    }
+
+    let decoded;
+    try {
+      decoded = jwt.verify(token, config.jwtSecret);
+    } catch (error) {
+      return rejectUpgrade(socket, 401, 'Unauthorized');
+    }
+
+    wss.handleUpgrade(req, socket, head, (ws) => {
+      wss.emit('connection', ws, decoded.id);
+    });
+  });
+
+  wss.on('connection', (ws, userId) => {
+    ws.isAlive = true;
+    addConnection(userId, ws);
+
+    ws.on('pong', () => {
+      ws.isAlive = true;
+    });
+
+    ws.on('message', (data) => {
+      let message;
+      try {
+        message = JSON.parse(data);
+      } catch (error) {
+        return send(ws, 'error', { message: 'Invalid message format' });
+      }
+
+      if (!message || typeof message.type !== 'string') {
+        return send(ws, 'error', { message: 'Message type is required' });
+      }
+
+      // Any message from the client proves the connection is alive
+      ws.isAlive = true;
+      events.emit(`message:${message.type}`, userId, message.payload || {});
+    });
+
+    ws.on('close', () => removeConnection(userId, ws));
+    ws.on('error', () => ws.terminate());
+  });
+
+  // Terminate sockets that stopped answering pings (e.g. headset went to sleep)
+  const heartbeat = setInterval(() => {
+    wss.clients.forEach((ws) => {
+      if (!ws.isAlive) return ws.terminate();
+
+      ws.isAlive = false;
+      ws.ping();
+    });
+  }, config.heartbeatInterval);
+
+  wss.on('close', () => clearInterval(heartbeat));
+
+  return wss;
+};
+
+// Send a message to every open socket of a user
+exports.sendToUser = (userId, type, payload) => {
+  const sockets = connections.get(String(userId));
+  if (!sockets) return;
+
+  sockets.forEach(ws => send(ws, type, payload));
+};
+
+// Check whether a user has at least one open socket
+exports.isConnected = (userId) => connections.has(String(userId));
+
+// Subscribe to realtime lifecycle and message events
+exports.on = (event, listener) => events.on(event, listener);
@@ -0,0 +1,201 @@
+const mongoose = require('mongoose');
+const Application = require('../models/Application');
+const UserActivity = require('../models/UserActivity');
+const LibraryEntry = require('../models/LibraryEntry');
+const FriendRequest = require('../models/FriendRequest');
+const User = require('../models/User');
+
+// Rule-based "For You" ranking. Every signal is scaled to 0-1 and combined
+// with these weights; everything is computed from the local database, so
+// recommendations work without any external service.
+const WEIGHTS = {
+  history: 0.3,     // The user's own recent play time on the app
+  category: 0.3,    // Play time on other apps in the same category
+  friends: 0.25,    // Online friends currently playing the app
+  popularity: 0.15  // Player count and rating across the catalog
+};
+
+// Play time stops counting toward history after about this many days
+const RECENCY_DAYS = 14;
+
+// Friends playing at once for the full friends score
+const FRIENDS_FOR_FULL_SCORE = 3;
+
+// Below this weighted score a personal reason isn't convincing, so the
+// explanation falls back to popularity
+const MIN_REASON_SCORE = 0.05;
+
+const DAY = 24 * 60 * 60 * 1000;
+
+// Helper function to get the name shown for a user
+const nameOf = (user) => user.displayName || user.username;
+
+// Helper function to collect the user's engagement per app
+// Session history is preferred; library launches cover apps launched
+// before sessions were tracked
+const getEngagement = async (userId) => {
+  const [totals, entries] = await Promise.all([
+    UserActivity.aggregate([
+      { $match: { userId: new mongoose.Types.ObjectId(userId) } },
+      {
+        $group: {
+          _id: '$appId',
+          sessions: { $sum: 1 },
+          totalDuration: { $sum: '$duration' },
+          lastPlayed: { $max: '$startTime' }
+        }
+      }
+    ]),
+    LibraryEntry.find({ user: userId, launchCount: { $gt: 0 } })
+  ]);
+
+  const engagement = new Map();
+
+  entries.forEach(entry => {
+    engagement.set(entry.appId, {
+      sessions: entry.launchCount,
+      minutes: 0,
+      lastPlayed: entry.lastLaunchedAt
+    });
+  });
+
+  totals.forEach(total => {
+    const launches = engagement.get(total._id);
+    engagement.set(total._id, {
+      sessions: Math.max(total.sessions, launches ? launches.sessions : 0),
+      minutes: total.totalDuration / 60,
+      lastPlayed: launches && launches.lastPlayed > total.lastPlayed ? launches.lastPlayed : total.lastPlayed
+    });
+  });
+
+  return engagement;
+};
+
+// Helper function to score engagement: more sessions and play time count
+// for more, with diminishing returns, and fade as they get older
+const engagementScore = ({ sessions, minutes, lastPlayed }, now) => {
+  const age = lastPlayed ? (now - new Date(lastPlayed).getTime()) / DAY : Infinity;
+  const recency = Math.exp(-Math.max(0, age) / RECENCY_DAYS);
+
+  return (Math.log1p(sessions) + Math.log1p(minutes)) * recency;
+};
+
+// Helper function to find which apps the user's online friends are playing
+// Activities hold the app name (see the library launch endpoint)
+const getFriendsPlaying = async (userId) => {
+  const friendIds = await FriendRequest.findFriendIds(userId);
+  if (friendIds.length === 0) return new Map();
+
+  const friends = await User.find({
+    _id: { $in: friendIds },
+    'status.online': true,
+    'status.currentActivity': { $nin: [null, ''] }
+  }).select('username displayName status.currentActivity');
+
+  const playing = new Map();
+  friends.forEach(friend => {
+    const activity = friend.status.currentActivity.trim().toLowerCase();
+    playing.set(activity, [...(playing.get(activity) || []), nameOf(friend)]);
+  });
+
+  return playing;
+};
+
+// Helper function to explain why an app was recommended
+const explain = ({ app, signals, friendNames, becauseOf }) => {
+  const candidates = [
+    { type: 'friends', score: signals.friends * WEIGHTS.friends },
+    { type: 'history', score: signals.history * WEIGHTS.history },
+    { type: 'category', score: becauseOf ? signals.category * WEIGHTS.category : 0 }
+  ].sort((a, b) => b.score - a.score);
+
+  const best = candidates[0].score >= MIN_REASON_SCORE ? candidates[0].type : 'popular';
+
+  switch (best) {
+    case 'friends': {
+      const others = friendNames.length - 1;
+      const text = others > 0
+        ? `${friendNames[0]} and ${others} other friend${others === 1 ? '' : 's'} are playing`
+        : `${friendNames[0]} is playing now`;
+      return { type: 'friends', text };
+    }
+    case 'history':
+      return { type: 'history', text: 'Jump back in' };
+    case 'category':
+      return { type: 'category', text: `Because you played ${becauseOf}` };
+    default:
+      return { type: 'popular', text: `Popular in ${app.category}` };
+  }
+};
+
+// Rank the catalog for a user, best first. Without a user (signed out) only
+// popularity is used. Each app gets a 0-1 score and a reason ({ type, text }).
+exports.getRecommendations = async (userId, { limit = 4 } = {}) => {
+  const now = Date.now();
+  const [apps, engagement, friendsPlaying] = await Promise.all([
+    Application.find(),
+    userId ? getEngagement(userId) : new Map(),
+    userId ? getFriendsPlaying(userId) : new Map()
+  ]);
+
+  // Engagement per app and per category, with the most played app of each
+  // category for "Because you played ..."
+  const appScores = new Map();
+  const categories = new Map();
+
+  apps.forEach(app => {
+    const usage = engagement.get(app.appId);
+    if (!usage) return;
+
+    const score = engagementScore(usage, now);
+    appScores.set(app.appId, score);
+
+    const category = categories.get(app.categoryId) || { total: 0, apps: [] };
+    category.total += score;
+    category.apps.push({ name: app.name, appId: app.appId, score });
+    categories.set(app.categoryId, category);
+  });
+
+  const maxAppScore = Math.max(0, ...appScores.values());
+  const maxCategoryScore = Math.max(0, ...[...categories.values()].map(category => category.total));
+  const maxUserCount = Math.max(0, ...apps.map(app => app.userCount));
+
+  const ranked = apps.map(app => {
+    const ownScore = appScores.get(app.appId) || 0;
+    const category = categories.get(app.categoryId);
+
+    // Category affinity comes from the other apps in the category, so an
+    // app doesn't recommend itself twice
+    const categoryScore = category ? category.total - ownScore : 0;
+    const becauseOf = category && category.apps
+      .filter(played => played.appId !== app.appId)
+      .sort((a, b) => b.score - a.score)[0];
+
+    const friendNames = friendsPlaying.get(app.name.toLowerCase()) || [];
+
+    const signals = {
+      history: maxAppScore > 0 ? ownScore / maxAppScore : 0,
+      category: maxCategoryScore > 0 ? categoryScore / maxCategoryScore : 0,
+      friends: Math.min(1, friendNames.length / FRIENDS_FOR_FULL_SCORE),
+      popularity: (maxUserCount > 0 ? 0.7 * Math.log1p(app.userCount) / Math.log1p(maxUserCount) : 0) +
+        0.3 * (app.rating / 5)
+    };
+
+    const score = Object.keys(WEIGHTS).reduce((sum, key) => sum + WEIGHTS[key] * signals[key], 0);
+
+    return {
+      app,
+      score,
+      reason: explain({ app, signals, friendNames, becauseOf: becauseOf && becauseOf.name })
+    };
+  });
+
+  return ranked
+    .sort((a, b) => b.score - a.score || b.app.userCount - a.app.userCount)
+    .slice(0, limit)
+    .map(({ app, score, reason }) => ({
+      ...app.toJSON(),
+      score: Math.round(score * 1000) / 1000,
+      reason
+    }));
+};
@@ -0,0 +1,93 @@
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const RefreshToken = require('../models/RefreshToken');
+const config = require('../config/config');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Helper function to hash a refresh token before storing or looking it up
+const hashToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+
+// Generate a short-lived JWT access token
+exports.generateAccessToken = (userId) => {
+  return jwt.sign({ id: userId }, config.jwtSecret, {
+    expiresIn: config.jwtExpiration
+  });
+};
+
+// Issue a new refresh token, starting a new family unless one is given
+exports.issueRefreshToken = async (userId, family = crypto.randomUUID()) => {
+  const token = crypto.randomBytes(48).toString('hex');
+
+  await RefreshToken.create({
+    user: userId,
+    tokenHash: hashToken(token),
+    family,
+    expiresAt: new Date(Date.now() + config.refreshTokenExpirationDays * DAY_MS)
+  });
+
+  return token;
+};
+
+// Issue an access/refresh token pair for a fresh login
+exports.issueTokens = async (userId) => ({
+  token: exports.generateAccessToken(userId),
+  refreshToken: await exports.issueRefreshToken(userId)
+});
+
+// Exchange a refresh token for a new token pair
+// Returns null if the token is unknown, expired or already used. Presenting
+// an already-rotated token means it was leaked, so the whole family is revoked.
+exports.rotateRefreshToken = async (token) => {
+  const tokenHash = hashToken(token);
+
+  // Atomically claim the token so concurrent refreshes can't both succeed
+  const current = await RefreshToken.findOneAndUpdate(
+    { tokenHash, revokedAt: null },
+    { $set: { revokedAt: Date.now() } }
+  );
+
+  if (!current) {
+    const reused = await RefreshToken.findOne({ tokenHash });
+    if (reused) {
+      console.warn(`Refresh token reuse detected for user ${reused.user}, revoking family`);
+      await exports.revokeFamily(reused.family);
+    }
+    return null;
+  }
+
+  if (current.expiresAt < Date.now()) {
+    return null;
+  }
+
+  const refreshToken = await exports.issueRefreshToken(current.user, current.family);
+  await RefreshToken.updateOne(
+    { _id: current._id },
+    { $set: { replacedBy: hashToken(refreshToken) } }
+  );
+
+  return {
+    userId: current.user,
+    token: exports.generateAccessToken(current.user),
+    refreshToken
+  };
+};
+
+// Find the stored record for a refresh token
+exports.findRefreshToken = (token) => RefreshToken.findOne({ tokenHash: hashToken(token) });
+
+// Revoke every token in a family (one login session)
+exports.revokeFamily = (family) => {
+  return RefreshToken.updateMany(
+    { family, revokedAt: null },
+    { $set: { revokedAt: Date.now() } }
+  );
+};
+
+// Revoke every refresh token of a user (all sessions)
+exports.revokeAllForUser = (userId) => {
+  return RefreshToken.updateMany(
+    { user: userId, revokedAt: null },
+    { $set: { revokedAt: Date.now() } }
+  );
+};
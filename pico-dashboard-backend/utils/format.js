@@ -0,0 +1,29 @@
+// Helper function to turn a display name into a URL-safe id
+// e.g. 'Music & Rhythm' -> 'music-rhythm'
+exports.slugify = (value) => {
+  return String(value)
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, '-')
+    .replace(/^-+|-+$/g, '');
+};
+
+// Helper function to format a user count the way the UI shows it
+// e.g. 5200000 -> '5.2M+', 900000 -> '900K+'
+exports.formatUserCount = (count) => {
+  if (!count) return '0';
+  if (count >= 1e6) return `${parseFloat((count / 1e6).toFixed(1))}M+`;
+  if (count >= 1e3) return `${Math.floor(count / 1e3)}K+`;
+  return String(count);
+};
+
+// Helper function to parse a formatted user count back to a number
+// e.g. '5.2M+' -> 5200000
+exports.parseUserCount = (value) => {
+  if (typeof value === 'number') return value;
+
+  const match = /^([\d.]+)\s*([KM]?)/i.exec(String(value || ''));
+  if (!match) return 0;
+
+  const multiplier = { K: 1e3, M: 1e6 }[match[2].toUpperCase()] || 1;
+  return Math.round(parseFloat(match[1]) * multiplier);
+};
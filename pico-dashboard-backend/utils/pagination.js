@@ -0,0 +1,12 @@
+// Defaults for list endpoints that don't set their own
+const DEFAULT_PAGE_SIZE = 20;
+const MAX_PAGE_SIZE = 50;
+
+// Helper function to read page/limit query parameters
+// e.g. { page: '2', limit: '10' } -> { page: 2, limit: 10, skip: 10 }
+exports.parsePagination = (query, { defaultLimit = DEFAULT_PAGE_SIZE, maxLimit = MAX_PAGE_SIZE } = {}) => {
+  const page = Math.max(1, parseInt(query.page, 10) || 1);
+  const limit = Math.min(maxLimit, Math.max(1, parseInt(query.limit, 10) || defaultLimit));
+
+  return { page, limit, skip: (page - 1) * limit };
+};
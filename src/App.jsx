@@ -7,7 +7,8 @@
  * 
  * Architecture:
  * - 3D Content: Rendered within the React Three Fiber Canvas
- * - 2D Overlays: Rendered as fixed position elements outside the Canvas
+ * - 2D Overlays: Rendered as fixed position elements outside the Canvas,
+ *   swapped for in-world equivalents during XR sessions
  * - Debug Tools: Conditionally rendered based on environment
  * 
  * Performance optimizations:
@@ -19,7 +20,7 @@
  */
 import React, { useState, useEffect, lazy, Suspense } from 'react';
 import { Canvas } from "@react-three/fiber";
-import { VRButton, XR, Controllers, Hands } from "@react-three/xr";
+import { VRButton, XR } from "@react-three/xr";
 import { 
   Stars, 
   AdaptiveDpr, 
@@ -28,9 +29,21 @@ import {
   Stats 
 } from "@react-three/drei";
 import Controls from "./components/Controls";
+import XRControllers from "./components/XRControllers";
+import HandGestures from "./components/HandGestures";
+import XRHands from "./components/XRHands";
+import XRToolbar from "./components/XRToolbar";
+import SceneSettings from "./components/SceneSettings";
+import NotificationToasts from "./components/NotificationToasts";
+import PlayerRig from "./components/PlayerRig";
 import Earth from './components/Earth';
 import "./App.css";
 import ErrorBoundary from './ErrorBoundary';
+import { connectRealtime } from './services/realtime';
+import { initActivityTracking } from './services/activity';
+import { useVRSettings } from './contexts/VRSettingsContext';
+import { getEyeHeight } from './config/scene';
+import { getGraphicsPreset } from './config/graphics';
 
 // Lazy load components that aren't needed immediately
 const Interface = lazy(() => import("./components/Interface"));
@@ -72,9 +85,14 @@ export default function App() {
     panelScale: 1.0,
     orbitControlsEnabled: true,
     showParticles: true,
-    movementEnabled: true
+    movementEnabled: true,
+    collisionEnabled: true
   });
   
+  // User's VR settings (player height, handedness, comfort, display and sound options)
+  const { vrSettings } = useVRSettings();
+  const graphics = getGraphicsPreset(vrSettings.graphicsQuality);
+  
   // Performance and quality management
   const [adaptiveQuality, setAdaptiveQuality] = useState(true);
   const [isInVR, setIsInVR] = useState(false);
@@ -82,7 +100,7 @@ export default function App() {
   
   // Determine runtime environment for conditional rendering of development tools
   const isDev = process.env.NODE_ENV === 'development';
-
+  
   /**
    * Updates debug settings with values from the DebugPanel
    * 
@@ -93,35 +111,34 @@ export default function App() {
   };
   
   /**
-   * Monitor VR session status to optimize rendering for headset
+   * Keep the realtime channel open for presence while the app is running
    */
-  useEffect(() => {
-    // Function to handle XR session changes
-    const xrSessionChanged = (event) => {
-      const isStarting = event.type === 'sessionstart';
-      setIsInVR(isStarting);
-      
-      // Set higher quality for desktop, more optimized for VR
-      if (isStarting) {
-        setAdaptiveQuality(true); // Always use adaptive quality in VR
-        // Update settings for optimal VR performance
-        setDebugSettings(current => ({
-          ...current,
-          showParticles: false, // Disable particles in VR for better performance
-          showGrid: false // Hide grid in VR
-        }));
-      }
-    };
-    
-    // Listen for XR session events
-    document.addEventListener('sessionstart', xrSessionChanged);
-    document.addEventListener('sessionend', xrSessionChanged);
+  useEffect(() => connectRealtime(), []);
+  
+  /**
+   * Track app sessions for the usage history
+   */
+  useEffect(() => initActivityTracking(), []);
+  
+  /**
+   * Handles XR session changes to optimize rendering for the headset
+   * 
+   * @param {boolean} isStarting - True when a session starts, false when it ends
+   */
+  const handleSessionChange = (isStarting) => {
+    setIsInVR(isStarting);
     
-    return () => {
-      document.removeEventListener('sessionstart', xrSessionChanged);
-      document.removeEventListener('sessionend', xrSessionChanged);
-    };
-  }, []);
+    // Set higher quality for desktop, more optimized for VR
+    if (isStarting) {
+      setAdaptiveQuality(true); // Always use adaptive quality in VR
+      // Update settings for optimal VR performance
+      setDebugSettings(current => ({
+        ...current,
+        showParticles: false, // Disable particles in VR for better performance
+        showGrid: false // Hide grid in VR
+      }));
+    }
+  };
   
   /**
    * Handles performance changes from the PerformanceMonitor
@@ -134,7 +151,7 @@ export default function App() {
     // Additional performance tuning could be added here
     // For example, reducing particle count when FPS drops
   };
-
+  
   return (
     <ErrorBoundary>
       {/* Debug controls - Only visible during development */}
@@ -155,6 +172,8 @@ export default function App() {
       {/* 3D Environment */}
       <Canvas 
         camera={{ position: [0, 1.6, 4] }}
+        // Pixel ratio range from the graphics quality setting
+        dpr={graphics.dpr}
         // Enable preserve drawing buffer for screenshots and better XR compatibility
         gl={{ preserveDrawingBuffer: true, antialias: true }}
         // Create a more detailed shadow map and optimize for XR
@@ -183,25 +202,44 @@ export default function App() {
           iterations={5}   // Require more iterations before triggering
         />
         
-        {/* Navigation controls */}
-        <Controls 
-          enableOrbit={debugSettings.orbitControlsEnabled}
-          enableMovement={debugSettings.movementEnabled}
-          movementSpeed={3}
-          target={[0, 1.5, 0]}
-        />
-        
         {/* WebXR context */}
         <XR 
           referenceSpace="local-floor"
           frameRate={90} // Target high refresh rate for VR headsets
+          onSessionStart={() => handleSessionChange(true)}
+          onSessionEnd={() => handleSessionChange(false)}
         >
-          <Controllers />
-          <Hands 
-            modelLeft="https://cdn.jsdelivr.net/gh/mrdoob/three.js@dev/examples/models/gltf/hand-left.glb"
-            modelRight="https://cdn.jsdelivr.net/gh/mrdoob/three.js@dev/examples/models/gltf/hand-right.glb"
+          <PlayerRig playerHeight={vrSettings.playerHeight} />
+          <SceneSettings brightness={vrSettings.brightness} volume={vrSettings.volume} />
+          <XRControllers handedness={vrSettings.handedness} />
+          
+          {/* Navigation controls */}
+          <Controls 
+            enableOrbit={debugSettings.orbitControlsEnabled}
+            enableMovement={debugSettings.movementEnabled}
+            movementSpeed={3}
+            target={[0, 1.5, 0]}
+            eyeHeight={getEyeHeight(vrSettings.playerHeight)}
+            snapTurning={vrSettings.comfortSettings.snapTurning}
+            turnAngle={vrSettings.comfortSettings.turnAngle}
+            vignette={vrSettings.comfortSettings.vignette}
+            movementType={vrSettings.movementType}
+            handedness={vrSettings.handedness}
+            collision={debugSettings.collisionEnabled}
           />
           
+          {/* Tracked hands, using the bundled models and the user's hand skin */}
+          <XRHands />
+          
+          {/* Pinch and poke interaction for tracked hands */}
+          <HandGestures />
+          
+          {/* In-world toolbar, replacing the DOM HUD while in a headset */}
+          <XRToolbar />
+          
+          {/* Toasts for newly arrived notifications */}
+          <NotificationToasts />
+          
           {/* Scene environment */}
           <color attach="background" args={['#000']} />
           <fog attach="fog" args={['#000', 15, 30]} />
@@ -210,7 +248,7 @@ export default function App() {
           <Stars 
             radius={100}
             depth={50}
-            count={isInVR ? 3000 : 5000} // Reduce stars count in VR
+            count={isInVR ? Math.min(graphics.starCount, 3000) : graphics.starCount} // Reduce stars count in VR
             factor={4}
             saturation={0.5}
             fade
@@ -226,7 +264,7 @@ export default function App() {
           <directionalLight 
             position={[0, 5, 5]} 
             intensity={0.5}
-            castShadow={!isInVR} // Disable shadow casting in VR
+            castShadow={graphics.shadows && !isInVR} // Disable shadow casting in VR
             shadow-mapSize-width={1024}
             shadow-mapSize-height={1024}
           />
@@ -244,10 +282,12 @@ export default function App() {
         </XR>
       </Canvas>
       
-      {/* 2D fixed position interface elements */}
-      <Suspense fallback={<LoadingMessage />}>
-        <BottomToolbarHUD />
-      </Suspense>
+      {/* 2D fixed position interface elements (invisible inside a headset) */}
+      {!isInVR && (
+        <Suspense fallback={<LoadingMessage />}>
+          <BottomToolbarHUD />
+        </Suspense>
+      )}
     </ErrorBoundary>
   );
 }
@@ -4,25 +4,22 @@
  * Fixed-position toolbar that provides persistent access to primary navigation
  * regardless of the user's position in the 3D environment. Rendered outside the
  * Canvas as a standard DOM element for consistent access and better performance.
+ * Inside a WebXR session the DOM can't be seen, so XRToolbar takes over there.
  * 
  * Features:
  * - Always visible regardless of 3D camera position
  * - Quick access to primary application sections
  * - Visual consistency with the Pico VR home interface
  * - Interactive feedback with hover effects
+ * - Highlights the active section; clicking an icon navigates to it
+ * - Unread notification badge
  * - Current time display
  */
-import React, { useState, useEffect } from 'react';
-
-// Common application sections with their visual styling
-const TOOLBAR_APPS = [
-  { id: 'home', name: 'Home', icon: '🏠', color: '#4285F4' },
-  { id: 'browser', name: 'Browser', icon: '🌐', color: '#EA4335' },
-  { id: 'store', name: 'Store', icon: '🛒', color: '#34A853' },
-  { id: 'settings', name: 'Settings', icon: '⚙️', color: '#FBBC05' },
-  { id: 'gallery', name: 'Gallery', icon: '🖼️', color: '#9C27B0' },
-  { id: 'library', name: 'Library', icon: '📚', color: '#FF9800' }
-];
+import React from 'react';
+import useClock from '../hooks/useClock';
+import { useNavigation } from '../contexts/NavigationContext';
+import { useNotifications } from '../contexts/NotificationContext';
+import { TOOLBAR_APPS, getBadgeCount, formatBadgeCount } from '../config/navigation';
 
 // Base styles - extracted to avoid repetition
 const STYLES = {
@@ -51,6 +48,27 @@ const STYLES = {
     transition: 'transform 0.2s, background-color 0.2s',
     fontSize: '20px',
     boxShadow: '0 1px 3px rgba(0,0,0,0.4)',
+    position: 'relative',
+  },
+  badge: {
+    position: 'absolute',
+    top: '-4px',
+    right: '-4px',
+    minWidth: '18px',
+    height: '18px',
+    padding: '0 4px',
+    boxSizing: 'border-box',
+    borderRadius: '9px',
+    background: '#EA4335',
+    color: 'white',
+    fontSize: '11px',
+    fontWeight: 'bold',
+    fontFamily: 'Arial, sans-serif',
+    lineHeight: '18px',
+    textAlign: 'center',
+  },
+  activeIcon: {
+    boxShadow: '0 0 0 3px white, 0 0 12px rgba(255,255,255,0.6)'
   },
   clock: {
     color: 'white',
@@ -70,57 +88,50 @@ const STYLES = {
  * @returns {JSX.Element} The rendered toolbar HUD
  */
 const BottomToolbarHUD = () => {
-  // Live clock state
-  const [currentTime, setCurrentTime] = useState(
-    new Date().toLocaleTimeString([], { hour: '2-digit', minute: '2-digit', hour12: false })
-  );
+  const { section, navigate } = useNavigation();
+  const { unreadCount, enabled: notificationsEnabled } = useNotifications();
+  
+  // Counters for icon badges (hidden while notifications are turned off)
+  const badgeCounts = { notifications: notificationsEnabled ? unreadCount : 0 };
+  
+  // Live clock, updated every minute
+  const currentTime = useClock();
   
-  // Update the clock every minute
-  useEffect(() => {
-    // Initial time set outside the interval
-    setCurrentTime(
-      new Date().toLocaleTimeString([], { hour: '2-digit', minute: '2-digit', hour12: false })
-    );
-    
-    // Reference the function to avoid recreation on each render
-    const updateTime = () => {
-      setCurrentTime(
-        new Date().toLocaleTimeString([], { hour: '2-digit', minute: '2-digit', hour12: false })
-      );
-    };
-    
-    const intervalId = setInterval(updateTime, 60000);
-    
-    // Critical: Properly clean up on unmount
-    return () => {
-      clearInterval(intervalId);
-    };
-  }, []); // Empty dependency array ensures this runs only once
-
   /**
    * Handles toolbar icon click events
    * 
-   * @param {string} appName - The name of the clicked application
+   * @param {string} sectionId - The id of the clicked section
    */
-  const handleIconClick = (appName) => {
-    console.log(`Clicked Toolbar HUD: ${appName}`);
-    // Future implementation: Navigation or action triggering
+  const handleIconClick = (sectionId) => {
+    navigate(sectionId);
   };
-
+  
   return (
     <div style={STYLES.hud}>
-      {TOOLBAR_APPS.map((app) => (
-        <div 
-          key={app.id} 
-          title={app.name}
-          style={{ ...STYLES.iconContainer, backgroundColor: app.color }}
-          onClick={() => handleIconClick(app.name)}
-          onMouseEnter={(e) => e.currentTarget.style.transform = 'scale(1.1)'}
-          onMouseLeave={(e) => e.currentTarget.style.transform = 'scale(1.0)'}
-        >
-          {app.icon}
-        </div>
-      ))}
+      {TOOLBAR_APPS.map((app) => {
+        const badgeCount = getBadgeCount(app, badgeCounts);
+        
+        return (
+          <div 
+            key={app.id} 
+            title={app.name}
+            aria-current={section === app.id ? 'page' : undefined}
+            style={{
+              ...STYLES.iconContainer,
+              backgroundColor: app.color,
+              ...(section === app.id && STYLES.activeIcon)
+            }}
+            onClick={() => handleIconClick(app.id)}
+            onMouseEnter={(e) => e.currentTarget.style.transform = 'scale(1.1)'}
+            onMouseLeave={(e) => e.currentTarget.style.transform = 'scale(1.0)'}
+          >
+            {app.icon}
+            {badgeCount > 0 && (
+              <span style={STYLES.badge}>{formatBadgeCount(badgeCount)}</span>
+            )}
+          </div>
+        );
+      })}
       <div style={STYLES.clock}>
         {currentTime}
       </div>
@@ -0,0 +1,83 @@
+/**
+ * Comfort Vignette Component
+ * 
+ * Tunnelling vignette that darkens the edges of the view while the user
+ * moves or rotates artificially, a common technique for reducing motion
+ * sickness in VR.
+ * 
+ * Technical implementation:
+ * - Full-screen quad drawn directly in clip space, so it covers each eye's
+ *   viewport in stereo rendering without following the camera
+ * - Radial falloff computed in the fragment shader
+ * - Intensity read from a ref every frame, avoiding React re-renders
+ */
+import React, { useMemo, useRef } from 'react';
+import { useFrame } from '@react-three/fiber';
+import * as THREE from 'three';
+
+/**
+ * ComfortVignette Component
+ * 
+ * @param {Object} props - Component properties
+ * @param {Object} props.intensityRef - Ref holding the current intensity (0-1)
+ * @param {number} props.innerRadius - Radius where darkening starts at full intensity (default: 0.35)
+ * @param {number} props.softness - Width of the falloff band (default: 0.35)
+ * @param {string} props.color - Vignette color (default: black)
+ * @returns {JSX.Element} The vignette overlay
+ */
+const ComfortVignette = ({ 
+  intensityRef, 
+  innerRadius = 0.35, 
+  softness = 0.35, 
+  color = '#000000' 
+}) => {
+  const material = useMemo(() => new THREE.ShaderMaterial({
+    uniforms: {
+      intensity: { value: 0 },
+      innerRadius: { value: innerRadius },
+      softness: { value: softness },
+      color: { value: new THREE.Color(color) }
+    },
+    vertexShader: `
+      varying vec2 vUv;
+      void main() {
+        vUv = uv;
+        // Plane spans -1..1, so output it straight to clip space
+        gl_Position = vec4(position.xy, 0.0, 1.0);
+      }
+    `,
+    fragmentShader: `
+      uniform float intensity;
+      uniform float innerRadius;
+      uniform float softness;
+      uniform vec3 color;
+      varying vec2 vUv;
+      void main() {
+        float dist = length(vUv - 0.5) * 2.0;
+        // Higher intensity pulls the tunnel further toward the center
+        float start = mix(1.2, innerRadius, intensity);
+        float alpha = smoothstep(start, start + softness, dist) * intensity;
+        gl_FragColor = vec4(color, alpha);
+      }
+    `,
+    transparent: true,
+    depthTest: false,
+    depthWrite: false
+  }), [innerRadius, softness, color]);
+  
+  const meshRef = useRef();
+  
+  useFrame(() => {
+    material.uniforms.intensity.value = intensityRef.current;
+    // Skip the draw call entirely while the user is standing still
+    if (meshRef.current) meshRef.current.visible = intensityRef.current > 0.001;
+  });
+  
+  return (
+    <mesh ref={meshRef} frustumCulled={false} renderOrder={1000} material={material}>
+      <planeGeometry args={[2, 2]} />
+    </mesh>
+  );
+};
+
+export default ComfortVignette;
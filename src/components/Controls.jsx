@@ -6,34 +6,77 @@
  * 
  * Features:
  * - Mouse look with orbit controls
- * - WASD movement relative to view direction
- * - Q/E for camera rotation
- * - Space/Shift for vertical movement
+ * - Movement relative to view direction (WASD/arrows by default)
+ * - Camera rotation (Q/E by default; smooth, or snap turning by a fixed angle)
+ * - Vertical movement (Space/Shift by default)
+ * - Rebindable keyboard, mouse and gamepad input via the input action map
  * - Adjustable movement speed
  * - Smooth acceleration and deceleration
+ * - Eye height driven by the user's player height setting
+ * - XR thumbstick locomotion following the handedness setting: the
+ *   off-hand stick moves relative to the head, the dominant stick turns,
+ *   stick click sprints
+ * - Snap turning via the turn actions or a dominant thumbstick flick in XR
+ * - Comfort vignette that narrows the view during smooth motion
+ * - Teleport locomotion ('teleport' and 'mixed' movement types), aimed by
+ *   pushing the dominant stick forward; turning then ignores that stick
+ *   unless it is pushed mostly sideways
+ * - Optional collision: stays above the floor, inside the play area and
+ *   slides along panels instead of passing through them
  */
 import React, { useRef, useEffect, useState, useMemo } from 'react';
 import { useFrame, useThree } from '@react-three/fiber';
 import { OrbitControls } from '@react-three/drei';
+import { useXR } from '@react-three/xr';
 import * as THREE from 'three';
+import ComfortVignette from './ComfortVignette';
+import useInputActions from '../hooks/useInputActions';
+import TeleportPointer from './TeleportPointer';
+import { getThumbstick, getStickHands, createFlickDetector, applyDeadzone } from '../input/xrGamepad';
+import { constrainMovement } from '../utils/collision';
+import { PLAY_AREA } from '../config/scene';
 
 /**
  * Controls Component
  * 
  * @param {Object} props - Component properties
  * @param {boolean} props.enableOrbit - Enable/disable orbit controls
- * @param {boolean} props.enableMovement - Enable/disable keyboard movement
+ * @param {boolean} props.enableMovement - Enable/disable keyboard, gamepad and thumbstick movement
  * @param {number} props.movementSpeed - Base speed for movement (default: 3)
  * @param {Array} props.target - Initial target position for orbit controls
+ * @param {number} props.eyeHeight - Camera eye height in meters (optional)
+ * @param {boolean} props.snapTurning - Rotate in fixed steps instead of smoothly
+ * @param {number} props.turnAngle - Snap turn step in degrees (default: 45)
+ * @param {boolean} props.vignette - Darken the periphery during smooth motion
+ * @param {string} props.movementType - 'smooth', 'teleport' or 'mixed' (both)
+ * @param {string} props.handedness - Dominant hand ('left' or 'right', default: 'right')
+ * @param {boolean} props.collision - Constrain movement to the play area and around panels (default: true)
+ * @param {Object} props.playArea - Play area limits (default: PLAY_AREA from config/scene)
  */
 const Controls = ({ 
   enableOrbit = true, 
   enableMovement = true, 
   movementSpeed = 3,
-  target = [0, 1.5, -1]
+  target = [0, 1.5, -1],
+  eyeHeight,
+  snapTurning = false,
+  turnAngle = 45,
+  vignette = false,
+  movementType = 'smooth',
+  handedness = 'right',
+  collision = true,
+  playArea = PLAY_AREA
 }) => {
   const orbitRef = useRef();
-  const { camera } = useThree();
+  const { camera, gl } = useThree();
+  
+  // XR player rig - moved and rotated instead of the camera while in a headset
+  const player = useXR(state => state.player);
+  const isPresenting = useXR(state => state.isPresenting);
+  
+  // Which locomotion styles are active for the movement type
+  const smoothMovement = movementType !== 'teleport';
+  const teleportMovement = movementType !== 'smooth';
   
   // Create persistent vectors to avoid garbage collection
   const persistentVectors = useMemo(() => ({
@@ -43,183 +86,206 @@ const Controls = ({
     forward: new THREE.Vector3(),
     right: new THREE.Vector3(),
     targetVec: new THREE.Vector3(),
-    targetRelative: new THREE.Vector3()
+    targetRelative: new THREE.Vector3(),
+    upAxis: new THREE.Vector3(0, 1, 0),
+    headPosition: new THREE.Vector3(),
+    teleportOffset: new THREE.Vector3(),
+    headQuaternion: new THREE.Quaternion()
   }), []);
   
-  // Use refs to avoid re-renders
-  const keysRef = useRef({
-    forward: false,   // W
-    backward: false,  // S
-    left: false,      // A
-    right: false,     // D
-    up: false,        // Space
-    down: false,      // Shift
-    turnLeft: false,  // Q
-    turnRight: false, // E
-    sprint: false     // Alt
-  });
-  
   const rotationVelocity = useRef(0);
   const lastFrameTime = useRef(performance.now());
   
-  // Setup event listeners for keyboard controls
-  useEffect(() => {
-    if (!enableMovement) return;
+  // Pending snap turns (+1 per left step, -1 per right step)
+  const pendingSnapTurns = useRef(0);
+  
+  // Right thumbstick flick detection for snap turning in XR
+  const turnFlick = useMemo(() => createFlickDetector(), []);
+  
+  // Current comfort vignette strength (0-1), read by ComfortVignette each frame
+  const vignetteIntensity = useRef(0);
+  
+  // Keep the latest snap setting readable from the key handlers
+  const snapTurningRef = useRef(snapTurning);
+  snapTurningRef.current = snapTurning;
+  
+  /**
+   * Rotates the view around the camera's vertical axis by moving the
+   * orbit target around the camera position
+   * 
+   * @param {number} angle - Rotation in radians (positive turns left)
+   * @param {number} smoothing - Lerp factor toward the new target (1 = instant)
+   */
+  const rotateView = (angle, smoothing = 1) => {
+    const { targetVec, targetRelative, upAxis } = persistentVectors;
     
-    const handleKeyDown = (e) => {
-      // Only handle keys if not typing in an input field
-      if (e.target.tagName === 'INPUT' || e.target.tagName === 'TEXTAREA') return;
-      
-      switch (e.code) {
-        case 'KeyW':
-          keysRef.current.forward = true;
-          break;
-        case 'KeyS':
-          keysRef.current.backward = true;
-          break;
-        case 'KeyA':
-          keysRef.current.left = true;
-          break;
-        case 'KeyD':
-          keysRef.current.right = true;
-          break;
-        case 'KeyQ':
-          keysRef.current.turnLeft = true;
-          break;
-        case 'KeyE':
-          keysRef.current.turnRight = true;
-          break;
-        case 'Space':
-          keysRef.current.up = true;
-          e.preventDefault(); // Prevent page scroll
-          break;
-        case 'ShiftLeft':
-        case 'ShiftRight':
-          keysRef.current.down = true;
-          break;
-        case 'AltLeft':
-        case 'AltRight':
-          keysRef.current.sprint = true;
-          e.preventDefault(); // Prevent browser actions
-          break;
-        default:
-          break;
-      }
-    };
+    // Get the relative vector from camera to target
+    targetVec.copy(orbitRef.current.target);
+    targetRelative.subVectors(targetVec, camera.position);
     
-    const handleKeyUp = (e) => {
-      // Only handle keys if not typing in an input field
-      if (e.target.tagName === 'INPUT' || e.target.tagName === 'TEXTAREA') return;
-      
-      switch (e.code) {
-        case 'KeyW':
-          keysRef.current.forward = false;
-          break;
-        case 'KeyS':
-          keysRef.current.backward = false;
-          break;
-        case 'KeyA':
-          keysRef.current.left = false;
-          break;
-        case 'KeyD':
-          keysRef.current.right = false;
-          break;
-        case 'KeyQ':
-          keysRef.current.turnLeft = false;
-          break;
-        case 'KeyE':
-          keysRef.current.turnRight = false;
-          break;
-        case 'Space':
-          keysRef.current.up = false;
-          break;
-        case 'ShiftLeft':
-        case 'ShiftRight':
-          keysRef.current.down = false;
-          break;
-        case 'AltLeft':
-        case 'AltRight':
-          keysRef.current.sprint = false;
-          break;
-        default:
-          break;
-      }
-    };
+    // Rotate around the Y axis
+    targetRelative.applyAxisAngle(upAxis, angle);
+    
+    // Calculate new target position
+    targetVec.copy(camera.position).add(targetRelative);
+    
+    // Update orbit controls target
+    orbitRef.current.target.lerp(targetVec, smoothing);
+    
+    // Only update orbit controls once per frame
+    if (!orbitRef.current.autoRotate) {
+      orbitRef.current.update();
+    }
+  };
+  
+  /**
+   * Rotates the XR player rig around the user's head, so turning doesn't
+   * also swing the user sideways through the room
+   * 
+   * @param {number} angle - Rotation in radians (positive turns left)
+   */
+  const rotatePlayer = (angle) => {
+    const { upAxis, headPosition } = persistentVectors;
+    
+    camera.getWorldPosition(headPosition);
+    player.position.sub(headPosition).applyAxisAngle(upAxis, angle).add(headPosition);
+    player.rotation.y += angle;
+  };
+  
+  /**
+   * Eases the comfort vignette toward a target strength
+   * 
+   * @param {number} target - Desired intensity (0-1)
+   */
+  const updateVignette = (target) => {
+    vignetteIntensity.current = THREE.MathUtils.lerp(
+      vignetteIntensity.current,
+      vignette ? THREE.MathUtils.clamp(target, 0, 1) : 0,
+      0.15
+    );
+  };
+  
+  /**
+   * Moves the user to a teleport destination, keeping their current height
+   * 
+   * @param {THREE.Vector3} point - Landing point on the floor
+   */
+  const teleportTo = (point) => {
+    const { headPosition, teleportOffset, velocity } = persistentVectors;
+    
+    if (isPresenting) {
+      // Shift the rig so the head (not the rig origin) ends up over the point
+      camera.getWorldPosition(headPosition);
+      teleportOffset.set(point.x - headPosition.x, 0, point.z - headPosition.z);
+      player.position.add(teleportOffset);
+      return;
+    }
     
-    // Add event listeners
-    window.addEventListener('keydown', handleKeyDown);
-    window.addEventListener('keyup', handleKeyUp);
+    teleportOffset.set(point.x - camera.position.x, 0, point.z - camera.position.z);
+    camera.position.add(teleportOffset);
+    velocity.set(0, 0, 0);
     
-    // Clean up event listeners when component unmounts
-    return () => {
-      window.removeEventListener('keydown', handleKeyDown);
-      window.removeEventListener('keyup', handleKeyUp);
-    };
-  }, [enableMovement]);
+    if (orbitRef.current) {
+      orbitRef.current.target.add(teleportOffset);
+      orbitRef.current.update();
+    }
+  };
+  
+  // Bound keyboard, mouse and gamepad input; snap turns step once per press
+  const input = useInputActions({
+    enabled: enableMovement,
+    onPress: (action) => {
+      if (!snapTurningRef.current) return;
+      if (action === 'turnLeft') pendingSnapTurns.current += 1;
+      if (action === 'turnRight') pendingSnapTurns.current -= 1;
+    }
+  });
   
   // Handle movement and rotation each frame
   useFrame(() => {
-    if (!enableMovement || !orbitRef.current) return;
+    if (!enableMovement) return;
+    if (!isPresenting && !orbitRef.current) return;
     
     // Calculate delta time to smooth out frame rate variations
     const now = performance.now();
     const deltaTime = Math.min(0.05, (now - lastFrameTime.current) / 1000); // Cap at 50ms to avoid huge jumps
     lastFrameTime.current = now;
     
-    const keys = keysRef.current;
-    const { 
-      direction, velocity, moveVector, forward, right, targetVec, targetRelative 
-    } = persistentVectors;
-    
-    // Calculate movement speed
-    const currentSpeed = keys.sprint ? movementSpeed * 2 : movementSpeed;
+    const { direction, velocity, moveVector, forward, right, headQuaternion } = persistentVectors;
     
     // Reset direction vector
     direction.set(0, 0, 0);
     
-    // Set direction based on keys pressed
-    if (keys.forward) direction.z = -1;
-    if (keys.backward) direction.z = 1;
-    if (keys.left) direction.x = -1;
-    if (keys.right) direction.x = 1;
-    if (keys.up) direction.y = 1;
-    if (keys.down) direction.y = -1;
+    let sprint = false;
+    let turnInput = 0;
     
-    // Normalize direction if moving in multiple directions
-    if (direction.lengthSq() > 0) {
-      direction.normalize();
-    }
-    
-    // Calculate rotation velocity for Q/E keys
-    let targetRotationVelocity = 0;
-    if (keys.turnLeft) targetRotationVelocity = 1;
-    if (keys.turnRight) targetRotationVelocity = -1;
-    rotationVelocity.current = THREE.MathUtils.lerp(
-      rotationVelocity.current, 
-      targetRotationVelocity * 1.5, 
-      0.05  // Reduced lerp factor for smoother acceleration
-    );
-    
-    // Apply rotation if Q or E are pressed
-    if (Math.abs(rotationVelocity.current) > 0.01) {
-      const rotationAmount = rotationVelocity.current * deltaTime;
-      
-      // Get the relative vector from camera to target
-      targetVec.copy(orbitRef.current.target);
-      targetRelative.subVectors(targetVec, camera.position);
+    if (isPresenting) {
+      // In a headset: the off-hand stick moves, the dominant stick turns
+      const session = gl.xr.getSession();
+      const hands = getStickHands(handedness);
+      const moveStick = getThumbstick(session, hands.offHand);
+      const turnStick = getThumbstick(session, hands.dominant);
       
-      // Create rotation matrix around Y axis
-      targetRelative.applyAxisAngle(new THREE.Vector3(0, 1, 0), rotationAmount);
+      if (moveStick && smoothMovement) {
+        direction.x = applyDeadzone(moveStick.x);
+        direction.z = applyDeadzone(moveStick.y);
+        sprint = moveStick.pressed;
+      }
       
-      // Calculate new target position
-      targetVec.copy(camera.position).add(targetRelative);
+      if (turnStick) {
+        // The stick also aims teleports, so only mostly sideways pushes turn
+        const turnX = teleportMovement && Math.abs(turnStick.y) > Math.abs(turnStick.x) ? 0 : turnStick.x;
+        
+        // Pushing right turns right (negative rotation around Y)
+        turnInput = -applyDeadzone(turnX);
+        pendingSnapTurns.current -= turnFlick(turnX);
+      }
+    } else {
+      // Set direction based on held actions (teleport-only mode has no smooth movement)
+      if (smoothMovement) {
+        if (input.isActive('moveForward')) direction.z = -1;
+        if (input.isActive('moveBackward')) direction.z = 1;
+        if (input.isActive('moveLeft')) direction.x = -1;
+        if (input.isActive('moveRight')) direction.x = 1;
+        if (input.isActive('moveUp')) direction.y = 1;
+        if (input.isActive('moveDown')) direction.y = -1;
+      }
       
-      // Update orbit controls target - do it smoothly
-      orbitRef.current.target.lerp(targetVec, 0.1);
+      sprint = input.isActive('sprint');
+      if (input.isActive('turnLeft')) turnInput = 1;
+      if (input.isActive('turnRight')) turnInput = -1;
+    }
+    
+    // Calculate movement speed
+    const currentSpeed = sprint ? movementSpeed * 2 : movementSpeed;
+    
+    // Limit diagonal input to unit length (analog stick input keeps its magnitude)
+    if (direction.lengthSq() > 1) {
+      direction.normalize();
+    }
+    
+    if (snapTurning) {
+      // Snap turning: rotate instantly by whole steps, no smooth rotation
+      rotationVelocity.current = 0;
+      if (pendingSnapTurns.current !== 0) {
+        const angle = pendingSnapTurns.current * THREE.MathUtils.degToRad(turnAngle);
+        if (isPresenting) rotatePlayer(angle);
+        else rotateView(angle);
+        pendingSnapTurns.current = 0;
+      }
+    } else {
+      // Calculate rotation velocity from the turn actions or the right stick
+      pendingSnapTurns.current = 0;
+      rotationVelocity.current = THREE.MathUtils.lerp(
+        rotationVelocity.current, 
+        turnInput * 1.5, 
+        0.05  // Reduced lerp factor for smoother acceleration
+      );
       
-      // Only update orbit controls once per frame
-      if (!orbitRef.current.autoRotate) {
-        orbitRef.current.update();
+      // Apply rotation while turning - update the target smoothly
+      if (Math.abs(rotationVelocity.current) > 0.01) {
+        if (isPresenting) rotatePlayer(rotationVelocity.current * deltaTime);
+        else rotateView(rotationVelocity.current * deltaTime, 0.1);
       }
     }
     
@@ -236,16 +302,18 @@ const Controls = ({
       
       // Handle horizontal movement (X/Z plane)
       if (Math.abs(velocity.x) > 0.001 || Math.abs(velocity.z) > 0.001) {
-        // Get camera's forward and right vectors, but lock Y to 0 for level movement
-        forward.set(0, 0, -1).applyQuaternion(camera.quaternion);
+        // Get the head's forward and right vectors, but lock Y to 0 for level movement
+        camera.getWorldQuaternion(headQuaternion);
+        
+        forward.set(0, 0, -1).applyQuaternion(headQuaternion);
         forward.y = 0;
         forward.normalize();
         
-        right.set(1, 0, 0).applyQuaternion(camera.quaternion);
+        right.set(1, 0, 0).applyQuaternion(headQuaternion);
         right.y = 0;
         right.normalize();
         
-        // Calculate movement vector using camera's orientation
+        // Calculate movement vector using the head's orientation
         if (Math.abs(velocity.z) > 0.001) {
           moveVector.addScaledVector(forward, -velocity.z * deltaTime);
         }
@@ -259,17 +327,34 @@ const Controls = ({
         moveVector.y += velocity.y * deltaTime;
       }
       
-      // Apply movement to camera
-      camera.position.add(moveVector);
-      
-      // Smoothly update the orbit controls target
-      orbitRef.current.target.add(moveVector);
+      // Keep out of the floor, panels and the area beyond the play bounds
+      if (collision) {
+        camera.getWorldPosition(persistentVectors.headPosition);
+        constrainMovement(persistentVectors.headPosition, moveVector, playArea);
+      }
       
-      // Ensure orbit controls updates its internal state
-      if (!orbitRef.current.autoRotate) {
-        orbitRef.current.update();
+      if (isPresenting) {
+        // Move the whole rig so room-scale tracking stays intact
+        player.position.add(moveVector);
+      } else {
+        // Apply movement to camera
+        camera.position.add(moveVector);
+        
+        // Smoothly update the orbit controls target
+        orbitRef.current.target.add(moveVector);
+        
+        // Ensure orbit controls updates its internal state
+        if (!orbitRef.current.autoRotate) {
+          orbitRef.current.update();
+        }
       }
     }
+    
+    // Narrow the view in proportion to current movement and rotation speed
+    updateVignette(Math.max(
+      velocity.length() / movementSpeed,
+      Math.abs(rotationVelocity.current) / 1.5
+    ));
   });
   
   // Set initial position of the target
@@ -280,11 +365,28 @@ const Controls = ({
     }
   }, [target]);
   
+  // Apply eye height changes by shifting camera and target vertically together,
+  // so the view direction is preserved
+  useEffect(() => {
+    if (eyeHeight === undefined) return;
+    
+    const offset = eyeHeight - camera.position.y;
+    camera.position.y += offset;
+    
+    if (orbitRef.current) {
+      orbitRef.current.target.y += offset;
+      orbitRef.current.update();
+    }
+  }, [eyeHeight, camera]);
+  
   return (
     <>
+      {vignette && <ComfortVignette intensityRef={vignetteIntensity} />}
+      {enableMovement && teleportMovement && <TeleportPointer onTeleport={teleportTo} handedness={handedness} collision={collision} />}
       {enableOrbit && (
         <OrbitControls
           ref={orbitRef}
+          makeDefault  // Exposed as the default controls so panel drags can pause it
           enablePan={false}
           enableZoom={true}
           enableRotate={true}
@@ -0,0 +1,193 @@
+/**
+ * Curved Surface Components
+ * 
+ * Building blocks for panels bent into a cylindrical segment around the
+ * viewer, like the curved home screen of the Pico VR interface.
+ * 
+ * Features:
+ * - CurvedSurface: open cylinder segment with configurable radius, arc
+ *   angle and height, used as a panel backdrop
+ * - CurvedItem: places a piece of HTML content (e.g. a card) tangent to
+ *   the arc, so content follows the curve instead of floating flat in
+ *   front of it
+ * - Raycast hit points on the surface are mapped back to the content of
+ *   the item under them, so items stay usable with XR controllers
+ * 
+ * Technical implementation:
+ * - The cylinder's axis sits `radius` meters in front of the panel origin,
+ *   so layout coordinates (see utils/curve.js) start at the panel's center
+ * - Items register their rectangle and content element with the enclosing
+ *   CurvedLayout; useCurvedLayout resolves controller hits on the surface
+ *   to content coordinates for the HTML pointer bridge (useHtmlPointer)
+ * - Mouse input reaches items directly through their HTML elements
+ */
+import React, { createContext, useContext, useState, useEffect, useRef, useMemo, useCallback, forwardRef } from 'react';
+import { Html } from '@react-three/drei';
+import * as THREE from 'three';
+import { getArcPlacement, toArcCoordinates, isInsideRect } from '../utils/curve';
+import { toContentPoint } from '../input/htmlPointer';
+
+// Segments per radian of arc - enough for a smooth silhouette
+const SEGMENTS_PER_RADIAN = 24;
+
+// Default HTML resolution of curved items, in CSS pixels per meter
+const DEFAULT_RESOLUTION = 175;
+
+const CurvedLayoutContext = createContext(null);
+
+// Reused vector to avoid garbage collection
+const localPoint = new THREE.Vector3();
+
+/**
+ * CurvedSurface Component
+ * 
+ * @param {Object} props - Component properties
+ * @param {number} props.radius - Cylinder radius in meters
+ * @param {number} props.arc - Arc angle in radians
+ * @param {number} props.height - Height in meters
+ * @param {number} props.depth - Distance behind the layout surface in meters (default: 0)
+ * @param {React.ReactNode} props.children - Material for the surface
+ * @returns {JSX.Element} The curved mesh
+ */
+const CurvedSurface = forwardRef(({ radius, arc, height, depth = 0, children, ...meshProps }, ref) => (
+  <mesh ref={ref} position={[0, 0, radius]} {...meshProps}>
+    <cylinderGeometry
+      args={[
+        radius + depth,
+        radius + depth,
+        height,
+        Math.max(8, Math.ceil(arc * SEGMENTS_PER_RADIAN)),
+        1,
+        true,  // Open ended - no caps
+        Math.PI - arc / 2,  // Centered on the side facing away from the axis
+        arc
+      ]}
+    />
+    {children}
+  </mesh>
+));
+
+CurvedSurface.displayName = 'CurvedSurface';
+
+/**
+ * Hook that tracks the items of a curved panel and resolves controller
+ * hits on its surface to their content
+ * 
+ * @param {number} radius - Cylinder radius in meters
+ * @param {React.RefObject} surfaceRef - Ref to the CurvedSurface mesh
+ * @returns {{layout: Object, resolve: Function}} Context value for CurvedLayout, and
+ *   resolve(intersection), which returns the content hit ({root, x, y}) or null
+ */
+export function useCurvedLayout(radius, surfaceRef) {
+  const regions = useRef(new Set());
+  
+  const registerRegion = useCallback((region) => {
+    regions.current.add(region);
+    return () => regions.current.delete(region);
+  }, []);
+  
+  const resolve = (intersection) => {
+    const surface = surfaceRef.current;
+    if (!intersection || !surface || intersection.object !== surface) return null;
+    
+    // Layout coordinates are relative to the surface's parent (the panel)
+    surface.parent.worldToLocal(localPoint.copy(intersection.point));
+    const point = toArcCoordinates(localPoint, radius);
+    
+    for (const { rect, resolution, rootRef } of regions.current) {
+      if (isInsideRect(point, rect)) {
+        return toContentPoint(point.x - rect.x, point.y - rect.y, rootRef.current, resolution);
+      }
+    }
+    return null;
+  };
+  
+  const layout = useMemo(() => ({ radius, registerRegion }), [radius, registerRegion]);
+  
+  return { layout, resolve };
+}
+
+/**
+ * Provides a curved panel's layout to the items inside it
+ * 
+ * @param {Object} props - Component properties
+ * @param {Object} props.value - Layout from useCurvedLayout
+ * @param {React.ReactNode} props.children - Curved items
+ * @returns {JSX.Element} The context provider
+ */
+export function CurvedLayout({ value, children }) {
+  return (
+    <CurvedLayoutContext.Provider value={value}>
+      {children}
+    </CurvedLayoutContext.Provider>
+  );
+}
+
+/**
+ * CurvedItem Component
+ * 
+ * HTML content placed on the curved surface. The content box is sized to
+ * the item's dimensions in meters, so content can fill it with 100% sizes.
+ * 
+ * @param {Object} props - Component properties
+ * @param {number} props.x - Center distance along the arc in meters
+ * @param {number} props.y - Center height in meters
+ * @param {number} props.width - Width in meters
+ * @param {number} props.height - Height in meters
+ * @param {Function} props.onSelect - Called when the item is clicked (with the mouse or a controller)
+ * @param {number} props.resolution - CSS pixels per meter (default: 175)
+ * @param {React.ReactNode} props.children - Content
+ * @returns {JSX.Element} The placed item
+ */
+export function CurvedItem({
+  x,
+  y,
+  width,
+  height,
+  onSelect,
+  resolution = DEFAULT_RESOLUTION,
+  children
+}) {
+  const { radius, registerRegion } = useContext(CurvedLayoutContext);
+  const [hovered, setHovered] = useState(false);
+  
+  // Content element, for mapping controller hits into it
+  const rootRef = useRef();
+  
+  useEffect(() => (
+    registerRegion({ rect: { x, y, width, height }, resolution, rootRef })
+  ), [registerRegion, x, y, width, height, resolution]);
+  
+  const selectable = Boolean(onSelect);
+  
+  const { position, rotation } = getArcPlacement(x, y, radius);
+  
+  return (
+    <group position={position} rotation={rotation}>
+      <Html
+        center
+        transform
+        distanceFactor={400 / resolution}  // Html maps distanceFactor / 400 meters to a pixel
+        position={[0, 0, 0.03]}  // Just in front of the backdrop
+      >
+        <div
+          ref={rootRef}
+          style={{
+            width: `${Math.round(width * resolution)}px`,
+            height: `${Math.round(height * resolution)}px`,
+            cursor: selectable ? 'pointer' : 'default',
+            transform: hovered ? 'scale(1.04)' : 'none',
+            transition: 'transform 0.15s'
+          }}
+          onClick={onSelect}
+          onPointerEnter={selectable ? () => setHovered(true) : undefined}
+          onPointerLeave={selectable ? () => setHovered(false) : undefined}
+        >
+          {children}
+        </div>
+      </Html>
+    </group>
+  );
+}
+
+export default CurvedSurface;
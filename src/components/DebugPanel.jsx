@@ -10,12 +10,20 @@
  * - Enable/disable camera orbit controls for scene exploration
  * - Adjust interface scale to test different size configurations
  * - Toggle visual effects and background particles
- * - Provide instructions for navigation controls
+ * - Provide instructions for navigation controls, generated from the
+ *   live input action map
+ * - Rebind navigation controls
+ * - Toggle movement collision for free-fly exploration
+ * - Restore the default panel layout
  * 
  * Note: This component is only rendered in development environment
  * and does not appear in production builds.
  */
 import React, { useState } from 'react';
+import KeyBindingsPanel from './KeyBindingsPanel';
+import { useInputBindings } from '../contexts/InputBindingsContext';
+import { usePanelLayout } from '../contexts/PanelLayoutContext';
+import { ACTIONS, formatBinding } from '../input/actionMap';
 
 /**
  * DebugPanel Component
@@ -30,8 +38,13 @@ function DebugPanel({ onSettingsChange }) {
     panelScale: 1.0,
     orbitControlsEnabled: true,
     showParticles: true,
-    movementEnabled: true
+    movementEnabled: true,
+    collisionEnabled: true
   });
+  
+  const { bindings } = useInputBindings();
+  const { resetPanelLayouts } = usePanelLayout();
+  const [showBindings, setShowBindings] = useState(false);
 
   /**
    * Handles changes to individual settings
@@ -122,18 +135,47 @@ function DebugPanel({ onSettingsChange }) {
         </label>
       </div>
       
+      {/* Collision toggle - off allows free-fly through panels and bounds */}
+      <div style={{ marginTop: '10px' }}>
+        <label>
+          <input 
+            type="checkbox"
+            checked={settings.collisionEnabled}
+            onChange={(e) => handleChange('collisionEnabled', e.target.checked)}
+          />
+          Enable Collision
+        </label>
+      </div>
+      
+      {/* Restore panels moved or resized by the user */}
+      <div style={{ marginTop: '10px' }}>
+        <button 
+          style={{ fontFamily: 'monospace', fontSize: '12px' }}
+          onClick={resetPanelLayouts}
+        >
+          Reset Panel Layout
+        </button>
+      </div>
+      
       {/* Control instructions */}
       <div style={{ marginTop: '10px', fontSize: '10px', opacity: 0.8 }}>
         <p>Navigation Controls:</p>
         <ul style={{ margin: '5px 0', paddingLeft: '15px' }}>
           <li>Mouse: Look around</li>
           <li>Scroll: Zoom in/out</li>
-          <li>W/S: Move forward/backward</li>
-          <li>A/D: Strafe left/right</li>
-          <li>Q/E: Rotate left/right</li>
-          <li>Space/Shift: Move up/down</li>
-          <li>Alt: Sprint</li>
+          {ACTIONS.map(({ id, label }) => (
+            <li key={id}>
+              {bindings[id].length > 0 ? bindings[id].map(formatBinding).join('/') : 'Unbound'}: {label}
+            </li>
+          ))}
         </ul>
+        <button 
+          style={{ fontFamily: 'monospace', fontSize: '10px' }}
+          onClick={() => setShowBindings(!showBindings)}
+        >
+          {showBindings ? 'Hide Key Bindings' : 'Edit Key Bindings'}
+        </button>
+        {showBindings && <KeyBindingsPanel />}
       </div>
     </div>
   );
@@ -4,25 +4,66 @@
  * Creates a vertical panel similar to the Friends section in the Pico VR home interface.
  * 
  * Features:
- * - Displays friends section with avatar profiles
+ * - Displays friends section with avatar profiles and live presence status
  * - Provides UI for exploring VR world and meeting friends
  * - Includes action buttons for social features
+ * - Lists pending friend requests from the backend with accept/decline actions
+ * 
+ * The 3D panel shell (backdrop, selection, collision) is provided by Panel;
+ * this component renders the content and is declared in the panel registry.
  */
 import React, { useState } from 'react';
-import { Box } from '@react-three/drei';
-import { Html } from '@react-three/drei';
-import { Interactive } from '@react-three/xr';
+import useFriends from '../hooks/useFriends';
+import useFriendRequests from '../hooks/useFriendRequests';
+import { formatShortRelativeTime } from '../utils/time';
+
+/**
+ * Gets the display label for a friend's presence status
+ * 
+ * @param {Object} status - The friend's status ({ online, currentActivity })
+ * @returns {string} e.g. "In Beat Saber", "Online" or "Offline"
+ */
+const getStatusLabel = (status = {}) => {
+  if (!status.online) return 'Offline';
+  return status.currentActivity ? `In ${status.currentActivity}` : 'Online';
+};
+
+/**
+ * Gets the avatar to render for a user - emoji avatars are shown as-is,
+ * anything else falls back to the user's initial
+ * 
+ * @param {Object} user - User with avatar, displayName and username
+ * @returns {string} The avatar glyph
+ */
+const getAvatarGlyph = (user) => {
+  if (user.avatar && /\p{Extended_Pictographic}/u.test(user.avatar)) return user.avatar;
+  return (user.displayName || user.username || '?').charAt(0).toUpperCase();
+};
 
-// Mock friends data
-const FRIENDS = [
-  { id: 1, name: 'Alex Chen', status: 'Online', avatar: '👨‍💻', lastActive: 'Now' },
-  { id: 2, name: 'Sarah Kim', status: 'In Beat Saber', avatar: '👩‍🎤', lastActive: '15m' },
-  { id: 3, name: 'Marcus Lee', status: 'Offline', avatar: '🧑‍🚀', lastActive: '2h' },
-  { id: 4, name: 'Olivia Wang', status: 'Online', avatar: '👩‍🎨', lastActive: '5m' }
-];
+// Small action button used on friend request rows
+const RequestActionButton = ({ label, color, onClick }) => (
+  <button
+    style={{
+      padding: '4px 10px',
+      background: color,
+      border: 'none',
+      borderRadius: '12px',
+      color: 'white',
+      fontSize: '12px',
+      fontWeight: 'bold',
+      cursor: 'pointer',
+      marginLeft: '6px'
+    }}
+    onClick={onClick}
+  >
+    {label}
+  </button>
+);
 
 const FriendsPanel = () => {
   const [activeTab, setActiveTab] = useState('friends');
+  const { friends, onlineCount } = useFriends();
+  const friendRequests = useFriendRequests();
   
   // Friend list item component
   const FriendItem = ({ friend }) => (
@@ -52,7 +93,7 @@ const FriendsPanel = () => {
         fontSize: '18px',
         position: 'relative'
       }}>
-        {friend.avatar}
+        {getAvatarGlyph(friend)}
         
         {/* Status indicator */}
         <div style={{
@@ -62,25 +103,92 @@ const FriendsPanel = () => {
           width: '10px',
           height: '10px',
           borderRadius: '50%',
-          backgroundColor: friend.status === 'Online' ? '#4CAF50' : 
-                          friend.status.includes('In') ? '#FFC107' : '#9E9E9E',
+          backgroundColor: !friend.status?.online ? '#9E9E9E' :
+                          friend.status.currentActivity ? '#FFC107' : '#4CAF50',
           border: '2px solid #202020'
         }} />
       </div>
       
       {/* Friend info */}
       <div style={{ flex: 1 }}>
-        <div style={{ fontWeight: 'bold', fontSize: '14px' }}>{friend.name}</div>
-        <div style={{ fontSize: '12px', opacity: '0.7' }}>{friend.status}</div>
+        <div style={{ fontWeight: 'bold', fontSize: '14px' }}>
+          {friend.displayName || friend.username}
+        </div>
+        <div style={{ fontSize: '12px', opacity: '0.7' }}>{getStatusLabel(friend.status)}</div>
       </div>
       
       {/* Last active */}
       <div style={{ fontSize: '12px', opacity: '0.5' }}>
-        {friend.lastActive}
+        {friend.status?.online ? 'Now' : formatShortRelativeTime(friend.status?.lastActive)}
       </div>
     </div>
   );
   
+  // Friend request list item component
+  const RequestItem = ({ request, incoming }) => {
+    const user = incoming ? request.sender : request.recipient;
+    
+    return (
+      <div style={{
+        display: 'flex',
+        alignItems: 'center',
+        padding: '10px',
+        borderRadius: '8px',
+        background: 'rgba(255,255,255,0.1)',
+        marginBottom: '8px'
+      }}>
+        {/* Avatar initial */}
+        <div style={{
+          width: '36px',
+          height: '36px',
+          backgroundColor: '#4285F4',
+          borderRadius: '50%',
+          marginRight: '10px',
+          display: 'flex',
+          justifyContent: 'center',
+          alignItems: 'center',
+          fontSize: '16px',
+          fontWeight: 'bold',
+          flexShrink: 0
+        }}>
+          {getAvatarGlyph(user)}
+        </div>
+        
+        {/* Requester info */}
+        <div style={{ flex: 1, minWidth: 0 }}>
+          <div style={{ fontWeight: 'bold', fontSize: '14px' }}>
+            {user.displayName || user.username}
+          </div>
+          <div style={{ fontSize: '12px', opacity: '0.7' }}>
+            {incoming ? 'Wants to be friends' : 'Request sent'}
+          </div>
+        </div>
+        
+        {/* Actions */}
+        {incoming ? (
+          <>
+            <RequestActionButton
+              label="Accept"
+              color="#4CAF50"
+              onClick={() => friendRequests.accept(request.id)}
+            />
+            <RequestActionButton
+              label="Decline"
+              color="rgba(255,255,255,0.2)"
+              onClick={() => friendRequests.reject(request.id)}
+            />
+          </>
+        ) : (
+          <RequestActionButton
+            label="Cancel"
+            color="rgba(255,255,255,0.2)"
+            onClick={() => friendRequests.cancel(request.id)}
+          />
+        )}
+      </div>
+    );
+  };
+  
   // Tab button component
   const TabButton = ({ label, id }) => (
     <button
@@ -103,159 +211,166 @@ const FriendsPanel = () => {
   );
   
   return (
-    <group position={[2.5, 1.3, -2.5]} rotation={[0, -0.3, 0]}>
-      {/* Main panel background */}
-      <Box 
-        args={[1.6, 2.5, 0.05]} 
-        radius={0.12} 
-        smoothness={4}
-      >
-        <meshStandardMaterial 
-          color="#202020"
-          transparent 
-          opacity={0.9}
-          roughness={0.2}
-          metalness={0.7}
+    <div style={{ 
+      width: '280px',
+      height: '500px',
+      color: 'white',
+      fontFamily: 'Arial, sans-serif',
+      userSelect: 'none',
+      display: 'flex',
+      flexDirection: 'column',
+      padding: '15px'
+    }}>
+      {/* Header */}
+      <div style={{ 
+        textAlign: 'center', 
+        margin: '10px 0 20px 0',
+        borderBottom: '1px solid rgba(255,255,255,0.2)',
+        paddingBottom: '10px'
+      }}>
+        <h2 style={{ margin: '0', fontSize: '22px', fontWeight: 'bold' }}>
+          Social
+        </h2>
+      </div>
+      
+      {/* Tabs */}
+      <div style={{
+        display: 'flex',
+        gap: '10px',
+        marginBottom: '15px'
+      }}>
+        <TabButton label="Friends" id="friends" />
+        <TabButton 
+          label={friendRequests.incoming.length > 0 
+            ? `Requests (${friendRequests.incoming.length})` 
+            : 'Requests'} 
+          id="requests" 
         />
-      </Box>
+        <TabButton label="Discover" id="discover" />
+      </div>
+      
+      {/* Friends list - only shown when friends tab is active */}
+      {activeTab === 'friends' && (
+        <>
+          <div style={{
+            display: 'flex',
+            justifyContent: 'space-between',
+            marginBottom: '10px',
+            fontSize: '14px'
+          }}>
+            <span>Online Friends</span>
+            <span style={{ opacity: '0.7' }}>{onlineCount}/{friends.length}</span>
+          </div>
+          
+          <div style={{ overflowY: 'auto', flex: 1 }}>
+            {friends.map(friend => (
+              <FriendItem key={friend.id} friend={friend} />
+            ))}
+          </div>
+        </>
+      )}
       
-      {/* Panel content */}
-      <Html
-        center
-        distanceFactor={7}
-        position={[0, 0, 0.05]}
-        transform
-      >
+      {/* Discover tab content */}
+      {activeTab === 'discover' && (
         <div style={{ 
-          width: '280px',
-          height: '500px',
-          color: 'white',
-          fontFamily: 'Arial, sans-serif',
-          userSelect: 'none',
-          display: 'flex',
+          flex: '1', 
+          display: 'flex', 
           flexDirection: 'column',
-          padding: '15px'
+          justifyContent: 'center',
+          alignItems: 'center',
+          textAlign: 'center'
         }}>
-          {/* Header */}
           <div style={{ 
-            textAlign: 'center', 
-            margin: '10px 0 20px 0',
-            borderBottom: '1px solid rgba(255,255,255,0.2)',
-            paddingBottom: '10px'
-          }}>
-            <h2 style={{ margin: '0', fontSize: '22px', fontWeight: 'bold' }}>
-              Social
-            </h2>
-          </div>
-          
-          {/* Tabs */}
-          <div style={{
+            width: '150px', 
+            height: '150px', 
+            backgroundImage: 'linear-gradient(135deg, #4285F4, #34A853)',
+            borderRadius: '75px',
+            marginBottom: '20px',
             display: 'flex',
-            gap: '10px',
-            marginBottom: '15px'
+            justifyContent: 'center',
+            alignItems: 'center',
+            fontSize: '60px'
           }}>
-            <TabButton label="Friends" id="friends" />
-            <TabButton label="Requests" id="requests" />
-            <TabButton label="Discover" id="discover" />
+            🌎
           </div>
           
-          {/* Friends list - only shown when friends tab is active */}
-          {activeTab === 'friends' && (
-            <>
-              <div style={{
-                display: 'flex',
-                justifyContent: 'space-between',
-                marginBottom: '10px',
-                fontSize: '14px'
-              }}>
-                <span>Online Friends</span>
-                <span style={{ opacity: '0.7' }}>2/4</span>
-              </div>
-              
-              <div style={{ overflowY: 'auto', flex: 1 }}>
-                {FRIENDS.map(friend => (
-                  <FriendItem key={friend.id} friend={friend} />
-                ))}
-              </div>
-            </>
-          )}
+          <h3 style={{ 
+            margin: '0 0 10px 0', 
+            fontSize: '20px', 
+            fontWeight: 'bold'
+          }}>
+            Explore VR Together
+          </h3>
           
-          {/* Discover tab content */}
-          {activeTab === 'discover' && (
-            <div style={{ 
-              flex: '1', 
-              display: 'flex', 
-              flexDirection: 'column',
-              justifyContent: 'center',
-              alignItems: 'center',
-              textAlign: 'center'
-            }}>
-              <div style={{ 
-                width: '150px', 
-                height: '150px', 
-                backgroundImage: 'linear-gradient(135deg, #4285F4, #34A853)',
-                borderRadius: '75px',
-                marginBottom: '20px',
-                display: 'flex',
-                justifyContent: 'center',
-                alignItems: 'center',
-                fontSize: '60px'
-              }}>
-                🌎
-              </div>
-              
-              <h3 style={{ 
-                margin: '0 0 10px 0', 
-                fontSize: '20px', 
-                fontWeight: 'bold'
-              }}>
-                Explore VR Together
-              </h3>
-              
-              <p style={{ 
-                margin: '0 0 20px 0', 
-                fontSize: '16px',
-                opacity: '0.9',
-                lineHeight: '1.4' 
-              }}>
-                Find new friends with similar interests
-              </p>
-              
-              <button style={{
-                background: 'linear-gradient(to right, #4285F4, #34A853)',
-                color: 'white',
-                border: 'none',
-                borderRadius: '20px',
-                padding: '10px 20px',
-                fontSize: '16px',
-                fontWeight: 'bold',
-                cursor: 'pointer',
-                boxShadow: '0 2px 8px rgba(0,0,0,0.3)',
-                width: '180px'
-              }}>
-                Open Communities
-              </button>
-            </div>
-          )}
+          <p style={{ 
+            margin: '0 0 20px 0', 
+            fontSize: '16px',
+            opacity: '0.9',
+            lineHeight: '1.4' 
+          }}>
+            Find new friends with similar interests
+          </p>
           
-          {/* Requests tab content */}
-          {activeTab === 'requests' && (
-            <div style={{ 
-              flex: '1', 
-              display: 'flex', 
-              flexDirection: 'column',
-              justifyContent: 'center',
-              alignItems: 'center',
-              textAlign: 'center',
-              opacity: '0.7'
-            }}>
-              <div style={{ fontSize: '40px', marginBottom: '15px' }}>📬</div>
-              <p>No friend requests at the moment</p>
-            </div>
-          )}
+          <button style={{
+            background: 'linear-gradient(to right, #4285F4, #34A853)',
+            color: 'white',
+            border: 'none',
+            borderRadius: '20px',
+            padding: '10px 20px',
+            fontSize: '16px',
+            fontWeight: 'bold',
+            cursor: 'pointer',
+            boxShadow: '0 2px 8px rgba(0,0,0,0.3)',
+            width: '180px'
+          }}>
+            Open Communities
+          </button>
         </div>
-      </Html>
-    </group>
+      )}
+      
+      {/* Requests tab content */}
+      {activeTab === 'requests' && (
+        friendRequests.incoming.length > 0 || friendRequests.outgoing.length > 0 ? (
+          <div style={{ overflowY: 'auto', flex: 1 }}>
+            {friendRequests.incoming.length > 0 && (
+              <div style={{ fontSize: '14px', marginBottom: '10px' }}>
+                Received ({friendRequests.incoming.length})
+              </div>
+            )}
+            {friendRequests.incoming.map(request => (
+              <RequestItem key={request.id} request={request} incoming />
+            ))}
+            
+            {friendRequests.outgoing.length > 0 && (
+              <div style={{ fontSize: '14px', margin: '10px 0' }}>
+                Sent ({friendRequests.outgoing.length})
+              </div>
+            )}
+            {friendRequests.outgoing.map(request => (
+              <RequestItem key={request.id} request={request} />
+            ))}
+          </div>
+        ) : (
+          <div style={{ 
+            flex: '1', 
+            display: 'flex', 
+            flexDirection: 'column',
+            justifyContent: 'center',
+            alignItems: 'center',
+            textAlign: 'center',
+            opacity: '0.7'
+          }}>
+            <div style={{ fontSize: '40px', marginBottom: '15px' }}>📬</div>
+            <p>
+              {!friendRequests.signedIn ? 'Sign in to see friend requests' :
+                friendRequests.loading ? 'Loading friend requests...' :
+                friendRequests.error ? 'Could not load friend requests' :
+                'No friend requests at the moment'}
+            </p>
+          </div>
+        )
+      )}
+    </div>
   );
 };
 
@@ -0,0 +1,242 @@
+/**
+ * Hand Gestures Component
+ * 
+ * Makes tracked hands interactive. The Hands component only draws hand
+ * models; this component recognizes gestures from the hand joints and
+ * feeds them into the same interaction events controllers produce, so
+ * panels and their content respond to hands without extra wiring.
+ * 
+ * Features:
+ * - Pinch start/end events on each hand's controller ('pinchstart' and
+ *   'pinchend', usable with useXREvent)
+ * - Pinch selects along the hand's pointing ray when the platform doesn't
+ *   already provide a hand select action
+ * - Index finger poke against panel surfaces: hover, press and release are
+ *   delivered to Interactive handlers (onHover/onMove/onBlur,
+ *   onSelectStart/onSelect/onSelectEnd), from either hand
+ * - Dragging while pinched or poked scrolls panel content (via the HTML
+ *   pointer bridge)
+ * - Two-finger scroll: 'twofingerscroll' events on the hand's controller
+ *   (with deltaY in meters), which scroll the panel content the hand's
+ *   ray is on
+ * - Tunable thresholds (see input/handGestures.js)
+ * 
+ * Technical implementation:
+ * - Joint positions are read each frame and passed to the pure gesture
+ *   recognizers, so the same logic can run on recorded joint data
+ * - Pokes use a per-hand pointer object at the fingertip, aimed along the
+ *   finger; its events carry {controller: pointer, inputSource, poke: true}
+ *   as the target, so consumers treat it like a short controller ray
+ */
+import { useMemo } from 'react';
+import { useFrame } from '@react-three/fiber';
+import { useXR } from '@react-three/xr';
+import * as THREE from 'three';
+import {
+  GESTURE_THRESHOLDS,
+  readJoints,
+  getPokeDirection,
+  createPinchDetector,
+  createPokeDetector,
+  createTwoFingerScrollDetector
+} from '../input/handGestures';
+
+// Poke raycasts start this far behind the fingertip, so a finger that has
+// pushed slightly through a surface still hits it
+const POKE_RAY_OFFSET = 0.05;
+
+/**
+ * Checks whether the platform already turns hand pinches into select events
+ * 
+ * @param {XRInputSource} inputSource - Hand input source
+ * @returns {boolean} True if select events come from the platform
+ */
+const hasPlatformSelect = (inputSource) => (
+  Boolean(inputSource?.profiles?.includes('generic-hand-select'))
+);
+
+/**
+ * HandGestures Component
+ * 
+ * @param {Object} props - Component properties
+ * @param {Object} props.thresholds - Overrides for GESTURE_THRESHOLDS
+ * @returns {null} Behavior-only component
+ */
+const HandGestures = ({ thresholds }) => {
+  const controllers = useXR(state => state.controllers);
+  const interactions = useXR(state => state.interactions);
+  const getInteraction = useXR(state => state.getInteraction);
+  
+  const settings = useMemo(() => ({ ...GESTURE_THRESHOLDS, ...thresholds }), [thresholds]);
+  
+  // Per-hand gesture state, keyed by controller (recreated when thresholds change)
+  const hands = useMemo(() => new Map(), [settings]);
+  
+  // Persistent objects to avoid garbage collection
+  const temp = useMemo(() => ({
+    raycaster: new THREE.Raycaster(),
+    tip: new THREE.Vector3(),
+    direction: new THREE.Vector3(),
+    lookTarget: new THREE.Vector3()
+  }), []);
+  
+  /**
+   * Gets (or creates) the gesture state for a hand
+   * 
+   * @param {XRController} controller - Hand's controller
+   * @returns {Object} Gesture state
+   */
+  const getHand = (controller) => {
+    let hand = hands.get(controller);
+    if (!hand) {
+      const pointer = new THREE.Object3D();
+      hand = {
+        detectPinch: createPinchDetector(settings),
+        detectPoke: createPokeDetector(settings),
+        detectScroll: createTwoFingerScrollDetector(settings),
+        pointer,
+        target: { controller: pointer, inputSource: controller.inputSource, poke: true },
+        hovering: new Map(),
+        pressed: null
+      };
+      hands.set(controller, hand);
+    }
+    return hand;
+  };
+  
+  /**
+   * Calls the Interactive handlers of an object
+   * 
+   * @param {THREE.Object3D} object - Object with registered interactions
+   * @param {string} type - Handler name, e.g. 'onSelect'
+   * @param {Object} event - Interaction event
+   */
+  const emit = (object, type, event) => {
+    getInteraction(object, type)?.forEach(handler => handler(event));
+  };
+  
+  /**
+   * Dispatches a pinch-driven event on a hand's controller
+   * 
+   * @param {XRController} controller - Hand's controller
+   * @param {string} type - Event type
+   */
+  const dispatchPinch = (controller, type) => {
+    controller.controller.dispatchEvent({ type, data: controller.inputSource });
+  };
+  
+  /**
+   * Updates poke hover for a hand, like the controller InteractionManager:
+   * the hit object and its ancestors are hovered, anything else is blurred
+   * 
+   * @param {Object} hand - Gesture state
+   * @param {Object|null} intersection - Current poke hit
+   */
+  const updateHover = (hand, intersection) => {
+    const { hovering, target } = hand;
+    const hits = new Set();
+    
+    for (let object = intersection?.object; object; object = object.parent) {
+      if (!interactions.has(object)) continue;
+      
+      const event = { target, intersection, intersections: [intersection] };
+      if (!hovering.has(object)) emit(object, 'onHover', event);
+      emit(object, 'onMove', event);
+      hovering.set(object, intersection);
+      hits.add(object);
+    }
+    
+    for (const object of hovering.keys()) {
+      if (!hits.has(object)) {
+        emit(object, 'onBlur', { target, intersections: [] });
+        hovering.delete(object);
+      }
+    }
+  };
+  
+  /**
+   * Handles poke press/release for a hand
+   * 
+   * @param {Object} hand - Gesture state
+   * @param {string|null} gesture - Poke detector output
+   */
+  const updatePress = (hand, gesture) => {
+    const { hovering, target } = hand;
+    
+    if (gesture === 'press') {
+      hand.pressed = new Set(hovering.keys());
+      hovering.forEach((intersection, object) => {
+        emit(object, 'onSelectStart', { target, intersection, intersections: [intersection] });
+      });
+    } else if (gesture === 'release' && hand.pressed) {
+      // Like a click, select only fires on objects still under the finger
+      hand.pressed.forEach(object => {
+        const intersection = hovering.get(object);
+        const event = { target, intersection, intersections: intersection ? [intersection] : [] };
+        if (intersection) emit(object, 'onSelect', event);
+        emit(object, 'onSelectEnd', event);
+      });
+      hand.pressed = null;
+    }
+  };
+  
+  useFrame(() => {
+    const { raycaster, tip, direction, lookTarget } = temp;
+    const objects = Array.from(interactions.keys());
+    
+    for (const controller of controllers) {
+      if (!controller.inputSource?.hand) continue;
+      
+      const hand = getHand(controller);
+      const joints = readJoints(controller.hand);
+      
+      // Pinch
+      const pinch = hand.detectPinch(joints);
+      if (pinch === 'start') {
+        dispatchPinch(controller, 'pinchstart');
+        if (!hasPlatformSelect(controller.inputSource)) dispatchPinch(controller, 'selectstart');
+      } else if (pinch === 'end') {
+        dispatchPinch(controller, 'pinchend');
+        if (!hasPlatformSelect(controller.inputSource)) {
+          dispatchPinch(controller, 'select');
+          dispatchPinch(controller, 'selectend');
+        }
+      }
+      
+      // Two-finger scroll
+      const scroll = hand.detectScroll(joints);
+      if (scroll?.type === 'scroll') {
+        controller.controller.dispatchEvent({
+          type: 'twofingerscroll',
+          data: controller.inputSource,
+          deltaY: scroll.deltaY
+        });
+      }
+      
+      // Poke - aim the fingertip pointer along the finger (-Z forward)
+      let intersection = null;
+      if (joints) {
+        tip.fromArray(joints['index-finger-tip']);
+        direction.fromArray(getPokeDirection(joints));
+        
+        hand.pointer.position.copy(tip);
+        hand.pointer.lookAt(lookTarget.copy(tip).sub(direction));
+        hand.pointer.updateMatrixWorld();
+        
+        raycaster.set(lookTarget.copy(tip).addScaledVector(direction, -POKE_RAY_OFFSET), direction);
+        raycaster.far = POKE_RAY_OFFSET + settings.pokeHover;
+        intersection = raycaster.intersectObjects(objects, true)[0] || null;
+      }
+      
+      const depth = intersection ? intersection.distance - POKE_RAY_OFFSET : null;
+      const gesture = hand.detectPoke(depth);
+      
+      updateHover(hand, intersection);
+      updatePress(hand, gesture);
+    }
+  });
+  
+  return null;
+};
+
+export default HandGestures;
@@ -14,8 +14,8 @@ import React from "react";
 import { Grid } from "@react-three/drei";
 import ParticleField from "./ParticleField";
 import FloorPlane from './FloorPlane';
-import MainPanel from './MainPanel';
-import FriendsPanel from './FriendsPanel';
+import PanelManager from './PanelManager';
+import { FLOOR } from '../config/scene';
 import "./PanelContent.css";
 
 /**
@@ -50,13 +50,13 @@ export default function Interface({ debugSettings = { showGrid: false, panelScal
       />
       
       {/* Environment elements */}
-      <FloorPlane position={[0, -0.7, 0]} size={20} receiveShadow />
+      <FloorPlane position={[0, FLOOR.y, 0]} size={FLOOR.size} receiveShadow />
       
       {/* Debug visualization - conditionally rendered */}
       {debugSettings.showGrid && (
         <Grid 
-          position={[0, -0.69, 0]} 
-          args={[20, 20]} 
+          position={[0, FLOOR.y + 0.01, 0]} 
+          args={[FLOOR.size, FLOOR.size]} 
           cellSize={0.5}
           cellThickness={0.5}
           cellColor="#6f6f6f"
@@ -78,8 +78,7 @@ export default function Interface({ debugSettings = { showGrid: false, panelScal
       
       {/* Interface panels - scaled based on debug settings */}
       <group scale={debugSettings.panelScale}>
-        <MainPanel />
-        <FriendsPanel />
+        <PanelManager />
       </group>
     </group>
   );
@@ -0,0 +1,157 @@
+/**
+ * Key Bindings Panel Component
+ *
+ * Rebinding UI for the input action map, shown in the Settings panel and
+ * the DebugPanel.
+ *
+ * Features:
+ * - Lists every action with its current keyboard, mouse and gamepad bindings
+ * - Add a binding by pressing a key, mouse button or gamepad button
+ * - Remove individual bindings, or reset everything to defaults
+ * - Escape, or clicking the pending capture again, cancels it
+ *
+ * Technical implementation:
+ * - Captures input with window listeners in the capture phase, so the
+ *   pressed key doesn't also trigger its current action
+ * - Clicks on the panel's own controls are never captured, so mouse
+ *   buttons are bound by clicking outside the panel
+ * - Gamepads are polled while capturing (the Gamepad API has no events)
+ * - Changes persist through InputBindingsContext
+ */
+import React, { useState, useEffect, useRef } from 'react';
+import { useInputBindings } from '../contexts/InputBindingsContext';
+import { ACTIONS, eventToBinding, formatBinding } from '../input/actionMap';
+
+// Inline styles matching the DebugPanel
+const STYLES = {
+  row: {
+    display: 'flex',
+    alignItems: 'center',
+    flexWrap: 'wrap',
+    gap: '4px',
+    marginTop: '4px'
+  },
+  label: {
+    width: '120px'
+  },
+  chip: {
+    background: 'rgba(255,255,255,0.15)',
+    border: 'none',
+    borderRadius: '3px',
+    color: 'white',
+    padding: '1px 5px',
+    fontFamily: 'monospace',
+    fontSize: '10px',
+    cursor: 'pointer'
+  },
+  capturing: {
+    background: '#4285F4'
+  },
+  reset: {
+    marginTop: '8px',
+    fontFamily: 'monospace',
+    fontSize: '10px'
+  }
+};
+
+/**
+ * KeyBindingsPanel Component
+ *
+ * @param {Object} props - Component properties
+ * @param {Object} props.inputBindings - Value of useInputBindings(), for content
+ *   rendered outside the app's React tree (e.g. panel content); read from
+ *   context when omitted
+ * @returns {JSX.Element} The rebinding list
+ */
+const KeyBindingsPanel = ({ inputBindings }) => {
+  const context = useInputBindings();
+  const { bindings, addBinding, removeBinding, resetBindings } = inputBindings || context;
+
+  // Action waiting for an input to bind, if any
+  const [capturing, setCapturing] = useState(null);
+  const rootRef = useRef();
+
+  useEffect(() => {
+    if (!capturing) return;
+
+    const capture = (e) => {
+      // Let the panel's own buttons work (including cancelling the capture)
+      if (e.type === 'mousedown' && rootRef.current?.contains(e.target)) return;
+
+      e.preventDefault();
+      e.stopPropagation();
+
+      if (e.code !== 'Escape') {
+        addBinding(capturing, eventToBinding(e));
+      }
+      setCapturing(null);
+    };
+
+    // Wait for all gamepad buttons to be released first, so the button
+    // that opened the capture (if any) isn't bound immediately
+    let armed = false;
+    let frame;
+    const pollGamepads = () => {
+      const gamepads = navigator.getGamepads ? [...navigator.getGamepads()] : [];
+      let pressed = null;
+
+      gamepads.forEach(gamepad => {
+        if (!gamepad || gamepad.mapping !== 'standard') return;
+        const index = gamepad.buttons.findIndex(button => button.pressed);
+        if (index !== -1) pressed = `gamepad:${index}`;
+      });
+
+      if (armed && pressed) {
+        addBinding(capturing, pressed);
+        setCapturing(null);
+        return;
+      }
+
+      armed = armed || !pressed;
+      frame = requestAnimationFrame(pollGamepads);
+    };
+    frame = requestAnimationFrame(pollGamepads);
+
+    window.addEventListener('keydown', capture, true);
+    window.addEventListener('mousedown', capture, true);
+
+    return () => {
+      cancelAnimationFrame(frame);
+      window.removeEventListener('keydown', capture, true);
+      window.removeEventListener('mousedown', capture, true);
+    };
+  }, [capturing, addBinding]);
+
+  return (
+    <div ref={rootRef}>
+      {ACTIONS.map(({ id, label }) => (
+        <div key={id} style={STYLES.row}>
+          <span style={STYLES.label}>{label}</span>
+          {bindings[id].map(binding => (
+            <button
+              key={binding}
+              style={STYLES.chip}
+              title="Remove binding"
+              onClick={() => removeBinding(id, binding)}
+            >
+              {formatBinding(binding)} ×
+            </button>
+          ))}
+          <button
+            style={capturing === id ? { ...STYLES.chip, ...STYLES.capturing } : STYLES.chip}
+            title={capturing === id ? 'Click to cancel' : 'Add binding'}
+            onClick={() => setCapturing(capturing === id ? null : id)}
+          >
+            {capturing === id ? 'Press input…' : '+'}
+          </button>
+        </div>
+      ))}
+
+      <button style={STYLES.reset} onClick={resetBindings}>
+        Reset to defaults
+      </button>
+    </div>
+  );
+};
+
+export default KeyBindingsPanel;
@@ -6,272 +6,346 @@
  * discovery and content browsing.
  * 
  * Features:
- * - Curved panel matching the Pico VR home interface aesthetic
+ * - Curved panel matching the Pico VR home interface aesthetic, with
+ *   cards placed along the arc
  * - "Explore" section with featured applications
- * - "For You" section with personalized recommendations
- * - Interactive cards with visual metadata
+ * - "For You" section with personalized recommendations, showing when
+ *   each app was last used from the user's recorded launches, or else
+ *   why it was recommended (e.g. "Because you played Beat Saber")
+ * - Interactive cards with visual metadata, selectable with the mouse
+ *   or an XR controller ray; selecting a card launches the app
  * - Optimized HTML integration within the 3D space
+ * - Catalog data loaded from the backend with skeleton, error/retry
+ *   and offline (cached) states
+ * 
+ * The 3D panel shell (curved backdrop, selection, collision) is provided by
+ * Panel; this component lays out the content on it with CurvedItems and is
+ * declared in the panel registry.
  */
-import React, { useMemo } from 'react';
-import { Box } from '@react-three/drei';
-import { Html } from '@react-three/drei';
+import React, { useState, useMemo } from 'react';
+import { CurvedItem } from './CurvedSurface';
+import useCachedResource from '../hooks/useCachedResource';
+import useLibrary from '../hooks/useLibrary';
+import { fetchFeaturedApps, fetchPersonalApps } from '../services/apps';
+import { formatRelativeTime } from '../utils/time';
 
-// Application data constants with more detailed information and app icons
-const FEATURED_APPS = [
-  { 
-    id: 'beat-saber', 
-    name: 'Beat Saber', 
-    color: 'linear-gradient(135deg, #E91E63, #9C27B0)', 
-    category: 'Music & Rhythm',
-    icon: '🎵',
-    users: '5.2M+',
-    rating: 4.8
-  },
-  { 
-    id: 'blade-fury', 
-    name: 'Blade & Fury', 
-    color: 'linear-gradient(135deg, #3F51B5, #2196F3)', 
-    category: 'Action',
-    icon: '⚔️',
-    users: '2.8M+',
-    rating: 4.5
-  },
-  { 
-    id: 'job-simulator', 
-    name: 'Job Simulator', 
-    color: 'linear-gradient(135deg, #4CAF50, #8BC34A)', 
-    category: 'Simulation',
-    icon: '🧑‍💼',
-    users: '3.4M+',
-    rating: 4.7
-  }
-];
+// Number of cards shown in each section (also used for loading skeletons)
+const FEATURED_COUNT = 3;
+const PERSONAL_COUNT = 4;
 
-const PERSONAL_APPS = [
-  { 
-    id: 'virtual-desktop', 
-    name: 'Virtual Desktop', 
-    color: 'linear-gradient(135deg, #2196F3, #03A9F4)',
-    icon: '🖥️',
-    lastUsed: '2 days ago'
-  },
-  { 
-    id: 'eleven-table', 
-    name: 'Eleven Table Tennis', 
-    color: 'linear-gradient(135deg, #FF9800, #FF5722)',
-    icon: '🏓',
-    lastUsed: 'Yesterday'
-  },
-  { 
-    id: 'superhot', 
-    name: 'SuperHOT VR', 
-    color: 'linear-gradient(135deg, #F44336, #E91E63)',
-    icon: '🔥',
-    lastUsed: '3 days ago'
-  },
-  { 
-    id: 'all-in-one', 
-    name: 'All-in-One Sports VR', 
-    color: 'linear-gradient(135deg, #009688, #4CAF50)',
-    icon: '🏀',
-    lastUsed: 'Just now'
-  }
-];
+// Layout on the curved surface, in meters from the panel's center
+// (x along the arc, y up). Both rows span the same width.
+const LAYOUT = {
+  gap: 0.2,
+  titleSize: { width: 2.4, height: 0.22 },
+  featured: { titleY: 1.0, y: 0.4, width: 1.6, height: 0.86 },
+  personal: { titleY: -0.25, y: -0.8, width: 1.15, height: 0.69 }
+};
+
+/**
+ * Computes the arc positions of a centered row of items
+ * 
+ * @param {number} count - Number of items
+ * @param {number} width - Item width in meters
+ * @returns {number[]} Center x of each item
+ */
+const getRowPositions = (count, width) => (
+  Array.from({ length: count }, (_, i) => (i - (count - 1) / 2) * (width + LAYOUT.gap))
+);
 
 // Common styles - extracted to avoid duplication
 const STYLES = {
-  container: {
+  sectionTitle: {
+    margin: 0,
+    color: 'white',
+    fontFamily: 'Arial, sans-serif',
+    fontSize: '24px',
+    fontWeight: 'bold',
+    userSelect: 'none'
+  },
+  sectionMessage: {
+    display: 'flex',
+    flexDirection: 'column',
+    alignItems: 'center',
+    justifyContent: 'center',
+    gap: '10px',
+    height: '100%',
+    color: 'white',
+    fontFamily: 'Arial, sans-serif',
+    fontSize: '16px',
+    opacity: '0.8',
+    userSelect: 'none'
+  },
+  card: {
+    position: 'relative',
     width: '100%',
     height: '100%',
+    borderRadius: '10px',
+    overflow: 'hidden',
     color: 'white',
     fontFamily: 'Arial, sans-serif',
     userSelect: 'none',
-    padding: '20px',
-    overflow: 'hidden',
-    display: 'flex',
-    flexDirection: 'column',
-    justifyContent: 'space-between'
+    boxShadow: '0 4px 12px rgba(0,0,0,0.5)'
   },
-  sectionTitle: {
-    margin: '0 0 15px 0',
-    fontSize: '24px',
-    fontWeight: 'bold'
+  selectedCard: {
+    outline: '3px solid #4285F4',
+    outlineOffset: '2px'
   },
-  cardsContainer: {
-    display: 'flex',
-    gap: '15px',
-    justifyContent: 'center'
+  retryButton: {
+    padding: '8px 20px',
+    background: '#4285F4',
+    border: 'none',
+    borderRadius: '16px',
+    color: 'white',
+    fontSize: '14px',
+    fontWeight: 'bold',
+    cursor: 'pointer'
+  },
+  offlineNote: {
+    fontSize: '12px',
+    fontWeight: 'normal',
+    opacity: '0.6',
+    marginLeft: '10px'
   }
 };
 
 /**
- * Main Panel Component
+ * Placeholder card shown while apps are loading
  * 
- * Creates the primary curved interface panel with featured content and
- * personalized recommendations.
+ * @returns {JSX.Element} The rendered skeleton card
+ */
+const SkeletonCard = () => (
+  <div 
+    className="skeleton-card"
+    style={{ width: '100%', height: '100%', borderRadius: '10px' }}
+  />
+);
+
+/**
+ * Featured application card
  * 
- * @returns {JSX.Element} The rendered main panel in 3D space
+ * @param {Object} props - Component properties
+ * @param {Object} props.app - The application data
+ * @param {boolean} props.selected - Whether the card is selected
+ * @returns {JSX.Element} The rendered card element
  */
-const MainPanel = () => {
-  /**
-   * Generates a featured application card
-   * 
-   * @param {Object} app - The application data
-   * @returns {JSX.Element} The rendered card element
-   */
-  const FeaturedAppCard = ({ app }) => (
-    <div key={app.id} style={{
-      position: 'relative',
-      width: '280px',
-      height: '150px',
-      borderRadius: '10px',
-      overflow: 'hidden',
-      cursor: 'pointer',
-      boxShadow: '0 4px 12px rgba(0,0,0,0.5)',
-      background: app.color
+const FeaturedAppCard = ({ app, selected }) => (
+  <div style={{ ...STYLES.card, ...(selected && STYLES.selectedCard), background: app.color }}>
+    {/* Top section with app icon */}
+    <div style={{
+      position: 'absolute',
+      top: '10px',
+      right: '10px',
+      width: '40px',
+      height: '40px',
+      background: 'rgba(255,255,255,0.2)',
+      borderRadius: '8px',
+      display: 'flex',
+      justifyContent: 'center',
+      alignItems: 'center',
+      fontSize: '24px'
     }}>
-      {/* Top section with app icon */}
-      <div style={{
-        position: 'absolute',
-        top: '10px',
-        right: '10px',
-        width: '40px',
-        height: '40px',
-        background: 'rgba(255,255,255,0.2)',
-        borderRadius: '8px',
-        display: 'flex',
-        justifyContent: 'center',
-        alignItems: 'center',
-        fontSize: '24px'
-      }}>
-        {app.icon}
-      </div>
-      
-      {/* Bottom info section */}
-      <div style={{
-        position: 'absolute',
-        bottom: '0', left: '0', right: '0',
-        padding: '10px',
-        background: 'linear-gradient(transparent, rgba(0,0,0,0.8))'
+      {app.icon}
+    </div>
+    
+    {/* Bottom info section */}
+    <div style={{
+      position: 'absolute',
+      bottom: '0', left: '0', right: '0',
+      padding: '10px',
+      background: 'linear-gradient(transparent, rgba(0,0,0,0.8))'
+    }}>
+      <div style={{ fontSize: '18px', fontWeight: 'bold' }}>{app.name}</div>
+      <div style={{ 
+        display: 'flex', 
+        justifyContent: 'space-between',
+        marginTop: '5px'
       }}>
-        <div style={{ fontSize: '18px', fontWeight: 'bold' }}>{app.name}</div>
-        <div style={{ 
-          display: 'flex', 
-          justifyContent: 'space-between',
-          marginTop: '5px'
-        }}>
-          <div style={{ fontSize: '14px', opacity: '0.8' }}>{app.category}</div>
-          <div style={{ fontSize: '14px', opacity: '0.8' }}>
-            {'⭐'.repeat(Math.floor(app.rating))} {app.rating}
-          </div>
-        </div>
-        <div style={{ fontSize: '12px', opacity: '0.6', marginTop: '2px' }}>
-          {app.users} players
+        <div style={{ fontSize: '14px', opacity: '0.8' }}>{app.category}</div>
+        <div style={{ fontSize: '14px', opacity: '0.8' }}>
+          {'⭐'.repeat(Math.floor(app.rating))} {app.rating}
         </div>
       </div>
+      <div style={{ fontSize: '12px', opacity: '0.6', marginTop: '2px' }}>
+        {app.users} players
+      </div>
     </div>
-  );
+  </div>
+);
 
-  /**
-   * Generates a personalized recommendation card
-   * 
-   * @param {Object} app - The application data
-   * @returns {JSX.Element} The rendered card element
-   */
-  const PersonalAppCard = ({ app }) => (
-    <div key={app.id} style={{
-      position: 'relative',
-      width: '200px',
-      height: '120px',
-      borderRadius: '10px',
-      overflow: 'hidden',
-      cursor: 'pointer',
-      boxShadow: '0 4px 12px rgba(0,0,0,0.5)',
-      background: app.color
+/**
+ * Personalized recommendation card
+ * 
+ * @param {Object} props - Component properties
+ * @param {Object} props.app - The application data
+ * @param {boolean} props.selected - Whether the card is selected
+ * @returns {JSX.Element} The rendered card element
+ */
+const PersonalAppCard = ({ app, selected }) => (
+  <div style={{ ...STYLES.card, ...(selected && STYLES.selectedCard), background: app.color }}>
+    {/* App icon */}
+    <div style={{
+      position: 'absolute',
+      top: '10px',
+      left: '10px',
+      width: '32px',
+      height: '32px',
+      background: 'rgba(255,255,255,0.2)',
+      borderRadius: '6px',
+      display: 'flex',
+      justifyContent: 'center',
+      alignItems: 'center',
+      fontSize: '18px'
     }}>
-      {/* App icon */}
-      <div style={{
-        position: 'absolute',
-        top: '10px',
-        left: '10px',
-        width: '32px',
-        height: '32px',
-        background: 'rgba(255,255,255,0.2)',
-        borderRadius: '6px',
-        display: 'flex',
-        justifyContent: 'center',
-        alignItems: 'center',
-        fontSize: '18px'
-      }}>
-        {app.icon}
-      </div>
-      
-      {/* App info */}
-      <div style={{
-        position: 'absolute',
-        bottom: '0', left: '0', right: '0',
-        padding: '8px',
-        background: 'linear-gradient(transparent, rgba(0,0,0,0.8))'
-      }}>
-        <div style={{ fontSize: '16px', fontWeight: 'bold' }}>{app.name}</div>
-        <div style={{ fontSize: '12px', opacity: '0.7', marginTop: '2px' }}>
-          {app.lastUsed}
-        </div>
-      </div>
+      {app.icon}
     </div>
-  );
-  
-  // Memoize the HTML content to prevent unnecessary re-renders
-  const panelContent = useMemo(() => (
-    <div style={STYLES.container}>
-      {/* Explore Section */}
-      <div style={{ marginBottom: '20px' }}>
-        <h2 style={STYLES.sectionTitle}>Explore</h2>
-        <div style={STYLES.cardsContainer}>
-          {FEATURED_APPS.map(app => <FeaturedAppCard key={app.id} app={app} />)}
-        </div>
-      </div>
-      
-      {/* For You Section */}
-      <div>
-        <h2 style={STYLES.sectionTitle}>For You</h2>
-        <div style={STYLES.cardsContainer}>
-          {PERSONAL_APPS.map(app => <PersonalAppCard key={app.id} app={app} />)}
-        </div>
+    
+    {/* App info */}
+    <div style={{
+      position: 'absolute',
+      bottom: '0', left: '0', right: '0',
+      padding: '8px',
+      background: 'linear-gradient(transparent, rgba(0,0,0,0.8))'
+    }}>
+      <div style={{ fontSize: '16px', fontWeight: 'bold' }}>{app.name}</div>
+      <div style={{ fontSize: '12px', opacity: '0.7', marginTop: '2px' }}>
+        {app.lastUsed || app.reason?.text || app.category}
       </div>
     </div>
-  ), []); // Empty dependency array since content is static
+  </div>
+);
+
+/**
+ * Renders one section on the curved surface: a title, then a row of
+ * skeletons while loading, an error with retry, or the app cards
+ * 
+ * @param {Object} props - Component properties
+ * @param {string} props.title - Section title
+ * @param {Object} props.resource - State from useCachedResource
+ * @param {number} props.count - Number of skeleton cards
+ * @param {Object} props.row - Row layout from LAYOUT
+ * @param {React.ComponentType} props.Card - Card component for an app
+ * @param {string|null} props.selectedApp - Id of the selected app
+ * @param {Function} props.onSelectApp - Called with an app when its card is selected
+ * @returns {JSX.Element} The section items
+ */
+const Section = ({ title, resource, count, row, Card, selectedApp, onSelectApp }) => {
+  const positions = getRowPositions(resource.status === 'ready' ? resource.data.length : count, row.width);
+  
+  // Title is left-aligned with the row, which is always `count` cards wide
+  const rowStart = getRowPositions(count, row.width)[0] - row.width / 2;
   
   return (
-    <group position={[0, 1.3, -4]}>
-      {/* Main curved background panel */}
-      <Box 
-        args={[6, 2.5, 0.05]} 
-        radius={0.2} 
-        smoothness={4}
-        position={[0, 0, 0]}
+    <>
+      <CurvedItem 
+        x={rowStart + LAYOUT.titleSize.width / 2} 
+        y={row.titleY} 
+        {...LAYOUT.titleSize}
       >
-        <meshStandardMaterial 
-          color="#202020"
-          transparent 
-          opacity={0.9}
-          roughness={0.2}
-          metalness={0.7}
-          envMapIntensity={0.8}
-        />
-      </Box>
+        <h2 style={STYLES.sectionTitle}>
+          {title}
+          {resource.stale && <span style={STYLES.offlineNote}>Offline - showing saved apps</span>}
+        </h2>
+      </CurvedItem>
       
-      {/* Panel content */}
-      <Html
-        center
-        distanceFactor={10}
-        position={[0, 0, 0.05]}
-        transform
-        style={{ width: '900px', height: '450px' }}
-      >
-        {panelContent}
-      </Html>
-    </group>
+      {resource.status === 'loading' && positions.map((x, i) => (
+        <CurvedItem key={i} x={x} y={row.y} width={row.width} height={row.height}>
+          <SkeletonCard />
+        </CurvedItem>
+      ))}
+      
+      {resource.status === 'error' && (
+        <CurvedItem 
+          x={0} 
+          y={row.y} 
+          width={3} 
+          height={row.height}
+          onSelect={resource.retry}  // Controller selection anywhere on the message retries
+        >
+          <div style={STYLES.sectionMessage}>
+            <div>⚠️ Couldn't load apps</div>
+            <button style={STYLES.retryButton}>
+              Retry
+            </button>
+          </div>
+        </CurvedItem>
+      )}
+      
+      {resource.status === 'ready' && resource.data.map((app, i) => (
+        <CurvedItem 
+          key={app.id} 
+          x={positions[i]} 
+          y={row.y} 
+          width={row.width} 
+          height={row.height}
+          onSelect={() => onSelectApp(app)}
+        >
+          <Card app={app} selected={selectedApp === app.id} />
+        </CurvedItem>
+      ))}
+    </>
+  );
+};
+
+/**
+ * Main Panel Component
+ * 
+ * Renders the main panel's featured content and personalized recommendations
+ * along the panel's curve.
+ * 
+ * @returns {JSX.Element} The rendered panel content
+ */
+const MainPanel = () => {
+  // Catalog data - cached locally so the panel still renders offline
+  const featured = useCachedResource('apps:featured', () => fetchFeaturedApps(FEATURED_COUNT));
+  const personal = useCachedResource('apps:personal', () => fetchPersonalApps(PERSONAL_COUNT));
+  
+  // Installed apps, for launching and last-used times
+  const { apps: library, launch } = useLibrary();
+  
+  // "For You" cards show when each app was last launched
+  const personalWithUsage = useMemo(() => {
+    if (personal.status !== 'ready') return personal;
+    
+    const launches = new Map(library.map(app => [app.id, app.lastLaunchedAt]));
+    const data = personal.data.map(app => {
+      const lastLaunchedAt = launches.get(app.id);
+      return lastLaunchedAt ? { ...app, lastUsed: formatRelativeTime(lastLaunchedAt) } : app;
+    });
+    return { ...personal, data };
+  }, [personal, library]);
+  
+  // Currently selected card; selecting launches the app
+  const [selectedApp, setSelectedApp] = useState(null);
+  const handleSelectApp = (app) => {
+    setSelectedApp(app.id);
+    launch(app);
+  };
+  
+  return (
+    <>
+      {/* Explore Section */}
+      <Section
+        title="Explore"
+        resource={featured}
+        count={FEATURED_COUNT}
+        row={LAYOUT.featured}
+        Card={FeaturedAppCard}
+        selectedApp={selectedApp}
+        onSelectApp={handleSelectApp}
+      />
+      
+      {/* For You Section */}
+      <Section
+        title="For You"
+        resource={personalWithUsage}
+        count={PERSONAL_COUNT}
+        row={LAYOUT.personal}
+        Card={PersonalAppCard}
+        selectedApp={selectedApp}
+        onSelectApp={handleSelectApp}
+      />
+    </>
   );
 };
 
@@ -0,0 +1,188 @@
+/**
+ * Notification Toasts Component
+ * 
+ * Shows newly arrived notifications as short-lived cards near the top of
+ * the user's view, so they are noticed without opening the Notifications
+ * panel (see NotificationContext for timing and the Notifications setting).
+ * 
+ * Features:
+ * - Cards stack below each other, newest at the bottom
+ * - Follow the view smoothly instead of being locked to the head
+ * - Selecting a card (ray, pinch, poke or mouse) marks it as read
+ * 
+ * Technical implementation:
+ * - Cards are drawn to canvas textures, so they render inside the headset
+ *   where the DOM (and drei's Html) can't be seen
+ * - The stack is positioned in world space each frame with frame-rate
+ *   independent easing toward a point in front of the camera
+ */
+import React, { useEffect, useMemo, useRef } from 'react';
+import { useFrame, useThree } from '@react-three/fiber';
+import { Interactive } from '@react-three/xr';
+import * as THREE from 'three';
+import { useNotifications } from '../contexts/NotificationContext';
+
+// Card size and placement in meters
+const LAYOUT = {
+  width: 0.5,
+  height: 0.125,
+  gap: 0.02,
+  // Offset from the camera: distance ahead and height above the view center
+  distance: 1.2,
+  raise: 0.35
+};
+
+// Canvas resolution of a card (same aspect ratio as the card)
+const CANVAS_WIDTH = 512;
+const CANVAS_HEIGHT = 128;
+
+// How quickly the stack catches up with the view, per second
+const FOLLOW_SMOOTHING = 5;
+
+/**
+ * Shortens text with an ellipsis to fit a width
+ * 
+ * @param {CanvasRenderingContext2D} context - Context with the font set
+ * @param {string} text - Text to fit
+ * @param {number} maxWidth - Available width in pixels
+ * @returns {string} The text, shortened if needed
+ */
+const fitText = (context, text, maxWidth) => {
+  if (context.measureText(text).width <= maxWidth) return text;
+  
+  let fitted = text;
+  while (fitted.length > 0 && context.measureText(`${fitted}…`).width > maxWidth) {
+    fitted = fitted.slice(0, -1);
+  }
+  return `${fitted}…`;
+};
+
+/**
+ * Draws a toast card
+ * 
+ * @param {Object} notification - Notification to show
+ * @returns {THREE.CanvasTexture} Card texture
+ */
+const createToastTexture = (notification) => {
+  const canvas = document.createElement('canvas');
+  canvas.width = CANVAS_WIDTH;
+  canvas.height = CANVAS_HEIGHT;
+  const context = canvas.getContext('2d');
+  
+  // Rounded dark card with an accent bar
+  context.fillStyle = 'rgba(30, 30, 30, 0.92)';
+  context.beginPath();
+  context.roundRect(0, 0, CANVAS_WIDTH, CANVAS_HEIGHT, 24);
+  context.fill();
+  context.fillStyle = '#4285F4';
+  context.fillRect(0, 24, 8, CANVAS_HEIGHT - 48);
+  
+  context.textBaseline = 'middle';
+  context.font = '56px sans-serif';
+  context.fillText(notification.icon || '🔔', 28, CANVAS_HEIGHT / 2);
+  
+  const textLeft = 112;
+  const textWidth = CANVAS_WIDTH - textLeft - 24;
+  context.fillStyle = 'white';
+  context.font = 'bold 26px Arial, sans-serif';
+  context.fillText(fitText(context, notification.title, textWidth), textLeft, notification.body ? 46 : 64);
+  
+  if (notification.body) {
+    context.globalAlpha = 0.8;
+    context.font = '22px Arial, sans-serif';
+    context.fillText(fitText(context, notification.body, textWidth), textLeft, 84);
+  }
+  
+  const texture = new THREE.CanvasTexture(canvas);
+  texture.colorSpace = THREE.SRGBColorSpace;
+  return texture;
+};
+
+/**
+ * One toast card
+ * 
+ * @param {Object} props - Component properties
+ * @param {Object} props.notification - Notification to show
+ * @param {number} props.index - Position in the stack (0 = top)
+ * @param {Function} props.onSelect - Called when the card is selected
+ * @returns {JSX.Element} The card
+ */
+const Toast = ({ notification, index, onSelect }) => {
+  const texture = useMemo(() => createToastTexture(notification), [notification]);
+  
+  useEffect(() => () => texture.dispose(), [texture]);
+  
+  const handleClick = (e) => {
+    e.stopPropagation();
+    onSelect();
+  };
+  
+  return (
+    <Interactive onSelect={onSelect}>
+      <mesh
+        position={[0, -index * (LAYOUT.height + LAYOUT.gap), 0]}
+        renderOrder={1000}  // Drawn over the scene, see depthTest
+        onClick={handleClick}
+      >
+        <planeGeometry args={[LAYOUT.width, LAYOUT.height]} />
+        <meshBasicMaterial map={texture} transparent depthTest={false} />
+      </mesh>
+    </Interactive>
+  );
+};
+
+/**
+ * NotificationToasts Component
+ * 
+ * @returns {JSX.Element|null} The toast stack while there are toasts
+ */
+const NotificationToasts = () => {
+  const { toasts, markRead } = useNotifications();
+  const camera = useThree(state => state.camera);
+  const groupRef = useRef();
+  const placed = useRef(false);
+  
+  // Persistent objects to avoid garbage collection
+  const temp = useMemo(() => ({
+    target: new THREE.Vector3(),
+    up: new THREE.Vector3(),
+    quaternion: new THREE.Quaternion()
+  }), []);
+  
+  // Snap into view when a new stack appears rather than flying in
+  useEffect(() => {
+    if (toasts.length === 0) placed.current = false;
+  }, [toasts.length]);
+  
+  useFrame((state, delta) => {
+    const group = groupRef.current;
+    if (!group) return;
+    
+    const { target, up, quaternion } = temp;
+    camera.getWorldQuaternion(quaternion);
+    camera.getWorldPosition(target);
+    target.add(up.set(0, LAYOUT.raise, -LAYOUT.distance).applyQuaternion(quaternion));
+    
+    const t = placed.current ? 1 - Math.exp(-FOLLOW_SMOOTHING * delta) : 1;
+    group.position.lerp(target, t);
+    group.quaternion.slerp(quaternion, t);
+    placed.current = true;
+  });
+  
+  if (toasts.length === 0) return null;
+  
+  return (
+    <group ref={groupRef}>
+      {toasts.map((notification, index) => (
+        <Toast
+          key={notification.id}
+          notification={notification}
+          index={index}
+          onSelect={() => markRead(notification.id)}
+        />
+      ))}
+    </group>
+  );
+};
+
+export default NotificationToasts;
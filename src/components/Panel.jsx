@@ -9,16 +9,25 @@
  * - Consistent visual styling across all interface panels
  * - Smooth animations for hover and selection feedback
  * - HTML content embedding within 3D space for rich UI capabilities
- * - XR controller interaction support for VR input
+ * - XR controller interaction support for VR input (dominant hand only),
+ *   including hover, click and drag-to-scroll inside the HTML content
  * - Visual state indicators for active/inactive panels
  * - Optimized rendering with refs for animation performance
  * - Curved layout compatibility with automatic rotation
+ * - Registered as a collider so navigation can't pass through it
+ * - Configurable size, content scale and content framing, so every panel
+ *   declared in the panel registry shares the same shell
+ * - Movable (drag handle or controller squeeze) and resizable (corner handle)
+ * - Optional curved backdrop (cylindrical segment) whose content is laid
+ *   out along the arc and stays selectable with XR controllers
  * 
  * Technical implementation:
- * - Uses drei's Box component with radius for rounded corners
+ * - Uses drei's Box component with radius for rounded corners, or a
+ *   CurvedSurface for curved panels
  * - Implements HTML content using drei's Html component
  * - Smooth animation via useFrame and lerp for natural transitions
- * - Interactive component support for XR controller ray interactions
+ * - Interactive component support for XR controller ray interactions;
+ *   hits on the content are bridged into it as DOM events (useHtmlPointer)
  * - Ref-based animation for better performance
  * - Proper content scaling with distanceFactor for readability
  */
@@ -27,6 +36,18 @@ import { Html, Box } from "@react-three/drei";
 import { useFrame } from "@react-three/fiber";
 import { Interactive } from "@react-three/xr";
 import * as THREE from "three";
+import { isPointerEvent } from "./XRControllers";
+import { useVRSettings } from "../contexts/VRSettingsContext";
+import useCollider from "../hooks/useCollider";
+import usePanelGrab from "../hooks/usePanelGrab";
+import useHtmlPointer from "../hooks/useHtmlPointer";
+import { raycastContent } from "../input/htmlPointer";
+import CurvedSurface, { CurvedLayout, useCurvedLayout } from "./CurvedSurface";
+import { getArcPlacement } from "../utils/curve";
+
+// Colors for the move/resize handles
+const HANDLE_COLOR = "#9e9e9e";
+const HANDLE_ACTIVE_COLOR = "#4285F4";
 
 /**
  * Panel Component
@@ -34,28 +55,137 @@ import * as THREE from "three";
  * @param {Object} props - Component properties
  * @param {Array} props.position - [x,y,z] position of panel in 3D space
  * @param {Array} props.rotation - [x,y,z] rotation of panel in radians
+ * @param {number} props.scale - Uniform scale of the panel (default: 1)
  * @param {string} props.label - Text display on the panel header
  * @param {string} props.id - Unique identifier for the panel
  * @param {boolean} props.active - Whether this panel is currently active/selected
  * @param {Function} props.onClick - Callback function when panel is selected
+ * @param {Array} props.size - [width, height] of the panel backdrop (default: [2.2, 1.6])
+ * @param {number} props.radius - Corner radius of the backdrop (default: 0.1)
+ * @param {number} props.distanceFactor - Html scale factor for the content (default: 5)
+ * @param {boolean} props.alwaysOpen - Show content even when the panel isn't active
+ * @param {boolean} props.showHeader - Show the header label (default: true)
+ * @param {Object} props.contentStyle - Style overrides for the content frame
+ * @param {Object} props.curve - {radius, arc} to bend the panel into a cylindrical segment;
+ *   its width becomes radius × arc and children are rendered in 3D (see CurvedItem)
+ * @param {boolean} props.movable - Allow moving and resizing the panel (default: true)
+ * @param {Function} props.onLayoutChange - Called with {position, rotation, scale} after a move or resize
  * @param {React.ReactNode} props.children - Content to display inside the panel
  * @returns {JSX.Element} - The rendered interactive panel
  */
 export default function Panel({ 
   position, 
   rotation = [0, 0, 0], 
+  scale = 1,
   label, 
   id, 
   active, 
   onClick, 
+  size = [2.2, 1.6],
+  radius = 0.1,
+  distanceFactor = 5,
+  alwaysOpen = false,
+  showHeader = true,
+  contentStyle,
+  curve,
+  movable = true,
+  onLayoutChange,
   children 
 }) {
+  const width = curve ? curve.radius * curve.arc : size[0];
+  const height = size[1];
+  const contentVisible = active || alwaysOpen;
+  
   // Reference to the panel group for animations
   const ref = useRef();
   
+  // Posed group - moved, rotated and scaled when the user rearranges panels
+  const poseRef = useRef();
+  const { grabMode, startGrab } = usePanelGrab(poseRef, { onRelease: onLayoutChange });
+  
+  /**
+   * Starts a mouse drag on a handle
+   * 
+   * @param {string} mode - 'move' or 'resize'
+   * @returns {Function} Pointer down handler
+   */
+  const handlePointerDown = (mode) => (e) => {
+    if (!movable || e.button !== 0) return;
+    e.stopPropagation();
+    startGrab(mode, { type: 'mouse' });
+  };
+  
+  // Solid backdrop - navigation slides along it instead of flying through
+  const backdropRef = useRef();
+  useCollider(backdropRef);
+  
+  // Maps controller hits on a curved backdrop to the items laid out on it
+  const curvedLayout = useCurvedLayout(curve?.radius, backdropRef);
+  
+  // Flat content: the object the Html is centered on, and its root element
+  const contentAnchorRef = useRef();
+  const contentRootRef = useRef();
+  
+  // Replays controller hover/clicks/scrolling inside the content as DOM events
+  const htmlPointer = useHtmlPointer();
+  
+  /**
+   * Finds where a controller's ray hits the panel's HTML content
+   * 
+   * @param {Object} e - XRInteractionEvent
+   * @returns {{root: HTMLElement, x: number, y: number}|null} Content hit, if any
+   */
+  const resolveContentHit = (e) => {
+    if (!contentVisible) return null;
+    if (curve) return curvedLayout.resolve(e.intersection);
+    
+    // Html transform maps distanceFactor / 400 meters to a CSS pixel
+    return raycastContent(e.target, contentAnchorRef.current, contentRootRef.current, 400 / distanceFactor);
+  };
+  
   // Track hover state for interaction feedback
   const [hovered, setHovered] = useState(false);
   
+  // Only the dominant hand's controller drives the pointer
+  const { vrSettings } = useVRSettings();
+  const isPointer = (event) => isPointerEvent(event, vrSettings.handedness);
+  
+  // Resize handle sits on the bottom-right corner, following the curve if any
+  const [cornerX, cornerY, cornerZ] = curve
+    ? getArcPlacement(width / 2, -height / 2, curve.radius).position
+    : [width / 2, -height / 2, 0];
+  
+  /**
+   * Desktop mouse selection (XR selection goes through Interactive)
+   * 
+   * @param {Object} e - Pointer event
+   */
+  const handleBackdropClick = (e) => {
+    e.stopPropagation();
+    onClick?.(e);
+  };
+  
+  const backdropMaterial = (
+    <meshStandardMaterial 
+      color={active ? "#202020" : "#303030"}  // Darker when active like Pico UI
+      transparent 
+      opacity={0.9}
+      roughness={0.1}
+      metalness={0.5}
+      envMapIntensity={0.8}
+      side={curve ? THREE.DoubleSide : THREE.FrontSide}  // Curved panels are seen from inside
+    />
+  );
+  
+  const highlightMaterial = (
+    <meshBasicMaterial 
+      color="#4285F4"  // Google blue highlight
+      transparent 
+      opacity={0.6}
+      side={curve ? THREE.DoubleSide : THREE.FrontSide}
+    />
+  );
+  
   /**
    * Smooth animation on hover/active state changes
    * Uses Three.js animation loop to update scale and position
@@ -88,88 +218,164 @@ export default function Panel({
   return (
     // Interactive wrapper for XR controller events
     <Interactive 
-      onSelect={onClick}  // Triggered on controller selection
-      onHover={() => setHovered(true)}  // On raycast hover enter
-      onBlur={() => setHovered(false)}  // On raycast hover exit
+      onSelectStart={(e) => isPointer(e) && htmlPointer.press(e.target)}
+      onSelectEnd={(e) => isPointer(e) && htmlPointer.release(e.target)}
+      onSelect={(e) => {
+        // Triggered on controller selection - clicks on the content go to the content
+        if (!isPointer(e) || htmlPointer.isOverContent(e.target)) return;
+        onClick?.(e);
+      }}
+      onHover={(e) => isPointer(e) && setHovered(true)}  // On raycast hover enter
+      onMove={(e) => isPointer(e) && htmlPointer.move(e.target, resolveContentHit(e))}
+      onBlur={(e) => {
+        // On raycast hover exit
+        if (!isPointer(e)) return;
+        setHovered(false);
+        htmlPointer.move(e.target, null);
+      }}
+      onSqueezeStart={(e) => {
+        // Squeeze anywhere on the panel moves it; on the corner handle, resizes it
+        if (!movable) return;
+        const mode = e.intersection?.object.userData.panelHandle === 'resize' ? 'resize' : 'move';
+        startGrab(mode, { type: 'controller', controller: e.target });
+      }}
     >
-      <group position={position} rotation={rotation} ref={ref}>
-        {/* 3D backdrop for the panel */}
-        <Box 
-          args={[2.2, 1.6, 0.05]} 
-          radius={0.1} 
-          smoothness={4}
-        >
-          <meshStandardMaterial 
-            color={active ? "#202020" : "#303030"}  // Darker when active like Pico UI
-            transparent 
-            opacity={0.9}
-            roughness={0.1}
-            metalness={0.5}
-            envMapIntensity={0.8}
-          />
-        </Box>
-        
-        {/* Highlight border when active */}
-        {active && (
-          <Box 
-            args={[2.24, 1.64, 0.02]} 
-            radius={0.1} 
-            smoothness={4}
-            position={[0, 0, 0.011]}
-          >
-            <meshBasicMaterial 
-              color="#4285F4"  // Google blue highlight
-              transparent 
-              opacity={0.6}
-            />
-          </Box>
-        )}
-        
-        {/* Header label */}
-        <Html 
-          center
-          distanceFactor={5}  // Adjusts scale based on distance
-          position={[0, 0.62, 0.06]}
-          transform  // HTML follows object in 3D
-        >
-          <div style={{ 
-            color: 'white', 
-            fontSize: '22px',
-            fontWeight: '500',
-            padding: '8px 16px',
-            backgroundColor: active ? 'rgba(30,30,30,0.8)' : 'rgba(40,40,40,0.7)',
-            borderRadius: '8px',
-            userSelect: 'none',  // Prevent text selection
-            width: '100%',
-            textAlign: 'center',
-            boxShadow: active ? '0 0 10px rgba(66,133,244,0.3)' : 'none'
-          }}>
-            {label}
-          </div>
-        </Html>
-        
-        {/* Panel content - only shown when active */}
-        {active && (
-          <Html 
-            center
-            distanceFactor={5}
-            position={[0, -0.1, 0.06]}
-            transform
-          >
-            <div style={{ 
-              width: '350px',
-              maxHeight: '250px',
-              overflowY: 'auto',  // Scrollable content
-              backgroundColor: 'rgba(25,25,25,0.85)',
-              borderRadius: '10px',
-              padding: '15px',
-              color: 'white',
-              fontFamily: 'Arial, sans-serif',
-              boxShadow: '0 0 15px rgba(0,0,0,0.5)'
-            }}>
+      {/* Posed in the scene; the inner group animates relative to this pose */}
+      <group position={position} rotation={rotation} scale={scale} ref={poseRef}>
+        <group ref={ref}>
+          {/* 3D backdrop for the panel */}
+          {curve ? (
+            <CurvedSurface 
+              ref={backdropRef}
+              radius={curve.radius}
+              arc={curve.arc}
+              height={height}
+              onClick={handleBackdropClick}
+            >
+              {backdropMaterial}
+            </CurvedSurface>
+          ) : (
+            <Box 
+              ref={backdropRef}
+              args={[width, height, 0.05]} 
+              radius={radius} 
+              smoothness={4}
+              onClick={handleBackdropClick}
+            >
+              {backdropMaterial}
+            </Box>
+          )}
+          
+          {/* Highlight border when active */}
+          {active && (curve ? (
+            <CurvedSurface 
+              radius={curve.radius}
+              arc={curve.arc + 0.04 / curve.radius}
+              height={height + 0.04}
+              depth={0.01}  // Just behind the backdrop so only the rim shows
+            >
+              {highlightMaterial}
+            </CurvedSurface>
+          ) : (
+            <Box 
+              args={[width + 0.04, height + 0.04, 0.02]} 
+              radius={radius} 
+              smoothness={4}
+              position={[0, 0, 0.011]}
+            >
+              {highlightMaterial}
+            </Box>
+          ))}
+          
+          {/* Header label */}
+          {showHeader && (
+            <Html 
+              center
+              distanceFactor={5}  // Adjusts scale based on distance
+              position={[0, height / 2 - 0.18, 0.06]}
+              transform  // HTML follows object in 3D
+            >
+              <div style={{ 
+                color: 'white', 
+                fontSize: '22px',
+                fontWeight: '500',
+                padding: '8px 16px',
+                backgroundColor: active ? 'rgba(30,30,30,0.8)' : 'rgba(40,40,40,0.7)',
+                borderRadius: '8px',
+                userSelect: 'none',  // Prevent text selection
+                width: '100%',
+                textAlign: 'center',
+                boxShadow: active ? '0 0 10px rgba(66,133,244,0.3)' : 'none'
+              }}>
+                {label}
+              </div>
+            </Html>
+          )}
+          
+          {/* Curved panel content - laid out along the arc by its own CurvedItems */}
+          {contentVisible && curve && (
+            <CurvedLayout value={curvedLayout.layout}>
               {children}
-            </div>
-          </Html>
+            </CurvedLayout>
+          )}
+          
+          {/* Panel content - only shown when active (or always open) */}
+          {contentVisible && !curve && (
+            <group ref={contentAnchorRef} position={[0, showHeader ? -0.1 : 0, 0.06]}>
+              <Html 
+                center
+                distanceFactor={distanceFactor}
+                transform
+              >
+                <div ref={contentRootRef} style={{ 
+                  width: '350px',
+                  maxHeight: '250px',
+                  overflowY: 'auto',  // Scrollable content
+                  backgroundColor: 'rgba(25,25,25,0.85)',
+                  borderRadius: '10px',
+                  padding: '15px',
+                  color: 'white',
+                  fontFamily: 'Arial, sans-serif',
+                  boxShadow: '0 0 15px rgba(0,0,0,0.5)',
+                  ...contentStyle
+                }}>
+                  {children}
+                </div>
+              </Html>
+            </group>
+          )}
+        </group>
+        
+        {/* Move handle below the panel and resize handle at the bottom-right corner */}
+        {movable && (
+          <>
+            <Box 
+              args={[Math.min(0.6, width * 0.4), 0.05, 0.03]} 
+              radius={0.02} 
+              smoothness={4}
+              position={[0, -height / 2 - 0.12, 0]}
+              userData={{ panelHandle: 'move' }}
+              onPointerDown={handlePointerDown('move')}
+            >
+              <meshBasicMaterial 
+                color={grabMode === 'move' ? HANDLE_ACTIVE_COLOR : HANDLE_COLOR} 
+                transparent 
+                opacity={0.7}
+              />
+            </Box>
+            <mesh 
+              position={[cornerX, cornerY, cornerZ + 0.04]}
+              userData={{ panelHandle: 'resize' }}
+              onPointerDown={handlePointerDown('resize')}
+            >
+              <sphereGeometry args={[0.05, 16, 16]} />
+              <meshBasicMaterial 
+                color={grabMode === 'resize' ? HANDLE_ACTIVE_COLOR : HANDLE_COLOR} 
+                transparent 
+                opacity={0.7}
+              />
+            </mesh>
+          </>
         )}
       </group>
     </Interactive>
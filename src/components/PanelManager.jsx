@@ -0,0 +1,72 @@
+/**
+ * Panel Manager Component
+ * 
+ * Renders every panel declared in the panel registry through the generic
+ * Panel component, wiring each one to the shared single-active selection.
+ * 
+ * Features:
+ * - One declaration per panel (see panels/registry.js) instead of
+ *   hand-built shells per panel
+ * - Selecting a panel activates it and deactivates the previous one
+ * - Selecting the active panel again deactivates it
+ * - Applies the user's saved layout over the registry's default poses and
+ *   stores new poses when panels are moved or resized
+ * - Shows only the panels that belong to the active navigation section
+ * - Passes the shared settings, notification feed, layout reset and input
+ *   bindings to panel content as props (settings, onSettingsChange,
+ *   notificationFeed, onResetLayout, inputBindings), since Html content
+ *   can't read React context
+ */
+import React from 'react';
+import Panel from './Panel';
+import { PANELS } from './panels/registry';
+import { usePanels } from '../contexts/PanelContext';
+import { usePanelLayout } from '../contexts/PanelLayoutContext';
+import { useNavigation } from '../contexts/NavigationContext';
+import { useVRSettings } from '../contexts/VRSettingsContext';
+import { useNotifications } from '../contexts/NotificationContext';
+import { useInputBindings } from '../contexts/InputBindingsContext';
+import { getSection } from '../config/navigation';
+
+/**
+ * PanelManager Component
+ * 
+ * @returns {JSX.Element} The registered panels of the active section
+ */
+const PanelManager = () => {
+  const { activePanel, togglePanel } = usePanels();
+  const { layouts, updatePanelLayout, resetPanelLayouts } = usePanelLayout();
+  const { section } = useNavigation();
+  const { vrSettings, updateVRSettings } = useVRSettings();
+  const notificationFeed = useNotifications();
+  const inputBindings = useInputBindings();
+  
+  const visiblePanels = getSection(section).panels;
+  const panels = PANELS.filter(panel => visiblePanels.includes(panel.id));
+  
+  return (
+    <>
+      {panels.map(({ id, component: Content, ...panelProps }) => (
+        <Panel
+          key={id}
+          id={id}
+          {...panelProps}
+          {...layouts[id]}
+          active={activePanel === id}
+          onClick={() => togglePanel(id)}
+          onLayoutChange={(layout) => updatePanelLayout(id, layout)}
+        >
+          <Content
+            settings={vrSettings}
+            onSettingsChange={updateVRSettings}
+            notificationFeed={notificationFeed}
+            onResetLayout={resetPanelLayouts}
+            inputBindings={inputBindings}
+          />
+        </Panel>
+      ))}
+    </>
+  );
+};
+
+export default PanelManager;
@@ -0,0 +1,59 @@
+/**
+ * Player Rig Component
+ * 
+ * Applies the user's `vrSettings.playerHeight` to the XR player rig.
+ * With a floor-level reference space the headset already reports real
+ * head height, so the rig is offset vertically to bring the user's eyes
+ * to their configured height above the scene's floor - letting seated
+ * users see the home space from a standing viewpoint.
+ * 
+ * The offset is calibrated once per session (and again whenever the
+ * height setting changes), so crouching and leaning still work naturally.
+ * Desktop eye height is handled by the Controls component.
+ */
+import { useRef, useEffect } from 'react';
+import { useFrame } from '@react-three/fiber';
+import { useXR } from '@react-three/xr';
+import { getEyeHeight } from '../config/scene';
+
+/**
+ * PlayerRig Component
+ * 
+ * @param {Object} props - Component properties
+ * @param {number} props.playerHeight - Player height in meters
+ * @returns {null} Behavior-only component
+ */
+const PlayerRig = ({ playerHeight = 1.7 }) => {
+  const player = useXR(state => state.player);
+  const isPresenting = useXR(state => state.isPresenting);
+  const needsCalibration = useRef(true);
+  
+  // Recalibrate when a session starts or the height setting changes
+  useEffect(() => {
+    needsCalibration.current = true;
+    
+    // Undo XR locomotion when leaving the headset, so the desktop camera
+    // isn't left offset or rotated by the rig
+    if (!isPresenting) {
+      player.position.set(0, 0, 0);
+      player.rotation.set(0, 0, 0);
+    }
+  }, [isPresenting, playerHeight, player]);
+  
+  useFrame((state) => {
+    if (!isPresenting || !needsCalibration.current) return;
+    
+    // Wait for the first tracked pose (camera height is 0 until then)
+    const headHeight = state.camera.position.y;
+    if (headHeight <= 0) return;
+    
+    // Head height is reported above the real floor, which the rig puts
+    // on the scene's floor (getEyeHeight already includes FLOOR.y)
+    player.position.y = getEyeHeight(playerHeight) - headHeight;
+    needsCalibration.current = false;
+  });
+  
+  return null;
+};
+
+export default PlayerRig;
@@ -0,0 +1,55 @@
+/**
+ * Scene Settings Component
+ * 
+ * Applies the user's display and sound settings (see VRSettingsContext)
+ * to the renderer and audio output.
+ * 
+ * Features:
+ * - Brightness mapped to the renderer's tone-mapping exposure
+ * - Volume mapped to the master audio gain (services/audio.js)
+ * 
+ * Graphics quality is applied by App, since it configures the Canvas itself.
+ */
+import { useEffect } from 'react';
+import { useThree } from '@react-three/fiber';
+import { setMasterVolume } from '../services/audio';
+
+// Brightness (percent) that renders at the default exposure of 1
+const NEUTRAL_BRIGHTNESS = 70;
+
+/**
+ * Converts a brightness percentage into a tone-mapping exposure
+ * 
+ * Exposure doubles every 30% above neutral and halves every 30% below it,
+ * so the slider feels even across its range (0% ≈ 0.2, 100% = 2).
+ * 
+ * @param {number} brightness - Brightness from 0 to 100
+ * @returns {number} Exposure multiplier
+ */
+export function getExposure(brightness) {
+  return Math.pow(2, (brightness - NEUTRAL_BRIGHTNESS) / 30);
+}
+
+/**
+ * SceneSettings Component
+ * 
+ * @param {Object} props - Component properties
+ * @param {number} props.brightness - Brightness from 0 to 100
+ * @param {number} props.volume - Volume from 0 to 100
+ * @returns {null} Behavior-only component
+ */
+const SceneSettings = ({ brightness, volume }) => {
+  const gl = useThree(state => state.gl);
+  
+  useEffect(() => {
+    gl.toneMappingExposure = getExposure(brightness);
+  }, [gl, brightness]);
+  
+  useEffect(() => {
+    setMasterVolume(volume / 100);
+  }, [volume]);
+  
+  return null;
+};
+
+export default SceneSettings;
@@ -0,0 +1,273 @@
+/**
+ * Teleport Pointer Component
+ * 
+ * Aims and performs teleport locomotion. While aiming, a parabolic arc is
+ * traced from the dominant hand's controller (or from the camera toward the
+ * mouse in desktop mode) and a reticle marks where it lands. Releasing the aim
+ * teleports the user there, hidden behind a short fade.
+ * 
+ * Features:
+ * - XR: push the dominant hand's thumbstick forward to aim, release to
+ *   teleport (sideways pushes on the same stick turn, see Controls)
+ * - Desktop: hold the teleport action (T or right mouse button) to aim
+ *   with the mouse, release to teleport
+ * - Landing is only valid on the floor surface, within its bounds, and
+ *   (with collision on) where the user would not stand inside a panel
+ * - Arc and reticle turn red over invalid targets
+ * - Fade-out/fade-in around the jump to avoid a jarring cut
+ * 
+ * Technical implementation:
+ * - Projectile motion sampled at fixed time steps, intersected with the floor plane
+ * - Arc geometry reuses one preallocated buffer, updated in place each frame
+ * - Fade reuses the ComfortVignette overlay at full coverage
+ * - The actual move is delegated to the parent via onTeleport
+ */
+import React, { useEffect, useMemo, useRef } from 'react';
+import { useFrame, useThree } from '@react-three/fiber';
+import { useXR } from '@react-three/xr';
+import * as THREE from 'three';
+import ComfortVignette from './ComfortVignette';
+import useInputActions from '../hooks/useInputActions';
+import { getThumbstick, getStickHands, isStickForward } from '../input/xrGamepad';
+import { FLOOR, PLAY_AREA, isWithinFloor } from '../config/scene';
+import { isSpaceBlocked } from '../utils/collision';
+
+// Arc simulation
+const ARC_SPEED = 7;          // Launch speed in m/s
+const ARC_GRAVITY = 9.8;      // Downward acceleration in m/s²
+const ARC_TIME_STEP = 0.04;   // Seconds between arc samples
+const ARC_SEGMENTS = 40;      // Maximum samples (limits the arc's reach)
+
+// Keep landings away from the very edge of the floor
+const FLOOR_MARGIN = 0.3;
+
+// Thumbstick thresholds for aiming (y is negative when pushed forward)
+const AIM_START = -0.6;
+const AIM_RELEASE = -0.3;
+
+// Fade progress per second (full fade in about 1/8 s)
+const FADE_SPEED = 8;
+
+const VALID_COLOR = new THREE.Color('#4285F4');
+const INVALID_COLOR = new THREE.Color('#EA4335');
+
+/**
+ * TeleportPointer Component
+ * 
+ * @param {Object} props - Component properties
+ * @param {Function} props.onTeleport - Called with the landing point (THREE.Vector3) once the screen is faded out
+ * @param {string} props.handedness - Dominant hand, which aims ('left' or 'right', default: 'right')
+ * @param {boolean} props.collision - Reject landings inside panels (default: true)
+ * @returns {JSX.Element} The arc, reticle and fade overlay
+ */
+const TeleportPointer = ({ onTeleport, handedness = 'right', collision = true }) => {
+  const { camera, gl, pointer } = useThree();
+  const controllers = useXR(state => state.controllers);
+  const isPresenting = useXR(state => state.isPresenting);
+  const aimHand = getStickHands(handedness).dominant;
+  
+  // Aiming state
+  const aiming = useRef(false);
+  const landing = useRef({ point: new THREE.Vector3(), hit: false, valid: false });
+  
+  // Fade state: 'idle' -> 'out' -> (teleport) -> 'in' -> 'idle'
+  const fadePhase = useRef('idle');
+  const fadeIntensity = useRef(0);
+  const destination = useMemo(() => new THREE.Vector3(), []);
+  
+  const reticleRef = useRef();
+  
+  // Persistent objects to avoid garbage collection
+  const temp = useMemo(() => ({
+    origin: new THREE.Vector3(),
+    direction: new THREE.Vector3(),
+    position: new THREE.Vector3(),
+    previous: new THREE.Vector3(),
+    head: new THREE.Vector3(),
+    raycaster: new THREE.Raycaster()
+  }), []);
+  
+  // Arc line with a fixed-size buffer, drawn up to the landing sample
+  const arc = useMemo(() => {
+    const geometry = new THREE.BufferGeometry();
+    geometry.setAttribute(
+      'position',
+      new THREE.BufferAttribute(new Float32Array((ARC_SEGMENTS + 1) * 3), 3)
+    );
+    
+    const material = new THREE.LineBasicMaterial({
+      color: VALID_COLOR,
+      transparent: true,
+      opacity: 0.8
+    });
+    
+    const line = new THREE.Line(geometry, material);
+    line.frustumCulled = false;
+    line.visible = false;
+    return line;
+  }, []);
+  
+  // Release GPU resources on unmount
+  useEffect(() => () => {
+    arc.geometry.dispose();
+    arc.material.dispose();
+  }, [arc]);
+  
+  // Desktop aiming: hold the teleport action (T or right mouse button by default)
+  const input = useInputActions();
+  
+  /**
+   * Sets the arc's launch origin and direction for the current input mode
+   * 
+   * @returns {boolean} False if there is nothing to aim from
+   */
+  const getAimRay = () => {
+    const { origin, direction, raycaster } = temp;
+    
+    if (isPresenting) {
+      const controller = controllers.find(c => c.inputSource.handedness === aimHand);
+      if (!controller) return false;
+      
+      // Target ray space points down -Z
+      controller.controller.getWorldPosition(origin);
+      direction.set(0, 0, -1).transformDirection(controller.controller.matrixWorld);
+      return true;
+    }
+    
+    // Launch from just below the eyes toward the mouse cursor
+    raycaster.setFromCamera(pointer, camera);
+    origin.copy(raycaster.ray.origin);
+    origin.y -= 0.3;
+    direction.copy(raycaster.ray.direction);
+    return true;
+  };
+  
+  /**
+   * Checks whether the user can land at a floor point
+   * 
+   * @param {THREE.Vector3} point - Landing point on the floor
+   * @returns {boolean} True if the landing is allowed
+   */
+  const isValidLanding = (point) => {
+    if (!isWithinFloor(point, FLOOR_MARGIN)) return false;
+    if (!collision) return true;
+    
+    // Teleporting keeps the current eye height, so check the whole column
+    camera.getWorldPosition(temp.head);
+    return !isSpaceBlocked(point, Math.max(temp.head.y - FLOOR.y, PLAY_AREA.minEyeHeight), PLAY_AREA.radius);
+  };
+  
+  /**
+   * Traces the parabolic arc into the line buffer and finds where it meets the floor
+   * 
+   * @returns {number} Number of points written to the arc
+   */
+  const traceArc = () => {
+    const { origin, direction, position, previous } = temp;
+    const positions = arc.geometry.attributes.position;
+    
+    landing.current.hit = false;
+    landing.current.valid = false;
+    position.copy(origin);
+    positions.setXYZ(0, position.x, position.y, position.z);
+    
+    for (let i = 1; i <= ARC_SEGMENTS; i++) {
+      const t = i * ARC_TIME_STEP;
+      previous.copy(position);
+      position.copy(origin).addScaledVector(direction, ARC_SPEED * t);
+      position.y -= 0.5 * ARC_GRAVITY * t * t;
+      
+      if (position.y <= FLOOR.y) {
+        // Interpolate the exact crossing point with the floor plane
+        const f = (previous.y - FLOOR.y) / (previous.y - position.y);
+        position.lerpVectors(previous, position, f);
+        positions.setXYZ(i, position.x, position.y, position.z);
+        
+        landing.current.point.copy(position);
+        landing.current.hit = true;
+        landing.current.valid = isValidLanding(position);
+        return i + 1;
+      }
+      
+      positions.setXYZ(i, position.x, position.y, position.z);
+    }
+    
+    return ARC_SEGMENTS + 1;
+  };
+  
+  /**
+   * Reads whether the user is currently aiming
+   * 
+   * @returns {boolean} True while the aim input is held
+   */
+  const isAiming = () => {
+    if (!isPresenting) return input.isActive('teleport');
+    
+    const stick = getThumbstick(gl.xr.getSession(), aimHand);
+    if (!stick) return false;
+    
+    // Hysteresis so the aim doesn't flicker around the threshold; starting
+    // needs a mostly forward push, so turning never starts an aim
+    return aiming.current ? stick.y < AIM_RELEASE : isStickForward(stick, AIM_START);
+  };
+  
+  useFrame((state, delta) => {
+    // Run the fade sequence around the jump
+    if (fadePhase.current === 'out') {
+      fadeIntensity.current = Math.min(1, fadeIntensity.current + delta * FADE_SPEED);
+      if (fadeIntensity.current >= 1) {
+        onTeleport?.(destination);
+        fadePhase.current = 'in';
+      }
+    } else if (fadePhase.current === 'in') {
+      fadeIntensity.current = Math.max(0, fadeIntensity.current - delta * FADE_SPEED);
+      if (fadeIntensity.current <= 0) fadePhase.current = 'idle';
+    }
+    
+    const wasAiming = aiming.current;
+    aiming.current = fadePhase.current === 'idle' && isAiming() && getAimRay();
+    
+    // Releasing the aim over a valid target starts the teleport
+    if (wasAiming && !aiming.current && fadePhase.current === 'idle' && landing.current.valid) {
+      destination.copy(landing.current.point);
+      fadePhase.current = 'out';
+    }
+    
+    if (!aiming.current) {
+      arc.visible = false;
+      if (reticleRef.current) reticleRef.current.visible = false;
+      return;
+    }
+    
+    const count = traceArc();
+    const { point, hit, valid } = landing.current;
+    
+    arc.geometry.setDrawRange(0, count);
+    arc.geometry.attributes.position.needsUpdate = true;
+    arc.material.color.copy(valid ? VALID_COLOR : INVALID_COLOR);
+    arc.visible = true;
+    
+    if (reticleRef.current) {
+      reticleRef.current.visible = hit;
+      reticleRef.current.position.set(point.x, FLOOR.y + 0.01, point.z);
+      reticleRef.current.material.color.copy(valid ? VALID_COLOR : INVALID_COLOR);
+    }
+  });
+  
+  return (
+    <>
+      <primitive object={arc} />
+      
+      {/* Landing reticle */}
+      <mesh ref={reticleRef} rotation={[-Math.PI / 2, 0, 0]} visible={false}>
+        <ringGeometry args={[0.15, 0.2, 32]} />
+        <meshBasicMaterial transparent opacity={0.9} depthWrite={false} />
+      </mesh>
+      
+      {/* Fade overlay - a vignette collapsed to full coverage */}
+      <ComfortVignette intensityRef={fadeIntensity} innerRadius={-0.5} softness={0.5} />
+    </>
+  );
+};
+
+export default TeleportPointer;
@@ -0,0 +1,104 @@
+/**
+ * XR Controllers Component
+ * 
+ * Renders the tracked controller models and a pointer ray for the user's
+ * dominant hand only, based on `vrSettings.handedness`. Replaces the
+ * stock @react-three/xr Controllers, which draws a ray on every controller.
+ * 
+ * Features:
+ * - Controller models for both hands (loaded via XRControllerModelFactory)
+ * - Single pointer ray on the dominant controller
+ * - Rays hidden while hand tracking is active
+ * - Helper to ignore interaction events from the off-hand controller
+ */
+import React, { useMemo, useEffect } from 'react';
+import { createPortal } from '@react-three/fiber';
+import { useXR, Ray, XRControllerModelFactory, XRControllerModel } from '@react-three/xr';
+
+const modelFactory = new XRControllerModelFactory();
+
+/**
+ * Checks whether an XR interaction event came from the pointer controller
+ * Hand-tracking pokes (see HandGestures) work with either hand
+ * 
+ * @param {Object} event - XRInteractionEvent from @react-three/xr
+ * @param {string} handedness - Dominant hand ('left' or 'right')
+ * @returns {boolean} True if the event should be handled
+ */
+export function isPointerEvent(event, handedness) {
+  if (event?.target?.poke) return true;
+  
+  const eventHand = event?.target?.inputSource?.handedness;
+  // Gaze/screen input sources have no handedness and always count
+  return !eventHand || eventHand === 'none' || eventHand === handedness;
+}
+
+/**
+ * Controller model attached to a controller's grip space
+ * 
+ * @param {Object} props - Component properties
+ * @param {XRController} props.target - The controller to render
+ * @returns {JSX.Element} The model portalled into the grip space
+ */
+const ControllerModel = ({ target }) => {
+  const model = useMemo(() => new XRControllerModel(), []);
+  
+  useEffect(() => {
+    const onConnected = (event) => modelFactory.initializeControllerModel(model, event);
+    const onDisconnected = () => model.disconnect();
+    
+    target.controller.addEventListener('connected', onConnected);
+    target.controller.addEventListener('disconnected', onDisconnected);
+    
+    // The connection event has usually fired already - replay it for the model
+    target.controller.dispatchEvent({ type: 'connected', data: target.inputSource, fake: true });
+    
+    return () => {
+      target.controller.removeEventListener('connected', onConnected);
+      target.controller.removeEventListener('disconnected', onDisconnected);
+      model.disconnect();
+    };
+  }, [target, model]);
+  
+  return createPortal(<primitive object={model} />, target.grip);
+};
+
+/**
+ * XRControllers Component
+ * 
+ * @param {Object} props - Component properties
+ * @param {string} props.handedness - Dominant hand that gets the pointer ray
+ * @param {Object} props.rayMaterial - Optional ray material props
+ * @returns {JSX.Element} Controller models and the pointer ray
+ */
+const XRControllers = ({ handedness = 'right', rayMaterial = { color: '#ffffff' } }) => {
+  const controllers = useXR(state => state.controllers);
+  const isHandTracking = useXR(state => state.isHandTracking);
+  
+  const rayMaterialProps = useMemo(
+    () => Object.fromEntries(
+      Object.entries(rayMaterial).map(([key, value]) => [`material-${key}`, value])
+    ),
+    [rayMaterial]
+  );
+  
+  return (
+    <>
+      {controllers.map(target => (
+        <React.Fragment key={target.index}>
+          <ControllerModel target={target} />
+          {target.inputSource.handedness === handedness && createPortal(
+            <Ray 
+              target={target} 
+              visible={!isHandTracking} 
+              {...rayMaterialProps} 
+            />,
+            target.controller
+          )}
+        </React.Fragment>
+      ))}
+    </>
+  );
+};
+
+export default XRControllers;
@@ -0,0 +1,153 @@
+/**
+ * XR Hands Component
+ * 
+ * Renders tracked hands using hand models bundled with the app, replacing
+ * @react-three/xr's Hands (which loads models from a remote CDN).
+ * 
+ * Features:
+ * - Skinned hand models served from the app's own assets, so hands work
+ *   offline and on locked-down networks
+ * - Procedural fallback (a sphere per joint) if a model fails to load
+ * - Hand skins selected by the signed-in user's avatar (see config/handSkins.js)
+ * 
+ * Technical implementation:
+ * - Uses three's XRHandMeshModel with a GLTFLoader wrapper that applies
+ *   the skin and reports load failures
+ * - Falls back to three's XRHandPrimitiveModel on failure
+ * - Meshes are posed from the hand joints every frame
+ */
+import React, { useEffect, useMemo, useRef } from 'react';
+import { useFrame, createPortal } from '@react-three/fiber';
+import { useXR } from '@react-three/xr';
+import * as THREE from 'three';
+import { GLTFLoader } from 'three/examples/jsm/loaders/GLTFLoader.js';
+import { XRHandMeshModel } from 'three/examples/jsm/webxr/XRHandMeshModel.js';
+import { XRHandPrimitiveModel } from 'three/examples/jsm/webxr/XRHandPrimitiveModel.js';
+import useCachedResource from '../hooks/useCachedResource';
+import { isSignedIn } from '../services/api';
+import { fetchCurrentUser } from '../services/auth';
+import { getHandSkin, FALLBACK_HAND_COLOR } from '../config/handSkins';
+import { getAssetPath } from '../utils/paths';
+
+/**
+ * Applies a hand skin's material overrides to every mesh in an object
+ * 
+ * @param {THREE.Object3D} object - Loaded hand model or joint mesh
+ * @param {Object} skin - Hand skin
+ */
+const applySkin = (object, skin) => {
+  if (!skin.color) return;
+  
+  object.traverse(child => {
+    if (!child.isMesh) return;
+    
+    // Clone so skins never leak into the loader's shared materials
+    const material = child.material.clone();
+    material.color.set(skin.color);
+    if (skin.metalness !== undefined) material.metalness = skin.metalness;
+    if (skin.roughness !== undefined) material.roughness = skin.roughness;
+    if (skin.opacity !== undefined && skin.opacity < 1) {
+      material.transparent = true;
+      material.opacity = skin.opacity;
+      material.depthWrite = false;
+    }
+    child.material = material;
+  });
+};
+
+/**
+ * Fetches the signed-in user's avatar (null when signed out)
+ * 
+ * @returns {Promise<string|null>} Avatar id
+ */
+const fetchAvatar = async () => {
+  if (!isSignedIn()) return null;
+  const user = await fetchCurrentUser();
+  return user.avatar || null;
+};
+
+/**
+ * Hand model for one tracked hand
+ * 
+ * @param {Object} props - Component properties
+ * @param {XRController} props.target - Controller whose hand to render
+ * @param {Object} props.skin - Hand skin
+ * @returns {JSX.Element} The model portalled into the hand space
+ */
+const HandModel = ({ target, skin }) => {
+  const model = useMemo(() => new THREE.Group(), []);
+  const motionController = useRef(null);
+  
+  const handedness = target.inputSource?.handedness;
+  const isHand = Boolean(target.inputSource?.hand);
+  
+  useEffect(() => {
+    if (!isHand) return;
+    let disposed = false;
+    
+    // Procedural joint spheres, used when the model can't be loaded
+    const showJointSpheres = () => {
+      model.clear();
+      const primitive = new XRHandPrimitiveModel(model, target.hand, null, handedness, { primitive: 'sphere' });
+      primitive.handMesh.material.color.set(FALLBACK_HAND_COLOR);
+      applySkin(primitive.handMesh, skin);
+      motionController.current = primitive;
+    };
+    
+    const gltfLoader = new GLTFLoader().setPath(getAssetPath(skin.modelPath));
+    const loader = {
+      load: (url, onLoad) => gltfLoader.load(
+        url,
+        (gltf) => {
+          if (disposed) return;
+          applySkin(gltf.scene, skin);
+          onLoad(gltf);
+        },
+        undefined,
+        (error) => {
+          if (disposed) return;
+          console.warn(`Could not load ${handedness} hand model, using joint spheres:`, error.message);
+          showJointSpheres();
+        }
+      )
+    };
+    
+    motionController.current = new XRHandMeshModel(model, target.hand, null, handedness, loader);
+    
+    return () => {
+      disposed = true;
+      motionController.current = null;
+      model.clear();
+    };
+  }, [target, handedness, isHand, skin, model]);
+  
+  // Pose the model from the joints (created once tracking starts)
+  useFrame(() => {
+    if (target.hand.joints?.wrist) motionController.current?.updateMesh();
+  });
+  
+  return createPortal(<primitive object={model} />, target.hand);
+};
+
+/**
+ * XRHands Component
+ * 
+ * @returns {JSX.Element} Hand models for all tracked hands
+ */
+const XRHands = () => {
+  const controllers = useXR(state => state.controllers);
+  
+  // Avatar is cached so the chosen skin also applies offline
+  const avatar = useCachedResource('user:avatar', fetchAvatar);
+  const skin = getHandSkin(avatar.data);
+  
+  return (
+    <>
+      {controllers.map(target => (
+        <HandModel key={target.index} target={target} skin={skin} />
+      ))}
+    </>
+  );
+};
+
+export default XRHands;
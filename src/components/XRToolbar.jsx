@@ -0,0 +1,329 @@
+/**
+ * XR Toolbar Component (3D)
+ * 
+ * In-world counterpart of BottomToolbarHUD for headset users. The DOM HUD
+ * can't be seen inside a WebXR session, so while one is running this
+ * toolbar floats at waist height in front of the user instead.
+ * 
+ * Features:
+ * - Mirrors TOOLBAR_APPS and the clock from the DOM HUD
+ * - Shares the navigation state: selecting an icon switches sections and
+ *   the active section is highlighted, in both toolbars
+ * - Unread notification badge, as on the DOM HUD
+ * - Tag-along placement: stays put while the user looks around, and glides
+ *   back in front of them once they turn or walk past a dead zone
+ * - Selectable with controller rays, pinches and finger pokes
+ * 
+ * Technical implementation:
+ * - Icons and clock are drawn to canvas textures, so the toolbar needs no
+ *   fonts or network assets and renders inside the headset
+ * - Only mounted while a session is presenting
+ * - Placement logic lives in utils/tagAlong.js
+ */
+import React, { useState, useEffect, useMemo, useRef } from 'react';
+import { useFrame, useThree } from '@react-three/fiber';
+import { Interactive, useXR } from '@react-three/xr';
+import * as THREE from 'three';
+import useClock from '../hooks/useClock';
+import { useNavigation } from '../contexts/NavigationContext';
+import { useNotifications } from '../contexts/NotificationContext';
+import { TOOLBAR_APPS, getBadgeCount, formatBadgeCount } from '../config/navigation';
+import { createTagAlong } from '../utils/tagAlong';
+
+// Toolbar dimensions in meters
+const LAYOUT = {
+  buttonSize: 0.06,
+  gap: 0.015,
+  padding: 0.015,
+  clockWidth: 0.1,
+  // Tilted back so the face points up toward the eyes (radians)
+  tilt: -0.6
+};
+
+// Canvas resolution of the icon and clock textures
+const TEXTURE_SIZE = 128;
+
+/**
+ * Creates a sRGB texture from a canvas
+ * 
+ * @param {HTMLCanvasElement} canvas - Source canvas
+ * @returns {THREE.CanvasTexture} The texture
+ */
+const createCanvasTexture = (canvas) => {
+  const texture = new THREE.CanvasTexture(canvas);
+  texture.colorSpace = THREE.SRGBColorSpace;
+  return texture;
+};
+
+/**
+ * Draws a toolbar icon (emoji on a colored disc)
+ * 
+ * @param {string} icon - Emoji
+ * @param {string} color - Disc color
+ * @returns {THREE.CanvasTexture} Icon texture
+ */
+const createIconTexture = (icon, color) => {
+  const canvas = document.createElement('canvas');
+  canvas.width = canvas.height = TEXTURE_SIZE;
+  const context = canvas.getContext('2d');
+  const center = TEXTURE_SIZE / 2;
+  
+  context.fillStyle = color;
+  context.beginPath();
+  context.arc(center, center, center, 0, Math.PI * 2);
+  context.fill();
+  
+  context.font = `${TEXTURE_SIZE / 2}px sans-serif`;
+  context.textAlign = 'center';
+  context.textBaseline = 'middle';
+  context.fillText(icon, center, center + TEXTURE_SIZE / 20);
+  
+  return createCanvasTexture(canvas);
+};
+
+/**
+ * Draws a badge count (white text on a red disc)
+ * 
+ * @param {string} label - Badge text
+ * @returns {THREE.CanvasTexture} Badge texture
+ */
+const createBadgeTexture = (label) => {
+  const canvas = document.createElement('canvas');
+  canvas.width = canvas.height = TEXTURE_SIZE / 2;
+  const context = canvas.getContext('2d');
+  const center = TEXTURE_SIZE / 4;
+  
+  context.fillStyle = '#EA4335';
+  context.beginPath();
+  context.arc(center, center, center, 0, Math.PI * 2);
+  context.fill();
+  
+  context.fillStyle = 'white';
+  context.font = `bold ${label.length > 2 ? TEXTURE_SIZE / 6 : TEXTURE_SIZE / 4}px Arial, sans-serif`;
+  context.textAlign = 'center';
+  context.textBaseline = 'middle';
+  context.fillText(label, center, center);
+  
+  return createCanvasTexture(canvas);
+};
+
+/**
+ * Badge drawn over a toolbar icon
+ * 
+ * @param {Object} props - Component properties
+ * @param {number} props.count - Count to show
+ * @param {number} props.radius - Icon radius the badge sits on
+ * @returns {JSX.Element} The badge
+ */
+const ToolbarBadge = ({ count, radius }) => {
+  const label = formatBadgeCount(count);
+  const texture = useMemo(() => createBadgeTexture(label), [label]);
+  
+  useEffect(() => () => texture.dispose(), [texture]);
+  
+  return (
+    <mesh position={[radius * 0.75, radius * 0.75, 0.002]}>
+      <circleGeometry args={[radius * 0.45, 32]} />
+      <meshBasicMaterial map={texture} transparent />
+    </mesh>
+  );
+};
+
+/**
+ * Creates a flat pill shape for the toolbar background
+ * 
+ * @param {number} width - Total width in meters
+ * @param {number} height - Total height in meters
+ * @returns {THREE.ShapeGeometry} Pill geometry centered on the origin
+ */
+const createPillGeometry = (width, height) => {
+  const radius = height / 2;
+  const inner = width / 2 - radius;
+  
+  const shape = new THREE.Shape();
+  shape.absarc(inner, 0, radius, -Math.PI / 2, Math.PI / 2, false);
+  shape.absarc(-inner, 0, radius, Math.PI / 2, Math.PI * 1.5, false);
+  
+  return new THREE.ShapeGeometry(shape, 16);
+};
+
+/**
+ * Toolbar icon button
+ * 
+ * @param {Object} props - Component properties
+ * @param {Object} props.app - Entry from TOOLBAR_APPS
+ * @param {number[]} props.position - Position on the toolbar
+ * @param {boolean} props.active - Whether the app's section is active
+ * @param {number} props.badgeCount - Badge count (0 hides the badge)
+ * @param {Function} props.onSelect - Called when the button is selected
+ * @returns {JSX.Element} The button
+ */
+const ToolbarButton = ({ app, position, active, badgeCount, onSelect }) => {
+  const [hovered, setHovered] = useState(false);
+  const texture = useMemo(() => createIconTexture(app.icon, app.color), [app.icon, app.color]);
+  const radius = LAYOUT.buttonSize / 2;
+  
+  useEffect(() => () => texture.dispose(), [texture]);
+  
+  return (
+    <Interactive
+      onSelect={onSelect}
+      onHover={() => setHovered(true)}
+      onBlur={() => setHovered(false)}
+    >
+      <group position={position} scale={hovered ? 1.15 : 1}>
+        {/* Active section ring */}
+        {active && (
+          <mesh>
+            <ringGeometry args={[radius * 1.05, radius * 1.25, 48]} />
+            <meshBasicMaterial color="white" />
+          </mesh>
+        )}
+        <mesh position-z={0.001}>
+          <circleGeometry args={[radius, 48]} />
+          <meshBasicMaterial map={texture} transparent />
+        </mesh>
+        {badgeCount > 0 && <ToolbarBadge count={badgeCount} radius={radius} />}
+      </group>
+    </Interactive>
+  );
+};
+
+/**
+ * Toolbar clock, redrawn when the time changes
+ * 
+ * @param {Object} props - Component properties
+ * @param {number[]} props.position - Position on the toolbar
+ * @returns {JSX.Element} The clock
+ */
+const ToolbarClock = ({ position }) => {
+  const currentTime = useClock();
+  
+  const canvas = useMemo(() => {
+    const element = document.createElement('canvas');
+    element.width = TEXTURE_SIZE * 2;
+    element.height = TEXTURE_SIZE;
+    return element;
+  }, []);
+  const texture = useMemo(() => createCanvasTexture(canvas), [canvas]);
+  
+  useEffect(() => () => texture.dispose(), [texture]);
+  
+  useEffect(() => {
+    const context = canvas.getContext('2d');
+    context.clearRect(0, 0, canvas.width, canvas.height);
+    context.fillStyle = 'white';
+    context.font = `bold ${TEXTURE_SIZE / 2}px Arial, sans-serif`;
+    context.textAlign = 'center';
+    context.textBaseline = 'middle';
+    context.fillText(currentTime, canvas.width / 2, canvas.height / 2);
+    texture.needsUpdate = true;
+  }, [currentTime, canvas, texture]);
+  
+  return (
+    <mesh position={position}>
+      <planeGeometry args={[LAYOUT.clockWidth, LAYOUT.clockWidth / 2]} />
+      <meshBasicMaterial map={texture} transparent />
+    </mesh>
+  );
+};
+
+/**
+ * Toolbar placed with tag-along behavior
+ * 
+ * @param {Object} props - Component properties
+ * @param {Object} props.tagAlong - Overrides for TAG_ALONG_DEFAULTS
+ * @returns {JSX.Element} The toolbar
+ */
+const TagAlongToolbar = ({ tagAlong }) => {
+  const { camera } = useThree();
+  const { section, navigate } = useNavigation();
+  const { unreadCount, enabled: notificationsEnabled } = useNotifications();
+  const groupRef = useRef();
+  
+  // Counters for icon badges (hidden while notifications are turned off)
+  const badgeCounts = { notifications: notificationsEnabled ? unreadCount : 0 };
+  
+  const follow = useMemo(() => createTagAlong(tagAlong), [tagAlong]);
+  const placed = useRef(false);
+  
+  // Persistent objects to avoid garbage collection
+  const temp = useMemo(() => ({
+    head: new THREE.Vector3(),
+    direction: new THREE.Vector3(),
+    yaw: 0
+  }), []);
+  
+  // Icons left to right, then the clock
+  const step = LAYOUT.buttonSize + LAYOUT.gap;
+  const contentWidth = TOOLBAR_APPS.length * step + LAYOUT.clockWidth;
+  const width = contentWidth + LAYOUT.padding * 2;
+  const height = LAYOUT.buttonSize + LAYOUT.padding * 2;
+  const left = -contentWidth / 2 + LAYOUT.buttonSize / 2;
+  
+  const background = useMemo(() => createPillGeometry(width, height), [width, height]);
+  
+  useEffect(() => () => background.dispose(), [background]);
+  
+  useFrame((state, delta) => {
+    if (!groupRef.current) return;
+    
+    camera.getWorldPosition(temp.head);
+    camera.getWorldDirection(temp.direction);
+    
+    // Keep the last heading while looking almost straight up or down
+    if (Math.hypot(temp.direction.x, temp.direction.z) > 0.1) {
+      temp.yaw = Math.atan2(-temp.direction.x, -temp.direction.z);
+    }
+    
+    const pose = follow(
+      { x: temp.head.x, y: temp.head.y, z: temp.head.z, yaw: temp.yaw },
+      delta,
+      !placed.current
+    );
+    placed.current = true;
+    
+    groupRef.current.position.fromArray(pose.position);
+    groupRef.current.rotation.set(LAYOUT.tilt, pose.yaw, 0, 'YXZ');
+  });
+  
+  return (
+    <group ref={groupRef}>
+      <mesh geometry={background}>
+        <meshBasicMaterial color="#1e1e1e" transparent opacity={0.9} />
+      </mesh>
+      
+      {TOOLBAR_APPS.map((app, index) => (
+        <ToolbarButton
+          key={app.id}
+          app={app}
+          position={[left + index * step, 0, 0.002]}
+          active={section === app.id}
+          badgeCount={getBadgeCount(app, badgeCounts)}
+          onSelect={() => navigate(app.id)}
+        />
+      ))}
+      
+      <ToolbarClock position={[contentWidth / 2 - LAYOUT.clockWidth / 2, 0, 0.002]} />
+    </group>
+  );
+};
+
+/**
+ * XRToolbar Component
+ * 
+ * Swaps in automatically when a session starts; App hides the DOM HUD
+ * at the same time.
+ * 
+ * @param {Object} props - Component properties
+ * @param {Object} props.tagAlong - Overrides for TAG_ALONG_DEFAULTS (see utils/tagAlong.js)
+ * @returns {JSX.Element|null} The toolbar while presenting
+ */
+const XRToolbar = ({ tagAlong }) => {
+  const isPresenting = useXR(state => state.isPresenting);
+  
+  if (!isPresenting) return null;
+  return <TagAlongToolbar tagAlong={tagAlong} />;
+};
+
+export default XRToolbar;
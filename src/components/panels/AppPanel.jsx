@@ -1,30 +1,64 @@
 import React, { useState } from 'react';
+import useLibrary from '../../hooks/useLibrary';
+import { formatShortRelativeTime } from '../../utils/time';
 
+const SORT_OPTIONS = [
+  { key: 'recent', label: 'Recent' },
+  { key: 'name', label: 'A-Z' },
+];
+
+// Launcher for the user's installed apps, most recently used first
 const AppPanel = () => {
-  const [selectedApp, setSelectedApp] = useState(null);
-  const apps = [
-    { id: 'maps', name: 'Maps', icon: '🗺️' },
-    { id: 'photos', name: 'Photos', icon: '📸' },
-    { id: 'browser', name: 'Browser', icon: '🌐' },
-    { id: 'notes', name: 'Notes', icon: '📝' },
-    { id: 'calendar', name: 'Calendar', icon: '📅' },
-    { id: 'games', name: 'Games', icon: '🎮' },
-  ];
+  const [sort, setSort] = useState('recent');
+  const { apps, signedIn, loading, error, launchingId, launch } = useLibrary(sort);
+  
+  const renderStatus = () => {
+    if (!signedIn) return 'Sign in to see your apps';
+    if (loading && apps.length === 0) return 'Loading apps...';
+    if (error && apps.length === 0) return 'Could not load your apps';
+    if (apps.length === 0) return 'No apps installed yet - launch one from Explore';
+    return null;
+  };
+  const status = renderStatus();
   
   return (
     <div className="app-panel">
-      <div className="app-grid">
-        {apps.map(app => (
-          <div 
-            key={app.id}
-            className={`app-icon ${selectedApp === app.id ? 'selected' : ''}`}
-            onClick={() => setSelectedApp(app.id)}
-          >
-            <div className="app-icon-graphic">{app.icon}</div>
-            <div className="app-name">{app.name}</div>
+      <h3 className="app-panel-header">
+        Library
+        {!status && (
+          <div className="setting-options">
+            {SORT_OPTIONS.map(option => (
+              <button
+                key={option.key}
+                className={`setting-option ${sort === option.key ? 'selected' : ''}`}
+                onClick={() => setSort(option.key)}
+              >
+                {option.label}
+              </button>
+            ))}
           </div>
-        ))}
-      </div>
+        )}
+      </h3>
+      {status ? (
+        <div className="notifications-status">{status}</div>
+      ) : (
+        <div className="app-grid">
+          {apps.map(app => (
+            <div 
+              key={app.id}
+              className={`app-icon ${launchingId === app.id ? 'selected' : ''}`}
+              title={`Launch ${app.name}`}
+              onClick={() => launch(app)}
+            >
+              <div className="app-icon-graphic" style={{ background: app.color }}>{app.icon}</div>
+              <div className="app-name">{app.name}</div>
+              <div className="app-last-used">
+                {app.lastLaunchedAt ? formatShortRelativeTime(app.lastLaunchedAt) : 'New'}
+              </div>
+            </div>
+          ))}
+        </div>
+      )}
     </div>
   );
 };
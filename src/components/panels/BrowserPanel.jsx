@@ -0,0 +1,38 @@
+import React, { useState } from 'react';
+
+const BrowserPanel = () => {
+  const bookmarks = [
+    { id: 'wikipedia', name: 'Wikipedia', icon: '📖', url: 'https://en.m.wikipedia.org/wiki/Virtual_reality' },
+    { id: 'webxr', name: 'WebXR Samples', icon: '🥽', url: 'https://immersive-web.github.io/webxr-samples/' },
+    { id: 'threejs', name: 'three.js', icon: '🧊', url: 'https://threejs.org/examples/' },
+    { id: 'mdn', name: 'MDN', icon: '📚', url: 'https://developer.mozilla.org/en-US/docs/Web/API/WebXR_Device_API' },
+  ];
+  const [current, setCurrent] = useState(bookmarks[0]);
+  
+  return (
+    <div className="browser-panel">
+      <div className="browser-bar">
+        <div className="browser-address">{current.url}</div>
+      </div>
+      <div className="browser-bookmarks">
+        {bookmarks.map(bookmark => (
+          <div 
+            key={bookmark.id}
+            className={`browser-bookmark ${current.id === bookmark.id ? 'selected' : ''}`}
+            onClick={() => setCurrent(bookmark)}
+          >
+            <span>{bookmark.icon}</span> {bookmark.name}
+          </div>
+        ))}
+      </div>
+      <iframe 
+        className="browser-frame"
+        title={current.name}
+        src={current.url}
+        sandbox="allow-scripts allow-same-origin"
+      />
+    </div>
+  );
+};
+
+export default BrowserPanel;
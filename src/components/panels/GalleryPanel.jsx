@@ -0,0 +1,46 @@
+import React, { useState } from 'react';
+
+const GalleryPanel = () => {
+  const [selectedPhoto, setSelectedPhoto] = useState(null);
+  const photos = [
+    { id: 1, title: 'Aurora', icon: '🌌', background: 'linear-gradient(135deg, #0f2027, #2c5364)' },
+    { id: 2, title: 'Sunset', icon: '🌅', background: 'linear-gradient(135deg, #ff7e5f, #feb47b)' },
+    { id: 3, title: 'Forest', icon: '🌲', background: 'linear-gradient(135deg, #134e5e, #71b280)' },
+    { id: 4, title: 'Ocean', icon: '🌊', background: 'linear-gradient(135deg, #2193b0, #6dd5ed)' },
+    { id: 5, title: 'Mountains', icon: '🏔️', background: 'linear-gradient(135deg, #606c88, #3f4c6b)' },
+    { id: 6, title: 'City', icon: '🌃', background: 'linear-gradient(135deg, #141e30, #243b55)' },
+  ];
+  const selected = photos.find(photo => photo.id === selectedPhoto);
+  
+  return (
+    <div className="gallery-panel">
+      <h3>Gallery</h3>
+      {selected ? (
+        <div 
+          className="gallery-viewer"
+          style={{ background: selected.background }}
+          onClick={() => setSelectedPhoto(null)}
+        >
+          <div className="gallery-viewer-icon">{selected.icon}</div>
+          <div className="gallery-title">{selected.title}</div>
+        </div>
+      ) : (
+        <div className="gallery-grid">
+          {photos.map(photo => (
+            <div 
+              key={photo.id}
+              className="gallery-item"
+              style={{ background: photo.background }}
+              onClick={() => setSelectedPhoto(photo.id)}
+            >
+              <div className="gallery-item-icon">{photo.icon}</div>
+              <div className="gallery-title">{photo.title}</div>
+            </div>
+          ))}
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default GalleryPanel;
@@ -1,28 +1,68 @@
 import React from 'react';
+import { formatShortRelativeTime } from '../../utils/time';
 
-const NotificationsPanel = () => {
-  const notifications = [
-    { id: 1, app: 'Calendar', title: 'Meeting in 15 minutes', time: '10:45 AM', icon: '📅' },
-    { id: 2, app: 'Messages', title: 'New message from Alex', time: '10:30 AM', icon: '💬' },
-    { id: 3, app: 'Weather', title: 'Rain expected later today', time: '9:15 AM', icon: '🌧️' },
-    { id: 4, app: 'Health', title: 'Daily goal reached', time: 'Yesterday', icon: '🏃‍♂️' },
-  ];
+// Icons for notifications that don't bring their own
+const TYPE_ICONS = {
+  friend_request: '👋',
+  friend_accepted: '🤝',
+  system: '🔔',
+};
+
+// The feed comes from NotificationContext as a prop, since panel content
+// renders outside the app's React tree
+const NotificationsPanel = ({ settings, notificationFeed }) => {
+  const { notifications, unreadCount, signedIn, loading, error, markRead, markAllRead, remove } = notificationFeed;
+  
+  const renderStatus = () => {
+    if (settings?.notifications === false) return 'Notifications are turned off in Settings';
+    if (!signedIn) return 'Sign in to see notifications';
+    if (loading && notifications.length === 0) return 'Loading notifications...';
+    if (error && notifications.length === 0) return 'Could not load notifications';
+    if (notifications.length === 0) return 'You\'re all caught up';
+    return null;
+  };
+  const status = renderStatus();
   
   return (
     <div className="notifications-panel">
-      <h3>Notifications</h3>
-      <div className="notification-list">
-        {notifications.map(notification => (
-          <div key={notification.id} className="notification-item">
-            <div className="notification-icon">{notification.icon}</div>
-            <div className="notification-content">
-              <div className="notification-title">{notification.title}</div>
-              <div className="notification-app">{notification.app}</div>
-              <div className="notification-time">{notification.time}</div>
+      <h3 className="notifications-header">
+        Notifications
+        {!status && unreadCount > 0 && (
+          <button className="notifications-mark-all" onClick={markAllRead}>
+            Mark all read
+          </button>
+        )}
+      </h3>
+      {status ? (
+        <div className="notifications-status">{status}</div>
+      ) : (
+        <div className="notification-list">
+          {notifications.map(notification => (
+            <div 
+              key={notification.id}
+              className={`notification-item ${notification.read ? '' : 'unread'}`}
+              onClick={() => markRead(notification.id)}
+            >
+              <div className="notification-icon">{notification.icon || TYPE_ICONS[notification.type]}</div>
+              <div className="notification-content">
+                <div className="notification-title">{notification.title}</div>
+                {notification.body && <div className="notification-app">{notification.body}</div>}
+                <div className="notification-time">{formatShortRelativeTime(notification.createdAt)}</div>
+              </div>
+              <button
+                className="notification-delete"
+                title="Delete"
+                onClick={(e) => {
+                  e.stopPropagation();
+                  remove(notification.id);
+                }}
+              >
+                ✕
+              </button>
             </div>
-          </div>
-        ))}
-      </div>
+          ))}
+        </div>
+      )}
     </div>
   );
 };
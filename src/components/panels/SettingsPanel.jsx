@@ -1,48 +1,137 @@
 import React, { useState } from 'react';
+import KeyBindingsPanel from '../KeyBindingsPanel';
+import { GRAPHICS_PRESETS } from '../../config/graphics';
 
-const SettingsPanel = () => {
-  const [brightness, setBrightness] = useState(70);
-  const [volume, setVolume] = useState(50);
-  const [notifications, setNotifications] = useState(true);
+// Snap turn angles offered, in degrees (the profile allows 15-90)
+const TURN_ANGLES = [15, 30, 45, 60, 90];
+
+const COMFORT_OPTIONS = [
+  { key: 'reducedMotion', label: 'Reduce Motion' },
+  { key: 'vignette', label: 'Comfort Vignette' },
+  { key: 'snapTurning', label: 'Snap Turning' },
+];
+
+// Settings come from the shared store (VRSettingsContext) as props, since
+// panel content renders outside the app's React tree
+const SettingsPanel = ({ settings, onSettingsChange, onResetLayout, inputBindings }) => {
+  const { brightness, volume, notifications, graphicsQuality, comfortSettings } = settings;
+  const [showBindings, setShowBindings] = useState(false);
+  
+  const updateComfort = (patch) => onSettingsChange({ comfortSettings: patch });
   
   return (
     <div className="settings-panel">
       <h3>Settings</h3>
       
+      <div className="settings-section">Display</div>
+      
       <div className="setting-item">
         <label htmlFor="brightness">Brightness: {brightness}%</label>
-        <input 
-          type="range" 
-          id="brightness" 
-          min="0" 
-          max="100" 
+        <input
+          type="range"
+          id="brightness"
+          min="0"
+          max="100"
           value={brightness}
-          onChange={(e) => setBrightness(parseInt(e.target.value))}
+          onChange={(e) => onSettingsChange({ brightness: parseInt(e.target.value) })}
         />
       </div>
       
+      <div className="setting-item">
+        <label>Graphics Quality</label>
+        <div className="setting-options">
+          {Object.entries(GRAPHICS_PRESETS).map(([quality, preset]) => (
+            <button
+              key={quality}
+              className={`setting-option ${graphicsQuality === quality ? 'selected' : ''}`}
+              onClick={() => onSettingsChange({ graphicsQuality: quality })}
+            >
+              {preset.label}
+            </button>
+          ))}
+        </div>
+      </div>
+      
+      <div className="settings-section">Sound</div>
+      
       <div className="setting-item">
         <label htmlFor="volume">Volume: {volume}%</label>
-        <input 
-          type="range" 
-          id="volume" 
-          min="0" 
-          max="100" 
+        <input
+          type="range"
+          id="volume"
+          min="0"
+          max="100"
           value={volume}
-          onChange={(e) => setVolume(parseInt(e.target.value))}
+          onChange={(e) => onSettingsChange({ volume: parseInt(e.target.value) })}
         />
       </div>
       
+      <div className="settings-section">Notifications</div>
+      
       <div className="setting-item checkbox">
         <label>
-          <input 
-            type="checkbox" 
+          <input
+            type="checkbox"
             checked={notifications}
-            onChange={() => setNotifications(!notifications)}
+            onChange={() => onSettingsChange({ notifications: !notifications })}
           />
           Enable Notifications
         </label>
       </div>
+      
+      <div className="settings-section">Comfort</div>
+      
+      {COMFORT_OPTIONS.map(option => (
+        <div key={option.key} className="setting-item checkbox">
+          <label>
+            <input
+              type="checkbox"
+              checked={comfortSettings[option.key]}
+              onChange={() => updateComfort({ [option.key]: !comfortSettings[option.key] })}
+            />
+            {option.label}
+          </label>
+        </div>
+      ))}
+      
+      {comfortSettings.snapTurning && (
+        <div className="setting-item">
+          <label>Turn Angle</label>
+          <div className="setting-options">
+            {TURN_ANGLES.map(angle => (
+              <button
+                key={angle}
+                className={`setting-option ${comfortSettings.turnAngle === angle ? 'selected' : ''}`}
+                onClick={() => updateComfort({ turnAngle: angle })}
+              >
+                {angle}°
+              </button>
+            ))}
+          </div>
+        </div>
+      )}
+      
+      <div className="settings-section">Controls</div>
+      
+      <div className="setting-item">
+        <div className="setting-options">
+          <button className="setting-option" onClick={() => setShowBindings(!showBindings)}>
+            {showBindings ? 'Hide Key Bindings' : 'Edit Key Bindings'}
+          </button>
+        </div>
+        {showBindings && <KeyBindingsPanel inputBindings={inputBindings} />}
+      </div>
+      
+      <div className="settings-section">Layout</div>
+      
+      <div className="setting-item">
+        <label>Panels you moved or resized</label>
+        <div className="setting-options">
+          <button className="setting-option" onClick={onResetLayout}>
+            Reset Panel Layout
+          </button>
+        </div>
+      </div>
     </div>
   );
 };
@@ -0,0 +1,112 @@
+/**
+ * Panel Registry
+ * 
+ * Declares every panel in the home space. Each entry is rendered through
+ * the generic Panel component by PanelManager, which owns selection.
+ * Which panels are visible depends on the active navigation section
+ * (see config/navigation.js).
+ * 
+ * Entry fields:
+ * - id: Unique panel id (also used for selection and navigation)
+ * - label: Header text
+ * - component: Content component rendered inside the panel
+ * - size: [width, height] of the backdrop in meters
+ * - position / rotation: Default pose in the scene
+ * - Optional Panel props: radius, distanceFactor, alwaysOpen, showHeader, contentStyle
+ * - curve: { radius, arc } bends the panel into a cylindrical segment
+ *   (width = radius × arc); its component lays itself out with CurvedItems
+ */
+import MainPanel from '../MainPanel';
+import FriendsPanel from '../FriendsPanel';
+import AppPanel from './AppPanel';
+import NotificationsPanel from './NotificationsPanel';
+import SettingsPanel from './SettingsPanel';
+import BrowserPanel from './BrowserPanel';
+import GalleryPanel from './GalleryPanel';
+
+// Content that draws its own layout fills the panel without the default frame
+const FRAMELESS = {
+  maxHeight: 'none',
+  overflowY: 'visible',
+  backgroundColor: 'transparent',
+  borderRadius: 0,
+  padding: 0,
+  boxShadow: 'none'
+};
+
+export const PANELS = [
+  {
+    id: 'main',
+    label: 'Explore',
+    component: MainPanel,
+    size: [6, 2.5],
+    curve: { radius: 4, arc: 1.5 },  // Centered on the viewer, about 86° wide
+    position: [0, 1.3, -4],
+    rotation: [0, 0, 0],
+    alwaysOpen: true,
+    showHeader: false
+  },
+  {
+    id: 'friends',
+    label: 'Friends',
+    component: FriendsPanel,
+    size: [1.6, 2.5],
+    radius: 0.12,
+    position: [2.5, 1.3, -2.5],
+    rotation: [0, -0.3, 0],
+    distanceFactor: 7,
+    alwaysOpen: true,
+    showHeader: false,
+    contentStyle: FRAMELESS
+  },
+  {
+    id: 'apps',
+    label: 'Apps',
+    component: AppPanel,
+    size: [2.2, 1.6],
+    position: [-2.5, 1.3, -2.5],
+    rotation: [0, 0.3, 0]
+  },
+  {
+    id: 'notifications',
+    label: 'Notifications',
+    component: NotificationsPanel,
+    size: [2.2, 1.6],
+    position: [3.8, 1.3, 0],
+    rotation: [0, -1.3, 0]
+  },
+  {
+    id: 'settings',
+    label: 'Settings',
+    component: SettingsPanel,
+    size: [2.2, 1.6],
+    position: [-3.8, 1.3, 0],
+    rotation: [0, 1.3, 0]
+  },
+  {
+    id: 'browser',
+    label: 'Browser',
+    component: BrowserPanel,
+    size: [2.6, 1.9],
+    position: [0, 1.3, -2.5],
+    rotation: [0, 0, 0]
+  },
+  {
+    id: 'gallery',
+    label: 'Gallery',
+    component: GalleryPanel,
+    size: [2.2, 1.6],
+    position: [0, 1.3, -2.5],
+    rotation: [0, 0, 0]
+  }
+];
+
+/**
+ * Looks up a panel declaration
+ * 
+ * @param {string} id - Panel id
+ * @returns {Object|undefined} The panel declaration
+ */
+export function getPanel(id) {
+  return PANELS.find(panel => panel.id === id);
+}
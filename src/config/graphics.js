@@ -0,0 +1,39 @@
+/**
+ * Graphics Quality Presets
+ * 
+ * Rendering settings for each graphics quality option in the Settings
+ * panel (vrSettings.graphicsQuality). Lower presets trade sharpness and
+ * detail for frame rate on weaker devices.
+ */
+
+export const GRAPHICS_PRESETS = {
+  low: {
+    label: 'Low',
+    // [min, max] device pixel ratio for the Canvas
+    dpr: [0.5, 1],
+    shadows: false,
+    starCount: 1500
+  },
+  medium: {
+    label: 'Medium',
+    dpr: [1, 1.5],
+    shadows: false,
+    starCount: 3000
+  },
+  high: {
+    label: 'High',
+    dpr: [1, 2],
+    shadows: true,
+    starCount: 5000
+  }
+};
+
+/**
+ * Looks up a graphics preset
+ * 
+ * @param {string} quality - 'low', 'medium' or 'high'
+ * @returns {Object} The preset (high if the quality is unknown)
+ */
+export function getGraphicsPreset(quality) {
+  return GRAPHICS_PRESETS[quality] || GRAPHICS_PRESETS.high;
+}
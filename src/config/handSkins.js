@@ -0,0 +1,54 @@
+/**
+ * Hand Skin Configuration
+ * 
+ * Appearance of tracked hands, selected by the user's `avatar`. Skins
+ * either tint the bundled hand model or point at their own model folder
+ * (containing left.glb and right.glb, relative to the public directory).
+ * 
+ * Avatars without a matching skin (including the default avatar and
+ * emoji avatars) use the default skin.
+ */
+
+// Bundled hand models (WebXR generic-hand profile, see the README there)
+const DEFAULT_MODEL_PATH = '/models/hands/generic-hand/';
+
+export const HAND_SKINS = {
+  default: {
+    label: 'Default',
+    modelPath: DEFAULT_MODEL_PATH,
+    color: null  // Keep the model's own material
+  },
+  robot: {
+    label: 'Robot',
+    modelPath: DEFAULT_MODEL_PATH,
+    color: '#9e9e9e',
+    metalness: 0.8,
+    roughness: 0.3
+  },
+  ghost: {
+    label: 'Ghost',
+    modelPath: DEFAULT_MODEL_PATH,
+    color: '#8ab4f8',
+    opacity: 0.5
+  },
+  gold: {
+    label: 'Gold',
+    modelPath: DEFAULT_MODEL_PATH,
+    color: '#f4b400',
+    metalness: 1,
+    roughness: 0.25
+  }
+};
+
+// Joint sphere color when a skin doesn't set one
+export const FALLBACK_HAND_COLOR = '#e0e0e0';
+
+/**
+ * Looks up the hand skin for an avatar
+ * 
+ * @param {string} avatar - The user's avatar id
+ * @returns {Object} Hand skin
+ */
+export function getHandSkin(avatar) {
+  return HAND_SKINS[avatar] || HAND_SKINS.default;
+}
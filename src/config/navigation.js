@@ -0,0 +1,125 @@
+/**
+ * Navigation Configuration
+ * 
+ * Declares the application sections reachable from the toolbar. Each
+ * section decides which panels from the panel registry are shown in the
+ * home space while it is active.
+ * 
+ * Section fields:
+ * - id: Unique section id (also used in the URL hash, e.g. #/store)
+ * - name / icon / color: Toolbar appearance
+ * - panels: Ids of the panels shown in the section
+ * - focus: Panel made active when the section opens (optional)
+ * - badge: Counter shown on the toolbar icon (optional); 'notifications'
+ *   shows the unread notification count
+ */
+
+// Common application sections with their visual styling
+export const TOOLBAR_APPS = [
+  {
+    id: 'home',
+    name: 'Home',
+    icon: '🏠',
+    color: '#4285F4',
+    panels: ['main', 'friends', 'apps', 'notifications', 'settings'],
+    badge: 'notifications'
+  },
+  {
+    id: 'browser',
+    name: 'Browser',
+    icon: '🌐',
+    color: '#EA4335',
+    panels: ['browser'],
+    focus: 'browser'
+  },
+  {
+    id: 'store',
+    name: 'Store',
+    icon: '🛒',
+    color: '#34A853',
+    panels: ['main'],
+    focus: 'main'
+  },
+  {
+    id: 'settings',
+    name: 'Settings',
+    icon: '⚙️',
+    color: '#FBBC05',
+    panels: ['settings'],
+    focus: 'settings'
+  },
+  {
+    id: 'gallery',
+    name: 'Gallery',
+    icon: '🖼️',
+    color: '#9C27B0',
+    panels: ['gallery'],
+    focus: 'gallery'
+  },
+  {
+    id: 'library',
+    name: 'Library',
+    icon: '📚',
+    color: '#FF9800',
+    panels: ['apps'],
+    focus: 'apps'
+  }
+];
+
+// Section shown when the URL doesn't name one
+export const DEFAULT_SECTION = 'home';
+
+/**
+ * Looks up a section declaration
+ * 
+ * @param {string} id - Section id
+ * @returns {Object|undefined} The section declaration
+ */
+export function getSection(id) {
+  return TOOLBAR_APPS.find(section => section.id === id);
+}
+
+/**
+ * Gets the badge count for a toolbar icon
+ * 
+ * @param {Object} section - Section declaration
+ * @param {Object} counts - Available counters, e.g. { notifications: 3 }
+ * @returns {number} Count to show (0 for no badge)
+ */
+export function getBadgeCount(section, counts) {
+  return section.badge ? counts[section.badge] || 0 : 0;
+}
+
+/**
+ * Formats a badge count for display
+ * 
+ * @param {number} count - Badge count
+ * @returns {string} Label, capped at "99+"
+ */
+export function formatBadgeCount(count) {
+  return count > 99 ? '99+' : String(count);
+}
+
+/**
+ * Reads the section from a URL hash
+ * 
+ * Sections live in the hash (#/store) rather than the path, so deep links
+ * work under the GitHub Pages base path without server-side rewrites.
+ * 
+ * @param {string} hash - URL hash, e.g. window.location.hash
+ * @returns {string} Section id (DEFAULT_SECTION if the hash names none)
+ */
+export function parseSectionHash(hash) {
+  const id = (hash || '').replace(/^#\/?/, '').split(/[/?]/)[0];
+  return getSection(id) ? id : DEFAULT_SECTION;
+}
+
+/**
+ * Builds the URL hash for a section
+ * 
+ * @param {string} id - Section id
+ * @returns {string} URL hash, e.g. '#/store'
+ */
+export function toSectionHash(id) {
+  return `#/${id}`;
+}
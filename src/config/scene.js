@@ -0,0 +1,47 @@
+/**
+ * Scene Configuration
+ * 
+ * Shared spatial constants for the XR environment, so components that
+ * need to agree on scale and placement (camera rig, controls, layout)
+ * read them from one place.
+ */
+
+// Floor surface the user stands on and teleports across, in meters
+export const FLOOR = {
+  y: -0.7,
+  size: 20
+};
+
+// Distance from the top of the head to eye level, in meters
+export const EYE_OFFSET = 0.1;
+
+/**
+ * Converts a player height into the camera's eye height, measured from
+ * the floor surface rather than from y = 0
+ * 
+ * @param {number} playerHeight - Player height in meters (vrSettings.playerHeight)
+ * @returns {number} World-space eye height in meters
+ */
+export function getEyeHeight(playerHeight) {
+  return FLOOR.y + playerHeight - EYE_OFFSET;
+}
+
+/**
+ * Checks whether a point lies within the floor's bounds (ignoring height)
+ * 
+ * @param {THREE.Vector3} point - World-space point
+ * @param {number} margin - Distance to keep from the floor edges (default: 0)
+ * @returns {boolean} True if the point is over the floor
+ */
+export function isWithinFloor(point, margin = 0) {
+  const halfSize = FLOOR.size / 2 - margin;
+  return Math.abs(point.x) <= halfSize && Math.abs(point.z) <= halfSize;
+}
+
+// Limits for free movement when collision is enabled, in meters
+export const PLAY_AREA = {
+  size: FLOOR.size,     // Width and depth of the walkable area, centered on the origin
+  minEyeHeight: 0.3,    // Lowest the eyes may go above the floor
+  maxHeight: 8,         // Highest the eyes may go above the floor
+  radius: 0.25          // Distance kept between the viewer and panels
+};
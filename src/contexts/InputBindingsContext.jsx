@@ -0,0 +1,112 @@
+/**
+ * Input Bindings Context
+ *
+ * Provides the live input action map to the whole application, so the
+ * navigation controls inside the Canvas, the rebinding UI and the help
+ * text all read the same bindings.
+ *
+ * Features:
+ * - Defaults with keyboard, mouse and gamepad bindings for every action
+ * - Rebinding that moves a binding off any other action it was assigned to
+ * - Local persistence so custom bindings survive reloads
+ * - Keyboard layout-aware labels where the browser supports it
+ */
+import React, { createContext, useContext, useState, useEffect, useCallback, useMemo } from 'react';
+import {
+  DEFAULT_BINDINGS,
+  loadBindings,
+  saveBindings,
+  loadKeyboardLayout
+} from '../input/actionMap';
+
+const InputBindingsContext = createContext({
+  bindings: DEFAULT_BINDINGS,
+  addBinding: () => {},
+  removeBinding: () => {},
+  resetBindings: () => {}
+});
+
+/**
+ * InputBindingsProvider Component
+ *
+ * @param {Object} props - Component properties
+ * @param {React.ReactNode} props.children - Application content
+ * @returns {JSX.Element} The context provider
+ */
+export function InputBindingsProvider({ children }) {
+  const [bindings, setBindings] = useState(loadBindings);
+
+  // Re-render once the keyboard layout is known so labels update
+  const [, setLayoutLoaded] = useState(false);
+  useEffect(() => {
+    loadKeyboardLayout().then(() => setLayoutLoaded(true));
+  }, []);
+
+  /**
+   * Applies a change to the action map and persists it
+   *
+   * @param {Function} change - (bindings) => new bindings
+   */
+  const updateBindings = useCallback((change) => {
+    setBindings(current => {
+      const next = change(current);
+      saveBindings(next);
+      return next;
+    });
+  }, []);
+
+  /**
+   * Binds an input to an action, unbinding it from any other action
+   *
+   * @param {string} action - Action id
+   * @param {string} binding - Binding string, e.g. "keyboard:KeyZ"
+   */
+  const addBinding = useCallback((action, binding) => {
+    updateBindings(current => Object.fromEntries(
+      Object.entries(current).map(([id, list]) => {
+        const others = list.filter(b => b !== binding);
+        return [id, id === action ? [...others, binding] : others];
+      })
+    ));
+  }, [updateBindings]);
+
+  /**
+   * Removes an input from an action
+   *
+   * @param {string} action - Action id
+   * @param {string} binding - Binding string to remove
+   */
+  const removeBinding = useCallback((action, binding) => {
+    updateBindings(current => ({
+      ...current,
+      [action]: current[action].filter(b => b !== binding)
+    }));
+  }, [updateBindings]);
+
+  /**
+   * Restores the default bindings
+   */
+  const resetBindings = useCallback(() => {
+    updateBindings(() => DEFAULT_BINDINGS);
+  }, [updateBindings]);
+
+  const value = useMemo(
+    () => ({ bindings, addBinding, removeBinding, resetBindings }),
+    [bindings, addBinding, removeBinding, resetBindings]
+  );
+
+  return (
+    <InputBindingsContext.Provider value={value}>
+      {children}
+    </InputBindingsContext.Provider>
+  );
+}
+
+/**
+ * Hook for reading and changing the input bindings
+ *
+ * @returns {{bindings: Object, addBinding: Function, removeBinding: Function, resetBindings: Function}}
+ */
+export function useInputBindings() {
+  return useContext(InputBindingsContext);
+}
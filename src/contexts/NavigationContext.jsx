@@ -0,0 +1,84 @@
+/**
+ * Navigation Context
+ * 
+ * Tracks which application section is active (see config/navigation.js),
+ * so the toolbar outside the Canvas and the panels in the scene agree on
+ * where the user is.
+ * 
+ * Features:
+ * - The active section is kept in the URL hash (#/store), so sections can
+ *   be deep-linked and survive reloads, including under the GitHub Pages
+ *   base path
+ * - Browser back/forward move between visited sections
+ * - Opening a section activates its focus panel
+ */
+import React, { createContext, useContext, useState, useEffect, useCallback, useMemo } from 'react';
+import { usePanels } from './PanelContext';
+import { DEFAULT_SECTION, getSection, parseSectionHash, toSectionHash } from '../config/navigation';
+
+const NavigationContext = createContext({
+  section: DEFAULT_SECTION,
+  navigate: () => {}
+});
+
+/**
+ * NavigationProvider Component
+ * 
+ * Must be rendered inside PanelProvider.
+ * 
+ * @param {Object} props - Component properties
+ * @param {React.ReactNode} props.children - Application content
+ * @returns {JSX.Element} The context provider
+ */
+export function NavigationProvider({ children }) {
+  const { openPanel, closePanel } = usePanels();
+  const [section, setSection] = useState(() => parseSectionHash(window.location.hash));
+  
+  // The hash is the source of truth: links, reloads and back/forward all land here
+  useEffect(() => {
+    const handleHashChange = () => setSection(parseSectionHash(window.location.hash));
+    
+    window.addEventListener('hashchange', handleHashChange);
+    return () => window.removeEventListener('hashchange', handleHashChange);
+  }, []);
+  
+  // Bring the section's main panel forward whenever the section changes
+  useEffect(() => {
+    const focus = getSection(section)?.focus;
+    if (focus) openPanel(focus);
+    else closePanel();
+  }, [section, openPanel, closePanel]);
+  
+  /**
+   * Switches to a section
+   * 
+   * @param {string} id - Section id
+   */
+  const navigate = useCallback((id) => {
+    if (!getSection(id)) {
+      console.warn(`Unknown section: ${id}`);
+      return;
+    }
+    
+    // Setting the hash fires hashchange, which updates the state
+    const hash = toSectionHash(id);
+    if (window.location.hash !== hash) window.location.hash = hash;
+  }, []);
+  
+  const value = useMemo(() => ({ section, navigate }), [section, navigate]);
+  
+  return (
+    <NavigationContext.Provider value={value}>
+      {children}
+    </NavigationContext.Provider>
+  );
+}
+
+/**
+ * Hook for reading and changing the active section
+ * 
+ * @returns {{section: string, navigate: Function}}
+ */
+export function useNavigation() {
+  return useContext(NavigationContext);
+}
@@ -0,0 +1,243 @@
+/**
+ * Notification Context
+ * 
+ * Holds the signed-in user's notification feed, so the Notifications
+ * panel, the toolbar badges and the in-world toasts share one copy.
+ * 
+ * Features:
+ * - Loads the feed from the backend and receives new notifications live
+ *   over the realtime channel
+ * - Unread count for toolbar badges
+ * - Mark read, mark all read and delete, applied optimistically
+ * - Short-lived toasts for newly arrived notifications
+ * - Respects the Notifications setting: while it is off, notifications are
+ *   still collected but no toasts, sounds or badges are shown
+ * 
+ * Must be rendered inside VRSettingsProvider.
+ */
+import React, { createContext, useContext, useState, useEffect, useCallback, useMemo, useRef } from 'react';
+import { isSignedIn } from '../services/api';
+import { subscribe } from '../services/realtime';
+import { playNotificationSound } from '../services/audio';
+import {
+  fetchNotifications,
+  markNotificationRead,
+  markAllNotificationsRead,
+  deleteNotification
+} from '../services/notifications';
+import { useVRSettings } from './VRSettingsContext';
+
+// How long a toast stays visible, in milliseconds
+const TOAST_DURATION = 5000;
+
+// Toasts shown at once - older ones are dropped first
+const MAX_TOASTS = 3;
+
+const NotificationContext = createContext({
+  notifications: [],
+  unreadCount: 0,
+  signedIn: false,
+  enabled: true,
+  loading: false,
+  error: null,
+  toasts: [],
+  markRead: () => {},
+  markAllRead: () => {},
+  remove: () => {},
+  dismissToast: () => {},
+  refresh: () => {}
+});
+
+/**
+ * NotificationProvider Component
+ * 
+ * @param {Object} props - Component properties
+ * @param {React.ReactNode} props.children - Application content
+ * @returns {JSX.Element} The context provider
+ */
+export function NotificationProvider({ children }) {
+  const { vrSettings } = useVRSettings();
+  const enabled = vrSettings.notifications;
+  const signedIn = isSignedIn();
+  
+  const [notifications, setNotifications] = useState([]);
+  const [unreadCount, setUnreadCount] = useState(0);
+  const [loading, setLoading] = useState(isSignedIn());
+  const [error, setError] = useState(null);
+  const [toasts, setToasts] = useState([]);
+  
+  // Latest values, read inside callbacks without stale closures
+  const enabledRef = useRef(enabled);
+  enabledRef.current = enabled;
+  const notificationsRef = useRef(notifications);
+  notificationsRef.current = notifications;
+  
+  /**
+   * Drops notifications from the feed, keeping the unread count in step
+   * 
+   * @param {Function} predicate - Selects the notifications to drop
+   */
+  const dropNotifications = useCallback((predicate) => {
+    const unread = notificationsRef.current.filter(n => predicate(n) && !n.read).length;
+    if (unread) setUnreadCount(count => Math.max(0, count - unread));
+    setNotifications(current => current.filter(n => !predicate(n)));
+  }, []);
+  
+  /**
+   * Reloads the feed from the server
+   */
+  const refresh = useCallback(async () => {
+    if (!isSignedIn()) {
+      setLoading(false);
+      return;
+    }
+    
+    setLoading(true);
+    try {
+      const feed = await fetchNotifications();
+      setNotifications(feed.notifications);
+      setUnreadCount(feed.unreadCount);
+      setError(null);
+    } catch (err) {
+      setError(err);
+    } finally {
+      setLoading(false);
+    }
+  }, []);
+  
+  useEffect(() => {
+    refresh();
+  }, [refresh]);
+  
+  /**
+   * Hides a toast
+   * 
+   * @param {string} id - Notification id of the toast
+   */
+  const dismissToast = useCallback((id) => {
+    setToasts(current => current.filter(toast => toast.id !== id));
+  }, []);
+  
+  /**
+   * Live updates pushed by the server
+   */
+  useEffect(() => {
+    const unsubscribeNew = subscribe('notification', (notification) => {
+      setNotifications(current => [notification, ...current.filter(n => n.id !== notification.id)]);
+      setUnreadCount(count => count + 1);
+      
+      if (!enabledRef.current) return;
+      
+      setToasts(current => [...current, notification].slice(-MAX_TOASTS));
+      setTimeout(() => dismissToast(notification.id), TOAST_DURATION);
+      playNotificationSound();
+    });
+    
+    // Read on another device
+    const unsubscribeRead = subscribe('notificationsRead', ({ ids, all, unreadCount: count }) => {
+      setNotifications(current => current.map(n => (
+        all || ids.includes(n.id) ? { ...n, read: true } : n
+      )));
+      setUnreadCount(count);
+    });
+    
+    const unsubscribeRemoved = subscribe('notificationRemoved', ({ id }) => {
+      dropNotifications(n => n.id === id);
+      dismissToast(id);
+    });
+    
+    return () => {
+      unsubscribeNew();
+      unsubscribeRead();
+      unsubscribeRemoved();
+    };
+  }, [dismissToast, dropNotifications]);
+  
+  // Turning notifications off clears any visible toasts
+  useEffect(() => {
+    if (!enabled) setToasts([]);
+  }, [enabled]);
+  
+  /**
+   * Runs a server action after an optimistic update, reloading the feed
+   * if it fails
+   * 
+   * @param {Function} action - Async server call, resolving to {unreadCount}
+   */
+  const runAction = useCallback(async (action) => {
+    try {
+      const { unreadCount: count } = await action();
+      if (typeof count === 'number') setUnreadCount(count);
+    } catch (err) {
+      setError(err);
+      refresh();
+    }
+  }, [refresh]);
+  
+  /**
+   * Marks a notification as read
+   * 
+   * @param {string} id - Notification id
+   */
+  const markRead = useCallback((id) => {
+    if (notificationsRef.current.some(n => n.id === id && !n.read)) {
+      setUnreadCount(count => Math.max(0, count - 1));
+    }
+    setNotifications(current => current.map(n => (n.id === id ? { ...n, read: true } : n)));
+    dismissToast(id);
+    runAction(() => markNotificationRead(id));
+  }, [dismissToast, runAction]);
+  
+  /**
+   * Marks every notification as read
+   */
+  const markAllRead = useCallback(() => {
+    setNotifications(current => current.map(n => ({ ...n, read: true })));
+    setUnreadCount(0);
+    runAction(markAllNotificationsRead);
+  }, [runAction]);
+  
+  /**
+   * Deletes a notification
+   * 
+   * @param {string} id - Notification id
+   */
+  const remove = useCallback((id) => {
+    dropNotifications(n => n.id === id);
+    dismissToast(id);
+    runAction(() => deleteNotification(id));
+  }, [dropNotifications, dismissToast, runAction]);
+  
+  const value = useMemo(() => ({
+    notifications,
+    unreadCount,
+    signedIn,
+    enabled,
+    loading,
+    error,
+    toasts,
+    markRead,
+    markAllRead,
+    remove,
+    dismissToast,
+    refresh
+  }), [
+    notifications, unreadCount, signedIn, enabled, loading, error, toasts,
+    markRead, markAllRead, remove, dismissToast, refresh
+  ]);
+  
+  return (
+    <NotificationContext.Provider value={value}>
+      {children}
+    </NotificationContext.Provider>
+  );
+}
+
+/**
+ * Hook for reading and managing notifications
+ * 
+ * @returns {Object} Feed, unread count, toasts and actions
+ */
+export function useNotifications() {
+  return useContext(NotificationContext);
+}
@@ -0,0 +1,68 @@
+/**
+ * Panel Context
+ * 
+ * Shares which panel is active, so the panels in the scene and navigation
+ * UI outside the Canvas agree on selection. Only one panel is active at a
+ * time; selecting another panel deactivates the previous one.
+ */
+import React, { createContext, useContext, useState, useCallback, useMemo } from 'react';
+
+const PanelContext = createContext({
+  activePanel: null,
+  openPanel: () => {},
+  closePanel: () => {},
+  togglePanel: () => {}
+});
+
+/**
+ * PanelProvider Component
+ * 
+ * @param {Object} props - Component properties
+ * @param {string|null} props.initialPanel - Panel active on load (default: none)
+ * @param {React.ReactNode} props.children - Application content
+ * @returns {JSX.Element} The context provider
+ */
+export function PanelProvider({ initialPanel = null, children }) {
+  const [activePanel, setActivePanel] = useState(initialPanel);
+  
+  /**
+   * Makes a panel the active one
+   * 
+   * @param {string} id - Panel id
+   */
+  const openPanel = useCallback((id) => setActivePanel(id), []);
+  
+  /**
+   * Deactivates the active panel
+   */
+  const closePanel = useCallback(() => setActivePanel(null), []);
+  
+  /**
+   * Activates a panel, or deactivates it if it is already active
+   * 
+   * @param {string} id - Panel id
+   */
+  const togglePanel = useCallback((id) => {
+    setActivePanel(current => (current === id ? null : id));
+  }, []);
+  
+  const value = useMemo(
+    () => ({ activePanel, openPanel, closePanel, togglePanel }),
+    [activePanel, openPanel, closePanel, togglePanel]
+  );
+  
+  return (
+    <PanelContext.Provider value={value}>
+      {children}
+    </PanelContext.Provider>
+  );
+}
+
+/**
+ * Hook for reading and changing the active panel
+ * 
+ * @returns {{activePanel: string|null, openPanel: Function, closePanel: Function, togglePanel: Function}}
+ */
+export function usePanels() {
+  return useContext(PanelContext);
+}
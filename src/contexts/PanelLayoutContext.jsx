@@ -0,0 +1,160 @@
+/**
+ * Panel Layout Context
+ * 
+ * Holds the user's customized panel arrangement (position, rotation and
+ * scale per panel), overriding the default poses from the panel registry.
+ * 
+ * Features:
+ * - Local persistence so the layout survives reloads while signed out
+ * - Loads the layout from the profile when signed in, so it follows the
+ *   user between devices
+ * - Changes are saved locally and synced back to the profile; changes
+ *   made offline are pushed the next time the app loads
+ * - Reset back to the registry defaults
+ */
+import React, { createContext, useContext, useState, useEffect, useCallback, useMemo, useRef } from 'react';
+import { isSignedIn } from '../services/api';
+import { fetchPanelLayouts, savePanelLayouts, resetPanelLayouts as resetRemoteLayouts } from '../services/layout';
+
+// localStorage key for the locally persisted layout
+const STORAGE_KEY = 'xr-panel-layouts';
+
+/**
+ * Reads the locally persisted layout
+ * 
+ * @returns {{layouts: Object, unsynced: boolean}} Stored layouts and sync state
+ */
+function loadStoredLayouts() {
+  try {
+    const stored = JSON.parse(localStorage.getItem(STORAGE_KEY));
+    if (stored && stored.layouts) {
+      return { layouts: stored.layouts, unsynced: Boolean(stored.unsynced) };
+    }
+  } catch {
+    // Corrupt or unavailable storage - fall back to defaults
+  }
+  
+  return { layouts: {}, unsynced: false };
+}
+
+/**
+ * Persists the layout locally
+ * 
+ * @param {Object} layouts - Layouts keyed by panel id
+ * @param {boolean} unsynced - Whether the layout still needs saving to the profile
+ */
+function storeLayouts(layouts, unsynced) {
+  try {
+    localStorage.setItem(STORAGE_KEY, JSON.stringify({ layouts, unsynced }));
+  } catch {
+    // Storage unavailable - the layout still applies for this session
+  }
+}
+
+const PanelLayoutContext = createContext({
+  layouts: {},
+  updatePanelLayout: () => {},
+  resetPanelLayouts: () => {}
+});
+
+/**
+ * PanelLayoutProvider Component
+ * 
+ * @param {Object} props - Component properties
+ * @param {React.ReactNode} props.children - Application content
+ * @returns {JSX.Element} The context provider
+ */
+export function PanelLayoutProvider({ children }) {
+  const [layouts, setLayouts] = useState(() => loadStoredLayouts().layouts);
+  
+  // Latest layouts, so updates can build on them without stale closures
+  const layoutsRef = useRef(layouts);
+  layoutsRef.current = layouts;
+  
+  /**
+   * Load the layout from the profile, or push a layout changed while offline
+   */
+  useEffect(() => {
+    if (!isSignedIn()) return;
+    
+    const stored = loadStoredLayouts();
+    const sync = stored.unsynced
+      ? savePanelLayouts(stored.layouts)
+      : fetchPanelLayouts();
+    
+    sync
+      .then(remote => {
+        setLayouts(remote);
+        storeLayouts(remote, false);
+      })
+      .catch(error => {
+        console.warn('Could not sync panel layout:', error.message);
+      });
+  }, []);
+  
+  /**
+   * Saves a layout locally and to the profile
+   * 
+   * @param {Object} next - Complete layouts object
+   */
+  const persist = useCallback((next) => {
+    storeLayouts(next, isSignedIn());
+    if (!isSignedIn()) return;
+    
+    savePanelLayouts(next)
+      .then(() => storeLayouts(next, false))
+      .catch(error => {
+        // Keep the local change flagged as unsynced so it is pushed next load
+        console.warn('Could not save panel layout:', error.message);
+      });
+  }, []);
+  
+  /**
+   * Stores a new pose for one panel
+   * 
+   * @param {string} id - Panel id
+   * @param {{position: number[], rotation: number[], scale: number}} layout - New pose
+   */
+  const updatePanelLayout = useCallback((id, layout) => {
+    const next = { ...layoutsRef.current, [id]: layout };
+    layoutsRef.current = next;
+    setLayouts(next);
+    persist(next);
+  }, [persist]);
+  
+  /**
+   * Restores every panel to its default pose
+   */
+  const resetPanelLayouts = useCallback(() => {
+    setLayouts({});
+    storeLayouts({}, false);
+    
+    if (!isSignedIn()) return;
+    
+    resetRemoteLayouts().catch(error => {
+      // Push the empty layout next load instead
+      storeLayouts({}, true);
+      console.warn('Could not reset panel layout:', error.message);
+    });
+  }, []);
+  
+  const value = useMemo(
+    () => ({ layouts, updatePanelLayout, resetPanelLayouts }),
+    [layouts, updatePanelLayout, resetPanelLayouts]
+  );
+  
+  return (
+    <PanelLayoutContext.Provider value={value}>
+      {children}
+    </PanelLayoutContext.Provider>
+  );
+}
+
+/**
+ * Hook for reading and changing the panel layout
+ * 
+ * @returns {{layouts: Object, updatePanelLayout: Function, resetPanelLayouts: Function}}
+ */
+export function usePanelLayout() {
+  return useContext(PanelLayoutContext);
+}
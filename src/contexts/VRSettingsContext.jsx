@@ -0,0 +1,236 @@
+/**
+ * VR Settings Context
+ * 
+ * Provides the user's VR settings (the `vrSettings` stored on their profile)
+ * to the whole application, including components inside the Canvas. This is
+ * the shared settings store behind the Settings panel: besides comfort and
+ * movement options it holds brightness, volume, notifications and graphics
+ * quality (applied to the scene by SceneSettings).
+ * 
+ * Features:
+ * - Defaults matching the backend User schema
+ * - Local persistence so settings survive reloads while signed out
+ * - Loads settings from the profile when signed in, so they follow the
+ *   user between devices
+ * - Changes made in-world are saved locally and synced back to the profile;
+ *   changes made offline are pushed the next time the app loads
+ * - Rapid changes (e.g. dragging a slider) apply immediately but are sent
+ *   to the profile as one request once they settle
+ * 
+ * Note: drei's Html content renders in a separate React root, so read the
+ * settings in the parent component and pass them down as props there.
+ */
+import React, { createContext, useContext, useState, useEffect, useCallback, useMemo, useRef } from 'react';
+import { isSignedIn } from '../services/api';
+import { fetchVRSettings, saveVRSettings } from '../services/settings';
+
+// localStorage key for the locally persisted settings
+const STORAGE_KEY = 'xr-vr-settings';
+
+// Delay before changes are saved to the profile, in milliseconds
+const SYNC_DELAY = 500;
+
+// Defaults mirror the User model's vrSettings schema
+export const DEFAULT_VR_SETTINGS = {
+  playerHeight: 1.7,
+  handedness: 'right',
+  movementType: 'smooth',
+  comfortSettings: {
+    reducedMotion: false,
+    vignette: true,
+    snapTurning: false,
+    turnAngle: 45
+  },
+  brightness: 70,
+  volume: 50,
+  notifications: true,
+  graphicsQuality: 'high'
+};
+
+/**
+ * Deep merges a settings patch into existing settings
+ * 
+ * @param {Object} settings - Current settings
+ * @param {Object} patch - Partial settings to apply
+ * @returns {Object} New merged settings object
+ */
+export function mergeVRSettings(settings, patch = {}) {
+  return {
+    ...settings,
+    ...patch,
+    comfortSettings: {
+      ...settings.comfortSettings,
+      ...(patch.comfortSettings || {})
+    }
+  };
+}
+
+/**
+ * Reads the locally persisted settings
+ * 
+ * @returns {{vrSettings: Object, unsynced: boolean}} Stored settings and sync state
+ */
+function loadStoredSettings() {
+  try {
+    const stored = JSON.parse(localStorage.getItem(STORAGE_KEY));
+    if (stored) {
+      return {
+        vrSettings: mergeVRSettings(DEFAULT_VR_SETTINGS, stored.vrSettings),
+        unsynced: Boolean(stored.unsynced)
+      };
+    }
+  } catch {
+    // Corrupt or unavailable storage - fall back to defaults
+  }
+  
+  return { vrSettings: DEFAULT_VR_SETTINGS, unsynced: false };
+}
+
+/**
+ * Persists settings locally
+ * 
+ * @param {Object} vrSettings - Settings to store
+ * @param {boolean} unsynced - Whether the settings still need saving to the profile
+ */
+function storeSettings(vrSettings, unsynced) {
+  try {
+    localStorage.setItem(STORAGE_KEY, JSON.stringify({ vrSettings, unsynced }));
+  } catch {
+    // Storage unavailable - settings still apply for this session
+  }
+}
+
+const VRSettingsContext = createContext({
+  vrSettings: DEFAULT_VR_SETTINGS,
+  updateVRSettings: () => {}
+});
+
+/**
+ * VRSettingsProvider Component
+ * 
+ * @param {Object} props - Component properties
+ * @param {React.ReactNode} props.children - Application content
+ * @returns {JSX.Element} The context provider
+ */
+export function VRSettingsProvider({ children }) {
+  const [vrSettings, setVRSettings] = useState(() => loadStoredSettings().vrSettings);
+  
+  // Latest settings, so updates made in quick succession build on each other
+  const settingsRef = useRef(vrSettings);
+  
+  // Changes made while the profile is loading (null when not loading)
+  const changesDuringLoad = useRef(null);
+  
+  /**
+   * Load settings from the profile, or push settings changed while offline
+   */
+  useEffect(() => {
+    if (!isSignedIn()) return;
+    
+    let cancelled = false;
+    changesDuringLoad.current = {};
+    
+    const stored = loadStoredSettings();
+    const sync = stored.unsynced
+      ? saveVRSettings(stored.vrSettings)
+      : fetchVRSettings();
+    
+    sync
+      .then(remote => {
+        if (cancelled) return;
+        
+        // Keep changes the user made while the request was in flight; they
+        // are already queued for saving to the profile
+        const changes = changesDuringLoad.current;
+        const merged = mergeVRSettings(mergeVRSettings(DEFAULT_VR_SETTINGS, remote), changes);
+        settingsRef.current = merged;
+        setVRSettings(merged);
+        storeSettings(merged, Object.keys(changes).length > 0);
+      })
+      .catch(error => {
+        console.warn('Could not sync VR settings:', error.message);
+      })
+      .finally(() => {
+        if (!cancelled) changesDuringLoad.current = null;
+      });
+    
+    return () => {
+      cancelled = true;
+    };
+  }, []);
+  
+  // Changes waiting to be saved to the profile
+  const pendingPatch = useRef(null);
+  const syncTimer = useRef(null);
+  
+  /**
+   * Saves the pending changes to the profile
+   */
+  const flushPendingPatch = useCallback(() => {
+    const patch = pendingPatch.current;
+    pendingPatch.current = null;
+    syncTimer.current = null;
+    if (!patch) return;
+    
+    saveVRSettings(patch)
+      .then(remote => {
+        // Newer changes are still waiting - leave them flagged as unsynced
+        if (pendingPatch.current) return;
+        storeSettings(mergeVRSettings(DEFAULT_VR_SETTINGS, remote), false);
+      })
+      .catch(error => {
+        // Keep the local change flagged as unsynced so it is pushed next load
+        console.warn('Could not save VR settings:', error.message);
+      });
+  }, []);
+  
+  // Don't drop changes made just before the app closes
+  useEffect(() => () => {
+    if (syncTimer.current) {
+      clearTimeout(syncTimer.current);
+      flushPendingPatch();
+    }
+  }, [flushPendingPatch]);
+  
+  /**
+   * Applies a partial settings change, persisting it locally and to the profile
+   * 
+   * @param {Object} patch - Partial settings, e.g. { handedness: 'left' }
+   */
+  const updateVRSettings = useCallback((patch) => {
+    const next = mergeVRSettings(settingsRef.current, patch);
+    settingsRef.current = next;
+    setVRSettings(next);
+    storeSettings(next, isSignedIn());
+    
+    if (!isSignedIn()) return;
+    
+    if (changesDuringLoad.current) {
+      changesDuringLoad.current = mergeVRSettings(changesDuringLoad.current, patch);
+    }
+    
+    pendingPatch.current = mergeVRSettings(pendingPatch.current || {}, patch);
+    clearTimeout(syncTimer.current);
+    syncTimer.current = setTimeout(flushPendingPatch, SYNC_DELAY);
+  }, [flushPendingPatch]);
+  
+  const value = useMemo(
+    () => ({ vrSettings, updateVRSettings }),
+    [vrSettings, updateVRSettings]
+  );
+  
+  return (
+    <VRSettingsContext.Provider value={value}>
+      {children}
+    </VRSettingsContext.Provider>
+  );
+}
+
+/**
+ * Hook for reading and updating the VR settings
+ * 
+ * @returns {{vrSettings: Object, updateVRSettings: Function}} Settings and updater
+ */
+export function useVRSettings() {
+  return useContext(VRSettingsContext);
+}
@@ -0,0 +1,65 @@
+/**
+ * useCachedResource Hook
+ *
+ * Loads data from the API while keeping a local copy of the last
+ * successful response. Cached data is shown immediately and refreshed
+ * in the background; if the request fails the cached copy is kept and
+ * flagged as stale, and an error is only surfaced when nothing is cached.
+ *
+ * Status values:
+ * - 'loading': no data yet, request in flight
+ * - 'ready': data available (possibly stale)
+ * - 'error': request failed and nothing is cached
+ */
+import { useState, useEffect, useCallback, useRef, useMemo } from 'react';
+import { readCache, writeCache } from '../services/cache';
+
+/**
+ * @param {string} key - Cache key for the resource
+ * @param {Function} fetcher - Async function returning the data
+ * @returns {Object} { data, status, error, stale, retry }
+ */
+export default function useCachedResource(key, fetcher) {
+  const [state, setState] = useState(() => {
+    const cached = readCache(key);
+    return {
+      data: cached ? cached.data : null,
+      status: cached ? 'ready' : 'loading',
+      error: null,
+      stale: false
+    };
+  });
+
+  // Keep the latest fetcher without re-triggering the effect on every render
+  const fetcherRef = useRef(fetcher);
+  fetcherRef.current = fetcher;
+
+  const load = useCallback(async () => {
+    setState(current => (
+      current.data ? current : { ...current, status: 'loading', error: null }
+    ));
+
+    try {
+      const data = await fetcherRef.current();
+      writeCache(key, data);
+      setState({ data, status: 'ready', error: null, stale: false });
+    } catch (error) {
+      setState(current => (
+        current.data
+          ? { ...current, status: 'ready', error, stale: true }
+          : { data: null, status: 'error', error, stale: false }
+      ));
+    }
+  }, [key]);
+
+  // Load on mount and whenever the connection comes back
+  useEffect(() => {
+    load();
+
+    window.addEventListener('online', load);
+    return () => window.removeEventListener('online', load);
+  }, [load]);
+
+  // Stable object identity so consumers can use it as a memo dependency
+  return useMemo(() => ({ ...state, retry: load }), [state, load]);
+}
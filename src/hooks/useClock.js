@@ -0,0 +1,39 @@
+/**
+ * useClock Hook
+ *
+ * Current time as a 24-hour "HH:MM" string, updated every minute. Shared by
+ * the toolbars so the DOM and in-world clocks always agree.
+ */
+import { useState, useEffect } from 'react';
+
+/**
+ * Formats the current time for the toolbar clock
+ *
+ * @returns {string} Time as "HH:MM"
+ */
+const formatTime = () => (
+  new Date().toLocaleTimeString([], { hour: '2-digit', minute: '2-digit', hour12: false })
+);
+
+/**
+ * @returns {string} Current time as "HH:MM"
+ */
+export default function useClock() {
+  const [currentTime, setCurrentTime] = useState(formatTime);
+
+  useEffect(() => {
+    // Tick on the minute boundary, then every minute, so the clock never lags
+    let intervalId = null;
+    const timeoutId = setTimeout(() => {
+      setCurrentTime(formatTime());
+      intervalId = setInterval(() => setCurrentTime(formatTime()), 60000);
+    }, 60000 - (Date.now() % 60000));
+
+    return () => {
+      clearTimeout(timeoutId);
+      clearInterval(intervalId);
+    };
+  }, []);
+
+  return currentTime;
+}
@@ -0,0 +1,19 @@
+/**
+ * useCollider Hook
+ *
+ * Registers a scene object as a collider, so navigation controls slide
+ * along it instead of passing through (see utils/collision.js).
+ */
+import { useEffect } from 'react';
+import { registerCollider } from '../utils/collision';
+
+/**
+ * @param {React.RefObject} ref - Ref to the object whose bounds block movement
+ * @param {boolean} enabled - Whether the object is currently solid (default: true)
+ */
+export default function useCollider(ref, enabled = true) {
+  useEffect(() => {
+    if (!enabled || !ref.current) return;
+    return registerCollider(ref.current);
+  }, [ref, enabled]);
+}
@@ -0,0 +1,98 @@
+/**
+ * useFriendRequests Hook
+ *
+ * Loads the signed-in user's pending friend requests and exposes
+ * actions to accept, reject or cancel them. Lists are updated
+ * optimistically and reloaded from the server if an action fails.
+ */
+import { useState, useEffect, useCallback } from 'react';
+import { isSignedIn } from '../services/api';
+import {
+  fetchFriendRequests,
+  respondToFriendRequest,
+  cancelFriendRequest
+} from '../services/friends';
+
+const EMPTY_REQUESTS = { incoming: [], outgoing: [] };
+
+/**
+ * @returns {Object} Request lists, loading/error state and actions
+ */
+export default function useFriendRequests() {
+  const signedIn = isSignedIn();
+  const [requests, setRequests] = useState(EMPTY_REQUESTS);
+  const [loading, setLoading] = useState(signedIn);
+  const [error, setError] = useState(null);
+
+  /**
+   * Reloads the pending requests from the server
+   */
+  const refresh = useCallback(async () => {
+    if (!isSignedIn()) {
+      setRequests(EMPTY_REQUESTS);
+      setLoading(false);
+      return;
+    }
+
+    setLoading(true);
+    try {
+      const { incoming, outgoing } = await fetchFriendRequests();
+      setRequests({ incoming, outgoing });
+      setError(null);
+    } catch (err) {
+      setError(err);
+    } finally {
+      setLoading(false);
+    }
+  }, []);
+
+  useEffect(() => {
+    refresh();
+  }, [refresh]);
+
+  /**
+   * Removes a request from the local lists, then runs the server action
+   *
+   * @param {string} requestId - Id of the request being handled
+   * @param {Function} action - Async server call for the request
+   */
+  const runAction = useCallback(async (requestId, action) => {
+    setRequests(current => ({
+      incoming: current.incoming.filter(request => request.id !== requestId),
+      outgoing: current.outgoing.filter(request => request.id !== requestId)
+    }));
+
+    try {
+      await action();
+    } catch (err) {
+      setError(err);
+      refresh();
+    }
+  }, [refresh]);
+
+  const accept = useCallback(
+    (requestId) => runAction(requestId, () => respondToFriendRequest(requestId, 'accept')),
+    [runAction]
+  );
+
+  const reject = useCallback(
+    (requestId) => runAction(requestId, () => respondToFriendRequest(requestId, 'reject')),
+    [runAction]
+  );
+
+  const cancel = useCallback(
+    (requestId) => runAction(requestId, () => cancelFriendRequest(requestId)),
+    [runAction]
+  );
+
+  return {
+    ...requests,
+    signedIn,
+    loading,
+    error,
+    accept,
+    reject,
+    cancel,
+    refresh
+  };
+}
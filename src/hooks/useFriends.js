@@ -0,0 +1,71 @@
+/**
+ * useFriends Hook
+ *
+ * Loads the signed-in user's friends and keeps their presence status
+ * live by applying 'presence' updates pushed over the realtime channel.
+ * When signed out, a small demo list is returned so the panel still
+ * showcases the social features.
+ */
+import { useState, useEffect, useMemo } from 'react';
+import { isSignedIn } from '../services/api';
+import { fetchFriends } from '../services/friends';
+import { subscribe } from '../services/realtime';
+
+// Demo friends shown when no user is signed in (same shape as the API)
+const DEMO_FRIENDS = [
+  { id: 'demo-1', displayName: 'Alex Chen', avatar: '👨‍💻', status: { online: true, currentActivity: '', lastActive: 0 } },
+  { id: 'demo-2', displayName: 'Sarah Kim', avatar: '👩‍🎤', status: { online: true, currentActivity: 'Beat Saber', lastActive: 15 } },
+  { id: 'demo-3', displayName: 'Marcus Lee', avatar: '🧑‍🚀', status: { online: false, currentActivity: '', lastActive: 120 } },
+  { id: 'demo-4', displayName: 'Olivia Wang', avatar: '👩‍🎨', status: { online: true, currentActivity: '', lastActive: 5 } }
+].map(friend => ({
+  ...friend,
+  // Demo lastActive values are minutes ago
+  status: { ...friend.status, lastActive: new Date(Date.now() - friend.status.lastActive * 60000) }
+}));
+
+/**
+ * @returns {Object} Friends list, online count and loading/error state
+ */
+export default function useFriends() {
+  const signedIn = isSignedIn();
+  const [friends, setFriends] = useState(signedIn ? [] : DEMO_FRIENDS);
+  const [loading, setLoading] = useState(signedIn);
+  const [error, setError] = useState(null);
+
+  // Load the friends list once
+  useEffect(() => {
+    if (!signedIn) return;
+
+    let cancelled = false;
+    fetchFriends()
+      .then(({ friends: loaded }) => {
+        if (!cancelled) setFriends(loaded);
+      })
+      .catch(err => {
+        if (!cancelled) setError(err);
+      })
+      .finally(() => {
+        if (!cancelled) setLoading(false);
+      });
+
+    return () => {
+      cancelled = true;
+    };
+  }, [signedIn]);
+
+  // Apply live presence changes pushed by the server
+  useEffect(() => {
+    return subscribe('presence', ({ userId, status }) => {
+      setFriends(current => current.map(friend => (
+        friend.id === userId ? { ...friend, status } : friend
+      )));
+    });
+  }, []);
+
+  const onlineCount = useMemo(
+    () => friends.filter(friend => friend.status?.online).length,
+    [friends]
+  );
+
+  return { friends, onlineCount, signedIn, loading, error };
+}
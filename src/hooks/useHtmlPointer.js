@@ -0,0 +1,64 @@
+/**
+ * useHtmlPointer Hook
+ *
+ * Bridges XR controller rays into a panel's Html content (see
+ * input/htmlPointer.js). The panel reports where each controller's ray
+ * hits its content; the hook keeps one synthetic pointer per controller
+ * and replays hover, click and drag-to-scroll as DOM events.
+ *
+ * Trigger releases are also tracked with useXREvent, so a press still
+ * ends if the ray has left the panel before the trigger is released.
+ * Two-finger scroll gestures (see HandGestures) scroll the content the
+ * hand's ray is on.
+ */
+import { useRef, useEffect } from 'react';
+import { useXREvent } from '@react-three/xr';
+import { createHtmlPointer } from '../input/htmlPointer';
+
+// Content scrolled per meter of two-finger hand travel, in CSS pixels
+const HAND_SCROLL_SPEED = 2000;
+
+/**
+ * @returns {{move: Function, press: Function, release: Function, isOverContent: Function}}
+ *   move(controller, hit) with a content hit ({root, x, y}) or null,
+ *   press(controller) and release(controller) for the trigger (or a poke), and
+ *   isOverContent(controller) to check whether the ray is on the content
+ */
+export default function useHtmlPointer() {
+  // Synthetic pointer per controller
+  const pointers = useRef(new Map());
+
+  const getPointer = (controller) => {
+    let pointer = pointers.current.get(controller);
+    if (!pointer) {
+      pointer = createHtmlPointer();
+      pointers.current.set(controller, pointer);
+    }
+    return pointer;
+  };
+
+  useXREvent('selectend', (e) => {
+    pointers.current.get(e.target)?.release();
+  });
+
+  // Content follows the fingers like touch scrolling: moving up scrolls back
+  useXREvent('twofingerscroll', (e) => {
+    pointers.current.get(e.target)?.wheel(-e.nativeEvent.deltaY * HAND_SCROLL_SPEED);
+  });
+
+  // Clear hover state if the panel goes away while pointed at
+  useEffect(() => {
+    const current = pointers.current;
+    return () => {
+      current.forEach(pointer => pointer.move(null));
+      current.clear();
+    };
+  }, []);
+
+  const move = (controller, hit) => getPointer(controller).move(hit);
+  const press = (controller) => getPointer(controller).press();
+  const release = (controller) => pointers.current.get(controller)?.release();
+  const isOverContent = (controller) => Boolean(pointers.current.get(controller)?.isOverContent());
+
+  return { move, press, release, isOverContent };
+}
@@ -0,0 +1,143 @@
+/**
+ * useInputActions Hook
+ *
+ * Tracks which input actions are held, based on the live action map from
+ * InputBindingsContext. Keyboard and mouse input arrive as DOM events;
+ * standard gamepads are polled every frame, so the hook must be used
+ * inside the Canvas.
+ *
+ * XR controllers are not covered here - their thumbsticks are read from
+ * the XR session's input sources (see input/xrGamepad.js).
+ */
+import { useRef, useEffect, useMemo } from 'react';
+import { useFrame } from '@react-three/fiber';
+import { useInputBindings } from '../contexts/InputBindingsContext';
+import { eventToBinding, getActionsForBinding } from '../input/actionMap';
+
+/**
+ * Checks whether an event comes from a text field, where keys must type normally
+ *
+ * @param {Event} event - DOM event
+ * @returns {boolean} True for input and textarea targets
+ */
+function isTyping(event) {
+  return event.target.tagName === 'INPUT' || event.target.tagName === 'TEXTAREA';
+}
+
+/**
+ * @param {Object} options - Hook options
+ * @param {boolean} options.enabled - Listen for input (default: true)
+ * @param {Function} options.onPress - Called with the action id when an action is first pressed
+ * @returns {{isActive: Function}} isActive(action) reports whether an action is held
+ */
+export default function useInputActions({ enabled = true, onPress } = {}) {
+  const { bindings } = useInputBindings();
+
+  // Refs keep the event handlers stable while bindings and callbacks change
+  const bindingsRef = useRef(bindings);
+  bindingsRef.current = bindings;
+  const onPressRef = useRef(onPress);
+  onPressRef.current = onPress;
+
+  // Bindings currently held down
+  const held = useRef(new Set());
+  const gamepadHeld = useRef(new Set());
+
+  /**
+   * Marks a binding as pressed and reports newly pressed actions
+   *
+   * @param {string} binding - Binding string
+   * @param {boolean} repeat - True for auto-repeated key events
+   * @returns {boolean} True if the binding is mapped to an action
+   */
+  const press = (binding, repeat = false) => {
+    const actions = getActionsForBinding(bindingsRef.current, binding);
+    if (actions.length === 0) return false;
+
+    if (!repeat && !held.current.has(binding)) {
+      held.current.add(binding);
+      actions.forEach(action => onPressRef.current?.(action));
+    }
+    return true;
+  };
+
+  useEffect(() => {
+    if (!enabled) return;
+
+    const heldBindings = held.current;
+
+    const handleKeyDown = (e) => {
+      // Leave text entry and browser shortcuts alone
+      if (isTyping(e) || e.ctrlKey || e.metaKey) return;
+
+      // Bound keys shouldn't also scroll the page or focus the browser menu
+      if (press(eventToBinding(e), e.repeat)) e.preventDefault();
+    };
+
+    const handleMouseDown = (e) => {
+      // Only clicks in the 3D view, not on overlay UI
+      if (e.target.tagName !== 'CANVAS') return;
+      press(eventToBinding(e));
+    };
+
+    const handleRelease = (e) => {
+      heldBindings.delete(eventToBinding(e));
+    };
+
+    const handleContextMenu = (e) => {
+      // Allow the right button to be used as a binding in the 3D view
+      if (e.target.tagName === 'CANVAS' &&
+          getActionsForBinding(bindingsRef.current, 'mouse:2').length > 0) {
+        e.preventDefault();
+      }
+    };
+
+    // Keys released while the window is unfocused never send keyup
+    const handleBlur = () => heldBindings.clear();
+
+    window.addEventListener('keydown', handleKeyDown);
+    window.addEventListener('keyup', handleRelease);
+    window.addEventListener('mousedown', handleMouseDown);
+    window.addEventListener('mouseup', handleRelease);
+    window.addEventListener('contextmenu', handleContextMenu);
+    window.addEventListener('blur', handleBlur);
+
+    return () => {
+      window.removeEventListener('keydown', handleKeyDown);
+      window.removeEventListener('keyup', handleRelease);
+      window.removeEventListener('mousedown', handleMouseDown);
+      window.removeEventListener('mouseup', handleRelease);
+      window.removeEventListener('contextmenu', handleContextMenu);
+      window.removeEventListener('blur', handleBlur);
+      heldBindings.clear();
+    };
+  }, [enabled]);
+
+  // Poll standard gamepads (the Gamepad API has no button events)
+  useFrame(() => {
+    if (!enabled || !navigator.getGamepads) return;
+
+    const pressed = new Set();
+    for (const gamepad of navigator.getGamepads()) {
+      if (!gamepad || gamepad.mapping !== 'standard') continue;
+
+      gamepad.buttons.forEach((button, index) => {
+        if (button.pressed) pressed.add(`gamepad:${index}`);
+      });
+    }
+
+    pressed.forEach(binding => {
+      if (!gamepadHeld.current.has(binding)) {
+        getActionsForBinding(bindingsRef.current, binding)
+          .forEach(action => onPressRef.current?.(action));
+      }
+    });
+    gamepadHeld.current = pressed;
+  });
+
+  return useMemo(() => ({
+    isActive: (action) => (bindingsRef.current[action] || []).some(binding =>
+      held.current.has(binding) || gamepadHeld.current.has(binding)
+    )
+  }), []);
+}
@@ -0,0 +1,91 @@
+/**
+ * useLibrary Hook
+ *
+ * Loads the signed-in user's installed apps and exposes a launch action.
+ * Launches and installs made anywhere on this device (e.g. from the
+ * "For You" cards) are applied through the library service's change
+ * events, so every view stays sorted by recent use without reloading.
+ */
+import { useState, useEffect, useCallback, useMemo } from 'react';
+import { isSignedIn } from '../services/api';
+import { fetchLibrary, launchApp, onLibraryChange } from '../services/library';
+import { startAppSession } from '../services/activity';
+
+// Client-side orderings, matching the server's ?sort= options
+const SORTS = {
+  recent: (a, b) => (
+    new Date(b.lastLaunchedAt || 0) - new Date(a.lastLaunchedAt || 0) ||
+    new Date(b.installedAt) - new Date(a.installedAt)
+  ),
+  name: (a, b) => a.name.localeCompare(b.name)
+};
+
+/**
+ * @param {'recent'|'name'} sort - Order of the returned apps (default: 'recent')
+ * @returns {Object} Installed apps, loading/error state and actions
+ */
+export default function useLibrary(sort = 'recent') {
+  const signedIn = isSignedIn();
+  const [apps, setApps] = useState([]);
+  const [loading, setLoading] = useState(signedIn);
+  const [error, setError] = useState(null);
+  const [launchingId, setLaunchingId] = useState(null);
+
+  /**
+   * Reloads the library from the server
+   */
+  const refresh = useCallback(async () => {
+    if (!isSignedIn()) return;
+
+    setLoading(true);
+    try {
+      setApps(await fetchLibrary());
+      setError(null);
+    } catch (err) {
+      setError(err);
+    } finally {
+      setLoading(false);
+    }
+  }, []);
+
+  useEffect(() => {
+    refresh();
+  }, [refresh]);
+
+  // Apply changes made elsewhere on this device
+  useEffect(() => {
+    return onLibraryChange(({ type, app }) => {
+      setApps(current => {
+        const others = current.filter(entry => entry.id !== app.id);
+        return type === 'uninstall' ? others : [...others, app];
+      });
+    });
+  }, []);
+
+  /**
+   * Launches an app, recording the launch and starting its usage session
+   *
+   * @param {Object} app - App to launch (from the library or the catalog)
+   * @returns {Promise<Object|null>} The launched app, or null if it couldn't be recorded
+   */
+  const launch = useCallback(async (app) => {
+    if (!isSignedIn()) return null;
+
+    setLaunchingId(app.id);
+    try {
+      const launched = await launchApp(app.id);
+      startAppSession(launched.id);
+      setError(null);
+      return launched;
+    } catch (err) {
+      setError(err);
+      return null;
+    } finally {
+      setLaunchingId(null);
+    }
+  }, []);
+
+  const sortedApps = useMemo(() => [...apps].sort(SORTS[sort] || SORTS.recent), [apps, sort]);
+
+  return { apps: sortedApps, signedIn, loading, error, launchingId, launch, refresh };
+}
@@ -0,0 +1,202 @@
+/**
+ * usePanelGrab Hook
+ *
+ * Lets the user rearrange a panel: move it along a sphere around their
+ * head, or resize it from a corner handle. Works with the mouse (drag a
+ * handle) and with XR controllers (squeeze while pointing at the panel).
+ *
+ * While moving, the panel keeps its distance from the head and billboards
+ * to face it (yaw only, so panels stay upright). The final pose is
+ * reported once the grab ends.
+ */
+import { useRef, useState, useEffect, useMemo } from 'react';
+import { useFrame, useThree } from '@react-three/fiber';
+import { useXREvent } from '@react-three/xr';
+import * as THREE from 'three';
+
+// Allowed panel scale range (matches the backend layout schema)
+const MIN_SCALE = 0.5;
+const MAX_SCALE = 2;
+
+/**
+ * @param {React.RefObject} groupRef - Ref to the panel's posed group
+ * @param {Object} options - Hook options
+ * @param {Function} options.onRelease - Called with {position, rotation, scale} when a grab ends
+ * @returns {{grabMode: string|null, startGrab: Function}} Current grab mode ('move',
+ *   'resize' or null) and startGrab(mode, source), where source is {type: 'mouse'}
+ *   or {type: 'controller', controller}
+ */
+export default function usePanelGrab(groupRef, { onRelease } = {}) {
+  const { camera, pointer } = useThree();
+  const controls = useThree(state => state.controls);
+
+  // Active grab: {mode, source, ...mode-specific start values}
+  const grab = useRef(null);
+  const [grabMode, setGrabMode] = useState(null);
+
+  const onReleaseRef = useRef(onRelease);
+  onReleaseRef.current = onRelease;
+
+  // Persistent objects to avoid garbage collection
+  const temp = useMemo(() => ({
+    head: new THREE.Vector3(),
+    localHead: new THREE.Vector3(),
+    center: new THREE.Vector3(),
+    hit: new THREE.Vector3(),
+    normal: new THREE.Vector3(),
+    quaternion: new THREE.Quaternion(),
+    raycaster: new THREE.Raycaster(),
+    ray: new THREE.Ray(),
+    sphere: new THREE.Sphere(),
+    plane: new THREE.Plane()
+  }), []);
+
+  /**
+   * Updates the pointing ray for a grab source
+   *
+   * @param {Object} source - Grab source
+   */
+  const updateRay = (source) => {
+    const { ray, raycaster } = temp;
+
+    if (source.type === 'mouse') {
+      raycaster.setFromCamera(pointer, camera);
+      ray.copy(raycaster.ray);
+    } else {
+      // Controller target ray space points down -Z
+      const { matrixWorld } = source.controller.controller;
+      ray.origin.setFromMatrixPosition(matrixWorld);
+      ray.direction.set(0, 0, -1).transformDirection(matrixWorld);
+    }
+  };
+
+  /**
+   * Intersects the ray with the panel's plane
+   *
+   * @returns {THREE.Vector3|null} World-space hit point
+   */
+  const intersectPanelPlane = () => {
+    const { ray, plane, normal, center, quaternion, hit } = temp;
+    const group = groupRef.current;
+
+    group.getWorldPosition(center);
+    group.getWorldQuaternion(quaternion);
+    normal.set(0, 0, 1).applyQuaternion(quaternion);
+    plane.setFromNormalAndCoplanarPoint(normal, center);
+
+    return ray.intersectPlane(plane, hit);
+  };
+
+  /**
+   * Starts moving or resizing the panel
+   *
+   * @param {string} mode - 'move' or 'resize'
+   * @param {Object} source - {type: 'mouse'} or {type: 'controller', controller}
+   */
+  const startGrab = (mode, source) => {
+    const group = groupRef.current;
+    if (!group || grab.current) return;
+
+    const { head, center, sphere, ray, hit } = temp;
+    camera.getWorldPosition(head);
+    group.getWorldPosition(center);
+    updateRay(source);
+
+    if (mode === 'move') {
+      // Keep the panel at its current distance, and keep the grabbed point
+      // under the pointer rather than snapping the panel's center to it
+      const radius = head.distanceTo(center);
+      sphere.set(head, radius);
+      if (!ray.intersectSphere(sphere, hit)) hit.copy(center);
+
+      grab.current = { mode, source, radius, offset: center.clone().sub(hit) };
+    } else {
+      const start = intersectPanelPlane();
+      if (!start) return;
+
+      grab.current = {
+        mode,
+        source,
+        startScale: group.scale.x,
+        startDistance: Math.max(start.distanceTo(center), 0.01)
+      };
+    }
+
+    // Stop mouse drags from also orbiting the camera
+    if (source.type === 'mouse' && controls) controls.enabled = false;
+    setGrabMode(mode);
+  };
+
+  /**
+   * Ends the current grab and reports the new pose
+   */
+  const endGrab = () => {
+    const current = grab.current;
+    if (!current) return;
+
+    grab.current = null;
+    if (current.source.type === 'mouse' && controls) controls.enabled = true;
+    setGrabMode(null);
+
+    const group = groupRef.current;
+    if (!group) return;
+
+    onReleaseRef.current?.({
+      position: group.position.toArray(),
+      rotation: [0, group.rotation.y, 0],
+      scale: group.scale.x
+    });
+  };
+
+  // Mouse drags end on pointer release anywhere in the window
+  useEffect(() => {
+    if (!grabMode) return;
+
+    const handlePointerUp = () => {
+      if (grab.current?.source.type === 'mouse') endGrab();
+    };
+
+    window.addEventListener('pointerup', handlePointerUp);
+    return () => window.removeEventListener('pointerup', handlePointerUp);
+  });
+
+  // Controller grabs end when the grabbing controller's squeeze is released,
+  // even if it is no longer pointing at the panel
+  useXREvent('squeezeend', (e) => {
+    if (grab.current?.source.controller === e.target) endGrab();
+  });
+
+  useFrame(() => {
+    const current = grab.current;
+    const group = groupRef.current;
+    if (!current || !group) return;
+
+    const { head, localHead, center, sphere, ray, hit } = temp;
+    camera.getWorldPosition(head);
+    updateRay(current.source);
+
+    if (current.mode === 'move') {
+      sphere.set(head, current.radius);
+      if (!ray.intersectSphere(sphere, hit)) return;
+
+      // Apply the grab offset, then project back onto the sphere
+      center.copy(hit).add(current.offset).sub(head).setLength(current.radius).add(head);
+
+      // Panels live in a (possibly scaled) parent group
+      group.parent.worldToLocal(center);
+      group.parent.worldToLocal(localHead.copy(head));
+      group.position.copy(center);
+
+      // Billboard toward the head, yaw only
+      group.rotation.set(0, Math.atan2(localHead.x - center.x, localHead.z - center.z), 0);
+    } else {
+      const point = intersectPanelPlane();
+      if (!point) return;
+
+      const scale = current.startScale * point.distanceTo(center) / current.startDistance;
+      group.scale.setScalar(THREE.MathUtils.clamp(scale, MIN_SCALE, MAX_SCALE));
+    }
+  });
+
+  return { grabMode, startGrab };
+}
@@ -0,0 +1,181 @@
+/**
+ * Input Action Map
+ *
+ * Maps navigation actions to the physical inputs that trigger them, so
+ * controls can be rebound instead of being hard-wired to specific keys.
+ *
+ * Bindings are strings of the form "<device>:<code>":
+ * - keyboard:<KeyboardEvent.code>   e.g. "keyboard:KeyW"
+ * - mouse:<MouseEvent.button>       e.g. "mouse:2" (right button)
+ * - gamepad:<button index>          e.g. "gamepad:12" (standard mapping, D-pad up)
+ *
+ * Keyboard bindings use physical key codes, so labels are looked up from the
+ * user's keyboard layout where the browser supports it (e.g. KeyW shows as
+ * "Z" on AZERTY keyboards).
+ */
+
+// localStorage key for customized bindings
+const STORAGE_KEY = 'xr-input-bindings';
+
+// Actions in display order
+export const ACTIONS = [
+  { id: 'moveForward', label: 'Move forward' },
+  { id: 'moveBackward', label: 'Move backward' },
+  { id: 'moveLeft', label: 'Strafe left' },
+  { id: 'moveRight', label: 'Strafe right' },
+  { id: 'moveUp', label: 'Move up' },
+  { id: 'moveDown', label: 'Move down' },
+  { id: 'turnLeft', label: 'Rotate left' },
+  { id: 'turnRight', label: 'Rotate right' },
+  { id: 'sprint', label: 'Sprint' },
+  { id: 'teleport', label: 'Aim teleport (hold)' }
+];
+
+export const DEFAULT_BINDINGS = {
+  moveForward: ['keyboard:KeyW', 'keyboard:ArrowUp', 'gamepad:12'],
+  moveBackward: ['keyboard:KeyS', 'keyboard:ArrowDown', 'gamepad:13'],
+  moveLeft: ['keyboard:KeyA', 'keyboard:ArrowLeft', 'gamepad:14'],
+  moveRight: ['keyboard:KeyD', 'keyboard:ArrowRight', 'gamepad:15'],
+  moveUp: ['keyboard:Space', 'gamepad:0'],
+  moveDown: ['keyboard:ShiftLeft', 'keyboard:ShiftRight', 'gamepad:1'],
+  turnLeft: ['keyboard:KeyQ', 'gamepad:4'],
+  turnRight: ['keyboard:KeyE', 'gamepad:5'],
+  sprint: ['keyboard:AltLeft', 'keyboard:AltRight', 'gamepad:10'],
+  teleport: ['keyboard:KeyT', 'mouse:2', 'gamepad:3']
+};
+
+// Display names for codes that don't read well on their own
+const CODE_LABELS = {
+  Space: 'Space',
+  ShiftLeft: 'Left Shift',
+  ShiftRight: 'Right Shift',
+  AltLeft: 'Left Alt',
+  AltRight: 'Right Alt',
+  ControlLeft: 'Left Ctrl',
+  ControlRight: 'Right Ctrl',
+  ArrowUp: '↑',
+  ArrowDown: '↓',
+  ArrowLeft: '←',
+  ArrowRight: '→'
+};
+
+const MOUSE_LABELS = ['Left Click', 'Middle Click', 'Right Click', 'Mouse Back', 'Mouse Forward'];
+
+// Standard gamepad mapping button names
+const GAMEPAD_LABELS = [
+  'Pad A', 'Pad B', 'Pad X', 'Pad Y', 'Pad LB', 'Pad RB', 'Pad LT', 'Pad RT',
+  'Pad Back', 'Pad Start', 'Pad L3', 'Pad R3',
+  'Pad ↑', 'Pad ↓', 'Pad ←', 'Pad →'
+];
+
+// Keyboard layout map (physical code -> printed key), when available
+let layoutMap = null;
+
+/**
+ * Loads the user's keyboard layout so key labels match their keyboard
+ * (Keyboard Map API - Chromium only; other browsers fall back to QWERTY labels)
+ *
+ * @returns {Promise<void>} Resolves once the layout is loaded or unavailable
+ */
+export async function loadKeyboardLayout() {
+  try {
+    layoutMap = await navigator.keyboard?.getLayoutMap?.() || null;
+  } catch {
+    layoutMap = null;
+  }
+}
+
+/**
+ * Splits a binding string into its device and code
+ *
+ * @param {string} binding - Binding string, e.g. "keyboard:KeyW"
+ * @returns {{device: string, code: string}} Parsed binding
+ */
+export function parseBinding(binding) {
+  const separator = binding.indexOf(':');
+  return {
+    device: binding.slice(0, separator),
+    code: binding.slice(separator + 1)
+  };
+}
+
+/**
+ * Creates a binding string from a keyboard or mouse event
+ *
+ * @param {KeyboardEvent|MouseEvent} event - DOM input event
+ * @returns {string|null} Binding string, or null for unsupported events
+ */
+export function eventToBinding(event) {
+  if (event.type.startsWith('key')) return `keyboard:${event.code}`;
+  if (event.type.startsWith('mouse')) return `mouse:${event.button}`;
+  return null;
+}
+
+/**
+ * Formats a binding for display
+ *
+ * @param {string} binding - Binding string
+ * @returns {string} Human-readable label, e.g. "W", "Right Click", "Pad A"
+ */
+export function formatBinding(binding) {
+  const { device, code } = parseBinding(binding);
+
+  switch (device) {
+    case 'keyboard':
+      if (CODE_LABELS[code]) return CODE_LABELS[code];
+      if (layoutMap?.has(code)) return layoutMap.get(code).toUpperCase();
+      return code.replace(/^(Key|Digit)/, '');
+    case 'mouse':
+      return MOUSE_LABELS[code] || `Mouse ${code}`;
+    case 'gamepad':
+      return GAMEPAD_LABELS[code] || `Pad ${code}`;
+    default:
+      return binding;
+  }
+}
+
+/**
+ * Finds the actions a binding triggers
+ *
+ * @param {Object} bindings - Action map (action id -> binding strings)
+ * @param {string} binding - Binding string
+ * @returns {string[]} Matching action ids
+ */
+export function getActionsForBinding(bindings, binding) {
+  return Object.keys(bindings).filter(action => bindings[action].includes(binding));
+}
+
+/**
+ * Reads the action map, applying any customized bindings over the defaults
+ *
+ * @returns {Object} Action map
+ */
+export function loadBindings() {
+  try {
+    const stored = JSON.parse(localStorage.getItem(STORAGE_KEY));
+    if (stored) {
+      // Only keep known actions, so renamed or removed actions don't linger
+      return Object.fromEntries(ACTIONS.map(({ id }) => [
+        id,
+        Array.isArray(stored[id]) ? stored[id] : DEFAULT_BINDINGS[id]
+      ]));
+    }
+  } catch {
+    // Corrupt or unavailable storage - fall back to defaults
+  }
+
+  return DEFAULT_BINDINGS;
+}
+
+/**
+ * Persists the action map
+ *
+ * @param {Object} bindings - Action map to store
+ */
+export function saveBindings(bindings) {
+  try {
+    localStorage.setItem(STORAGE_KEY, JSON.stringify(bindings));
+  } catch {
+    // Storage unavailable - bindings still apply for this session
+  }
+}
@@ -0,0 +1,260 @@
+/**
+ * Hand Gesture Recognition
+ * 
+ * Turns tracked hand joints into interaction gestures:
+ * - Pinch: thumb tip touching the index finger tip (pinch start / end)
+ * - Poke: index finger tip pressing into a surface (hover / press / release)
+ * - Two-finger scroll: index and middle fingers extended and held together,
+ *   moved up or down (start / scroll / end, with the vertical travel)
+ * 
+ * Dragging while pinched or poked also scrolls panel content - that is
+ * handled by the HTML pointer bridge, which treats both like a held trigger.
+ * 
+ * The recognizers are plain functions over joint positions, so they can be
+ * driven by recorded joint data as well as live XRHand input. Joints are
+ * {name: [x, y, z]} in meters, using WebXR joint names; readJoints
+ * produces that format from a tracked hand.
+ * 
+ * All distances are in meters and tunable through GESTURE_THRESHOLDS.
+ * Each gesture uses separate start and end thresholds (hysteresis), so
+ * tracking jitter near a threshold doesn't produce repeated events.
+ */
+
+export const GESTURE_THRESHOLDS = {
+  // Thumb-to-index tip distance that starts a pinch
+  pinchStart: 0.02,
+  // Distance the tips must separate to end it
+  pinchEnd: 0.035,
+  // Fingertip distance in front of a surface at which poke hover begins
+  pokeHover: 0.08,
+  // Distance at which the fingertip counts as touching (pressed)
+  pokePress: 0.005,
+  // Distance the fingertip must pull back to release
+  pokeRelease: 0.02,
+  // Index-to-middle tip distance at which two-finger scroll can begin
+  twoFingerStart: 0.025,
+  // Distance the tips must separate to end it
+  twoFingerEnd: 0.04,
+  // A finger counts as extended when its tip is this many times farther
+  // from the wrist than its knuckle (about 2 when straight, 1 in a fist)
+  fingerExtension: 1.6,
+  // Vertical travel before two-finger scrolling starts moving content
+  scrollDeadZone: 0.01
+};
+
+// Joints the recognizers read
+export const GESTURE_JOINTS = [
+  'wrist',
+  'thumb-tip',
+  'index-finger-phalanx-proximal',
+  'index-finger-phalanx-intermediate',
+  'index-finger-tip',
+  'middle-finger-phalanx-proximal',
+  'middle-finger-tip'
+];
+
+/**
+ * Reads joint positions from a tracked hand
+ * 
+ * @param {THREE.Group} hand - Hand space from WebXR (controller.hand), with joints
+ * @param {string[]} names - Joints to read (default: GESTURE_JOINTS)
+ * @returns {Object|null} {name: [x, y, z]} world positions, or null if any joint isn't tracked
+ */
+export function readJoints(hand, names = GESTURE_JOINTS) {
+  const joints = {};
+  
+  for (const name of names) {
+    const joint = hand?.joints?.[name];
+    if (!joint || !joint.visible) return null;
+    
+    joint.updateWorldMatrix(true, false);
+    const { elements } = joint.matrixWorld;
+    joints[name] = [elements[12], elements[13], elements[14]];
+  }
+  return joints;
+}
+
+/**
+ * Distance between two joint positions
+ * 
+ * @param {number[]} a - [x, y, z]
+ * @param {number[]} b - [x, y, z]
+ * @returns {number} Distance in meters
+ */
+export function jointDistance(a, b) {
+  return Math.hypot(a[0] - b[0], a[1] - b[1], a[2] - b[2]);
+}
+
+/**
+ * Direction the index finger points, from its middle joint to its tip
+ * 
+ * @param {Object} joints - Joint positions
+ * @returns {number[]} Normalized [x, y, z] direction
+ */
+export function getPokeDirection(joints) {
+  const tip = joints['index-finger-tip'];
+  const base = joints['index-finger-phalanx-intermediate'];
+  const length = jointDistance(tip, base) || 1;
+  
+  return [(tip[0] - base[0]) / length, (tip[1] - base[1]) / length, (tip[2] - base[2]) / length];
+}
+
+/**
+ * Creates a pinch detector for one hand
+ * 
+ * @param {Object} thresholds - Overrides for GESTURE_THRESHOLDS
+ * @returns {Function} (joints) => 'start' | 'end' | null; pass null when tracking is
+ *   lost, which ends an active pinch
+ */
+export function createPinchDetector(thresholds = {}) {
+  const { pinchStart, pinchEnd } = { ...GESTURE_THRESHOLDS, ...thresholds };
+  let pinching = false;
+  
+  return (joints) => {
+    if (!joints) {
+      if (!pinching) return null;
+      pinching = false;
+      return 'end';
+    }
+    
+    const distance = jointDistance(joints['thumb-tip'], joints['index-finger-tip']);
+    
+    if (!pinching && distance <= pinchStart) {
+      pinching = true;
+      return 'start';
+    }
+    if (pinching && distance >= pinchEnd) {
+      pinching = false;
+      return 'end';
+    }
+    return null;
+  };
+}
+
+/**
+ * Creates a poke detector for one fingertip
+ * 
+ * Depth is the fingertip's distance in front of the nearest surface along
+ * the finger's direction: positive in front, zero touching, negative once
+ * the finger has pushed through. Pass null when no surface is in range.
+ * 
+ * A press needs the fingertip to come from in front of the surface, so
+ * pulling a finger back out after pushing through doesn't press again.
+ * 
+ * @param {Object} thresholds - Overrides for GESTURE_THRESHOLDS
+ * @returns {Function} (depth) => 'hover' | 'press' | 'release' | 'leave' | null
+ */
+export function createPokeDetector(thresholds = {}) {
+  const { pokeHover, pokePress, pokeRelease } = { ...GESTURE_THRESHOLDS, ...thresholds };
+  
+  // 'idle', 'hover' or 'pressed'
+  let state = 'idle';
+  // Whether the fingertip has been in front of the touch distance since hover began
+  let armed = false;
+  
+  return (depth) => {
+    const inRange = depth !== null && depth <= pokeHover;
+    
+    if (state === 'pressed') {
+      if (depth === null || depth >= pokeRelease) {
+        state = inRange ? 'hover' : 'idle';
+        return 'release';
+      }
+      return null;
+    }
+    
+    if (!inRange) {
+      if (state === 'idle') return null;
+      state = 'idle';
+      return 'leave';
+    }
+    
+    // Always hover first, so a press is never the first event for a surface
+    if (state === 'idle') {
+      state = 'hover';
+      armed = depth > pokePress;
+      return 'hover';
+    }
+    
+    if (depth > pokePress) {
+      armed = true;
+    } else if (armed) {
+      state = 'pressed';
+      return 'press';
+    }
+    return null;
+  };
+}
+
+/**
+ * Checks whether a finger is extended (rather than curled)
+ * 
+ * @param {Object} joints - Joint positions
+ * @param {string} finger - Finger name, e.g. 'index-finger'
+ * @param {number} extension - Minimum tip-to-knuckle distance ratio from the wrist
+ * @returns {boolean} True if the finger is extended
+ */
+export function isFingerExtended(joints, finger, extension = GESTURE_THRESHOLDS.fingerExtension) {
+  const wrist = joints.wrist;
+  const knuckle = jointDistance(wrist, joints[`${finger}-phalanx-proximal`]);
+  
+  return knuckle > 0 && jointDistance(wrist, joints[`${finger}-tip`]) >= knuckle * extension;
+}
+
+/**
+ * Creates a two-finger scroll detector for one hand
+ * 
+ * Scrolling is active while the index and middle fingers are extended and
+ * held together, away from the thumb (so it never overlaps a pinch).
+ * Movement is reported once the fingertips have moved past the dead zone.
+ * 
+ * @param {Object} thresholds - Overrides for GESTURE_THRESHOLDS
+ * @returns {Function} (joints) => {type: 'start' | 'scroll' | 'end', deltaY} | null,
+ *   where deltaY is the upward travel in meters since the last event; pass null
+ *   when tracking is lost, which ends an active scroll
+ */
+export function createTwoFingerScrollDetector(thresholds = {}) {
+  const {
+    twoFingerStart,
+    twoFingerEnd,
+    fingerExtension,
+    pinchEnd,
+    scrollDeadZone
+  } = { ...GESTURE_THRESHOLDS, ...thresholds };
+  
+  // Height of the fingertips at the last event, and whether scrolling has
+  // moved past the dead zone; null while not scrolling
+  let active = null;
+  
+  const end = () => {
+    active = null;
+    return { type: 'end', deltaY: 0 };
+  };
+  
+  return (joints) => {
+    if (!joints) return active ? end() : null;
+    
+    const index = joints['index-finger-tip'];
+    const middle = joints['middle-finger-tip'];
+    const gap = jointDistance(index, middle);
+    const posed = isFingerExtended(joints, 'index-finger', fingerExtension) &&
+      isFingerExtended(joints, 'middle-finger', fingerExtension) &&
+      jointDistance(joints['thumb-tip'], index) >= pinchEnd;
+    const height = (index[1] + middle[1]) / 2;
+    
+    if (!active) {
+      if (!posed || gap > twoFingerStart) return null;
+      active = { height, moving: false };
+      return { type: 'start', deltaY: 0 };
+    }
+    
+    if (!posed || gap >= twoFingerEnd) return end();
+    
+    const deltaY = height - active.height;
+    if (!active.moving && Math.abs(deltaY) < scrollDeadZone) return null;
+    
+    active.moving = true;
+    active.height = height;
+    return { type: 'scroll', deltaY };
+  };
+}
@@ -0,0 +1,115 @@
+/**
+ * Gesture recognizer tests, run over joint sequences in fixtures/
+ * (run with `npm test`)
+ *
+ * Fixtures hold frames in readJoints' format ({name: [x, y, z]}, meters)
+ * and the events the sequence should produce. Poke fixtures also give
+ * the surface being poked.
+ */
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { readFileSync } from 'node:fs';
+import {
+  GESTURE_THRESHOLDS,
+  getPokeDirection,
+  createPinchDetector,
+  createPokeDetector,
+  createTwoFingerScrollDetector
+} from './handGestures.js';
+
+// Matches HandGestures: poke rays start this far behind the fingertip
+const POKE_RAY_OFFSET = 0.05;
+
+const loadFixture = (name) => (
+  JSON.parse(readFileSync(new URL(`./fixtures/${name}.json`, import.meta.url), 'utf8'))
+);
+
+/**
+ * Runs a detector over inputs, collecting the events it produces
+ *
+ * @param {Function} detect - Detector
+ * @param {Array} inputs - One input per frame
+ * @returns {Array} Non-null results
+ */
+const run = (detect, inputs) => inputs.map(detect).filter(result => result !== null);
+
+/**
+ * Poke depth of the fingertip against a plane, like the HandGestures
+ * raycast: along the finger, null when the ray misses
+ *
+ * @param {Object} joints - Joint positions
+ * @param {{point: number[], normal: number[]}} surface - Plane facing the user
+ * @returns {number|null} Depth in meters
+ */
+const getPokeDepth = (joints, surface) => {
+  const tip = joints['index-finger-tip'];
+  const direction = getPokeDirection(joints);
+  const facing = -direction.reduce((sum, d, i) => sum + d * surface.normal[i], 0);
+  if (facing <= 0) return null;
+
+  const height = tip.reduce((sum, t, i) => sum + (t - surface.point[i]) * surface.normal[i], 0);
+  const depth = height / facing;
+  if (depth < -POKE_RAY_OFFSET || depth > GESTURE_THRESHOLDS.pokeHover) return null;
+  return depth;
+};
+
+test('pinch starts and ends once', () => {
+  const { frames, expected } = loadFixture('pinch');
+  assert.deepEqual(run(createPinchDetector(), frames), expected);
+});
+
+test('jitter near the pinch threshold does not pinch', () => {
+  const { frames, expected } = loadFixture('near-pinch');
+  assert.deepEqual(run(createPinchDetector(), frames), expected);
+});
+
+test('jitter during a pinch does not end it early', () => {
+  const { frames, expected } = loadFixture('pinch-jitter');
+  assert.deepEqual(run(createPinchDetector(), frames), expected);
+});
+
+test('losing tracking ends a pinch', () => {
+  const { frames } = loadFixture('pinch');
+  const detect = createPinchDetector();
+  assert.deepEqual(run(detect, [...frames.slice(0, 8), null, null]), ['start', 'end']);
+});
+
+test('pinch thresholds can be tuned', () => {
+  const { frames } = loadFixture('near-pinch');
+  assert.deepEqual(run(createPinchDetector({ pinchStart: 0.03 }), frames), ['start', 'end']);
+});
+
+test('poke hovers, presses and releases', () => {
+  const { frames, surface, expected } = loadFixture('poke');
+  const depths = frames.map(joints => getPokeDepth(joints, surface));
+  assert.deepEqual(run(createPokeDetector(), depths), expected);
+});
+
+test('pulling back out after pushing through does not press again', () => {
+  const { frames, surface, expected } = loadFixture('poke-push-through');
+  const depths = frames.map(joints => getPokeDepth(joints, surface));
+  assert.deepEqual(run(createPokeDetector(), depths), expected);
+});
+
+test('two-finger swipe scrolls by the hand travel', () => {
+  const { frames, expected } = loadFixture('two-finger-scroll');
+  const events = run(createTwoFingerScrollDetector(), frames);
+
+  assert.deepEqual(events.map(event => event.type), expected);
+
+  const travel = events.reduce((sum, event) => sum + event.deltaY, 0);
+  const start = frames[1]['index-finger-tip'][1];
+  const end = frames[frames.length - 2]['index-finger-tip'][1];
+  assert.ok(Math.abs(travel - (end - start)) < 0.005, `travel ${travel}`);
+});
+
+test('a closed fist does not scroll', () => {
+  const { frames, expected } = loadFixture('fist-move');
+  assert.deepEqual(run(createTwoFingerScrollDetector(), frames), expected);
+});
+
+test('pinching does not scroll', () => {
+  const { frames } = loadFixture('pinch');
+  const events = run(createTwoFingerScrollDetector(), frames);
+  assert.deepEqual(events.filter(event => event.type === 'scroll'), []);
+});
@@ -0,0 +1,329 @@
+/**
+ * HTML Pointer Bridge
+ *
+ * Lets XR controller rays interact with panel content rendered as DOM
+ * through drei's Html. In a headset the DOM never receives real pointer
+ * input, so controller hits are converted to coordinates inside the
+ * content element and replayed as synthetic DOM events:
+ *
+ * - Hover: pointerover/pointerout (which drive React's onPointerEnter and
+ *   onPointerLeave), pointermove, and a `data-xr-hover` attribute on the
+ *   hovered element and its ancestors for CSS hover styles
+ * - Select: pointerdown/mousedown, pointerup/mouseup and click
+ * - Scroll: dragging with the trigger held sends wheel events, and scrolls
+ *   the nearest scrollable element unless the content handles the wheel;
+ *   gestures can also scroll whatever is hovered (two-finger scroll)
+ *
+ * Content coordinates are CSS pixels from the content element's top-left
+ * corner, ignoring CSS transforms inside the content. Synthetic events
+ * report them as clientX/clientY.
+ */
+import * as THREE from 'three';
+
+// Pointer travel (CSS pixels) before a press turns into a scroll drag
+const DRAG_THRESHOLD = 8;
+
+// Attribute marking hovered elements, for CSS hover styles
+export const HOVER_ATTRIBUTE = 'data-xr-hover';
+
+// Synthetic pointers need ids that don't clash with real ones
+let nextPointerId = 1000;
+
+// Reused objects to avoid garbage collection
+const ray = new THREE.Ray();
+const plane = new THREE.Plane();
+const normal = new THREE.Vector3();
+const origin = new THREE.Vector3();
+const hit = new THREE.Vector3();
+const quaternion = new THREE.Quaternion();
+
+/**
+ * Converts a point on an Html content plane to content coordinates
+ *
+ * @param {number} x - Meters right of the content's center
+ * @param {number} y - Meters above the content's center
+ * @param {HTMLElement} root - Content element (centered on the plane's origin)
+ * @param {number} pixelsPerMeter - CSS pixels per meter of the Html content
+ * @returns {{root: HTMLElement, x: number, y: number}|null} Content hit, or null if outside
+ */
+export function toContentPoint(x, y, root, pixelsPerMeter) {
+  if (!root) return null;
+
+  const contentX = x * pixelsPerMeter + root.offsetWidth / 2;
+  const contentY = root.offsetHeight / 2 - y * pixelsPerMeter;
+
+  if (contentX < 0 || contentY < 0 || contentX > root.offsetWidth || contentY > root.offsetHeight) {
+    return null;
+  }
+  return { root, x: contentX, y: contentY };
+}
+
+/**
+ * Raycasts a controller's pointer against an Html content plane
+ *
+ * @param {XRController} controller - Controller from @react-three/xr
+ * @param {THREE.Object3D} anchor - Object the Html content is centered on, facing +Z
+ * @param {HTMLElement} root - Content element
+ * @param {number} pixelsPerMeter - CSS pixels per meter of the Html content
+ * @returns {{root: HTMLElement, x: number, y: number}|null} Content hit, or null if missed
+ */
+export function raycastContent(controller, anchor, root, pixelsPerMeter) {
+  if (!anchor || !root) return null;
+
+  // Controller target ray space points down -Z
+  const { matrixWorld } = controller.controller;
+  ray.origin.setFromMatrixPosition(matrixWorld);
+  ray.direction.set(0, 0, -1).transformDirection(matrixWorld);
+
+  anchor.getWorldPosition(origin);
+  anchor.getWorldQuaternion(quaternion);
+  normal.set(0, 0, 1).applyQuaternion(quaternion);
+  plane.setFromNormalAndCoplanarPoint(normal, origin);
+
+  if (!ray.intersectPlane(plane, hit)) return null;
+
+  // Local coordinates are in the anchor's (possibly scaled) space
+  anchor.worldToLocal(hit);
+  return toContentPoint(hit.x, hit.y, root, pixelsPerMeter);
+}
+
+/**
+ * Gets an element's layout box relative to the content root, accounting
+ * for scrolled ancestors
+ *
+ * @param {HTMLElement} element - Descendant of root
+ * @param {HTMLElement} root - Content element
+ * @returns {{left: number, top: number, right: number, bottom: number}} Box in content coordinates
+ */
+function getBoxWithin(element, root) {
+  const pageOffset = (node) => {
+    let left = 0;
+    let top = 0;
+    for (; node; node = node.offsetParent) {
+      left += node.offsetLeft;
+      top += node.offsetTop;
+    }
+    return { left, top };
+  };
+
+  const offset = pageOffset(element);
+  const rootOffset = pageOffset(root);
+  let left = offset.left - rootOffset.left;
+  let top = offset.top - rootOffset.top;
+
+  for (let node = element.parentElement; node; node = node.parentElement) {
+    left -= node.scrollLeft;
+    top -= node.scrollTop;
+    if (node === root) break;
+  }
+
+  return { left, top, right: left + element.offsetWidth, bottom: top + element.offsetHeight };
+}
+
+/**
+ * Finds the topmost descendant under a point, skipping content clipped
+ * away by overflow
+ *
+ * @param {HTMLElement} element - Element whose children to search
+ * @param {HTMLElement} root - Content element
+ * @param {number} x - Content x coordinate
+ * @param {number} y - Content y coordinate
+ * @returns {HTMLElement|null} Deepest element under the point
+ */
+function hitTest(element, root, x, y) {
+  // Later siblings paint on top, so search them first
+  for (let i = element.children.length - 1; i >= 0; i--) {
+    const child = element.children[i];
+    if (!(child instanceof HTMLElement)) continue;
+
+    const style = getComputedStyle(child);
+    if (style.display === 'none' || style.visibility === 'hidden') continue;
+
+    const box = getBoxWithin(child, root);
+    const inside = x >= box.left && x <= box.right && y >= box.top && y <= box.bottom;
+
+    // Children can overflow their parent unless it clips them
+    if (!inside && style.overflow !== 'visible') continue;
+
+    const target = hitTest(child, root, x, y);
+    if (target) return target;
+    if (inside && style.pointerEvents !== 'none') return child;
+  }
+  return null;
+}
+
+/**
+ * Finds the element under a point in the content
+ *
+ * @param {HTMLElement} root - Content element
+ * @param {number} x - Content x coordinate
+ * @param {number} y - Content y coordinate
+ * @returns {HTMLElement} Target element (the root if nothing else is hit)
+ */
+export function findElementAt(root, x, y) {
+  return hitTest(root, root, x, y) || root;
+}
+
+/**
+ * Finds the closest ancestor that can scroll vertically
+ *
+ * @param {HTMLElement} element - Starting element
+ * @param {HTMLElement} root - Content element (search stops here)
+ * @returns {HTMLElement|null} Scrollable element
+ */
+function findScrollable(element, root) {
+  for (let node = element; node; node = node.parentElement) {
+    const { overflowY } = getComputedStyle(node);
+    if ((overflowY === 'auto' || overflowY === 'scroll') && node.scrollHeight > node.clientHeight) {
+      return node;
+    }
+    if (node === root) break;
+  }
+  return null;
+}
+
+/**
+ * Creates a synthetic pointer for one controller
+ *
+ * @returns {{move: Function, press: Function, release: Function, wheel: Function, isOverContent: Function}}
+ *   move(hit) with a content hit (or null when the ray leaves the content),
+ *   press() and release() for the trigger, wheel(deltaY) to scroll the hovered
+ *   content by CSS pixels, and isOverContent()
+ */
+export function createHtmlPointer() {
+  const pointerId = nextPointerId++;
+
+  let target = null;
+  let root = null;
+  let position = { x: 0, y: 0 };
+
+  // Press state: {target, start, last, dragging}
+  let pressed = null;
+
+  const dispatch = (element, type, init = {}) => {
+    const options = {
+      bubbles: true,
+      cancelable: true,
+      composed: true,
+      clientX: position.x,
+      clientY: position.y,
+      button: 0,
+      buttons: pressed ? 1 : 0,
+      ...init
+    };
+    const event = type.startsWith('pointer')
+      ? new PointerEvent(type, { pointerId, pointerType: 'mouse', isPrimary: true, ...options })
+      : type === 'wheel'
+        ? new WheelEvent(type, options)
+        : new MouseEvent(type, options);
+
+    return element.dispatchEvent(event);
+  };
+
+  const setHoverAttribute = (element, hovered) => {
+    for (let node = element; node; node = node.parentElement) {
+      if (hovered) node.setAttribute(HOVER_ATTRIBUTE, '');
+      else node.removeAttribute(HOVER_ATTRIBUTE);
+      if (node === root) break;
+    }
+  };
+
+  const setTarget = (next) => {
+    if (next === target) return;
+
+    const previous = target;
+    if (previous) {
+      setHoverAttribute(previous, false);
+      dispatch(previous, 'pointerout', { relatedTarget: next });
+      dispatch(previous, 'mouseout', { relatedTarget: next });
+    }
+
+    target = next;
+    if (next) {
+      setHoverAttribute(next, true);
+      dispatch(next, 'pointerover', { relatedTarget: previous });
+      dispatch(next, 'mouseover', { relatedTarget: previous });
+    }
+  };
+
+  /**
+   * Scrolls the content under an element
+   *
+   * @param {HTMLElement} element - Element the wheel event is sent to
+   * @param {number} deltaY - Scroll amount in CSS pixels
+   */
+  const scroll = (element, deltaY) => {
+    if (!deltaY || !element.isConnected) return;
+
+    const handled = !dispatch(element, 'wheel', { deltaY, deltaMode: 0 });
+    if (handled) return;
+
+    const scrollable = findScrollable(element, root);
+    if (scrollable) scrollable.scrollTop += deltaY;
+  };
+
+  const move = (hit) => {
+    if (!hit) {
+      setTarget(null);
+      root = null;
+      return;
+    }
+
+    if (root !== hit.root) setTarget(null);
+    root = hit.root;
+    position = { x: hit.x, y: hit.y };
+
+    if (pressed) {
+      // Dragging moves the content with the pointer, like touch scrolling
+      const travel = Math.hypot(hit.x - pressed.start.x, hit.y - pressed.start.y);
+      if (!pressed.dragging && travel > DRAG_THRESHOLD) pressed.dragging = true;
+      if (pressed.dragging) scroll(pressed.target, pressed.last.y - hit.y);
+      pressed.last = position;
+    }
+
+    setTarget(findElementAt(hit.root, hit.x, hit.y));
+    dispatch(target, 'pointermove');
+    dispatch(target, 'mousemove');
+  };
+
+  const press = () => {
+    if (!target || pressed) return;
+
+    pressed = { target, start: position, last: position, dragging: false };
+    dispatch(target, 'pointerdown', { buttons: 1 });
+    dispatch(target, 'mousedown', { buttons: 1 });
+  };
+
+  const release = () => {
+    if (!pressed) return;
+
+    const { target: pressTarget, dragging } = pressed;
+    pressed = null;
+
+    // Released away from the content: the press is cancelled
+    if (!target) {
+      dispatch(pressTarget, 'pointercancel');
+      return;
+    }
+
+    dispatch(target, 'pointerup');
+    dispatch(target, 'mouseup');
+
+    if (dragging) return;
+
+    // Like a real click, it goes to the closest element containing both
+    // the press and the release
+    const clickTarget = pressTarget.contains(target)
+      ? pressTarget
+      : target.contains(pressTarget) ? target : null;
+    if (clickTarget) dispatch(clickTarget, 'click', { detail: 1 });
+  };
+
+  const wheel = (deltaY) => {
+    if (target) scroll(target, deltaY);
+  };
+
+  const isOverContent = () => target !== null;
+
+  return { move, press, release, wheel, isOverContent };
+}
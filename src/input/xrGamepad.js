@@ -0,0 +1,112 @@
+/**
+ * XR Gamepad Utilities
+ * 
+ * Helpers for reading controller thumbsticks and buttons from the active
+ * WebXR session's input sources (xr-standard gamepad mapping).
+ * 
+ * xr-standard layout:
+ * - axes[2], axes[3]: thumbstick x/y (axes[0], axes[1] on touchpad-only devices)
+ * - buttons[3]: thumbstick click
+ */
+
+/**
+ * Finds the gamepad for a hand in the current XR session
+ * 
+ * @param {XRSession|null} session - The active XR session
+ * @param {string} handedness - 'left' or 'right'
+ * @returns {Gamepad|null} The controller's gamepad, if connected
+ */
+export function getGamepad(session, handedness) {
+  if (!session) return null;
+  
+  for (const source of session.inputSources) {
+    if (source.handedness === handedness && source.gamepad) {
+      return source.gamepad;
+    }
+  }
+  return null;
+}
+
+/**
+ * Reads a controller's thumbstick
+ * 
+ * @param {XRSession|null} session - The active XR session
+ * @param {string} handedness - 'left' or 'right'
+ * @returns {{x: number, y: number, pressed: boolean}|null} Stick state (y is negative when pushed forward)
+ */
+export function getThumbstick(session, handedness) {
+  const gamepad = getGamepad(session, handedness);
+  if (!gamepad) return null;
+  
+  const { axes, buttons } = gamepad;
+  const hasStick = axes.length >= 4;
+  
+  return {
+    x: (hasStick ? axes[2] : axes[0]) || 0,
+    y: (hasStick ? axes[3] : axes[1]) || 0,
+    pressed: Boolean(buttons[3]?.pressed)
+  };
+}
+
+/**
+ * Gets which hand's thumbstick does what for the user's handedness: the
+ * dominant hand (which also points) turns and aims teleports, the other
+ * hand moves
+ * 
+ * @param {string} handedness - Dominant hand ('left' or 'right')
+ * @returns {{dominant: string, offHand: string}} Hands for each role
+ */
+export function getStickHands(handedness) {
+  const dominant = handedness === 'left' ? 'left' : 'right';
+  return { dominant, offHand: dominant === 'left' ? 'right' : 'left' };
+}
+
+/**
+ * Checks whether a stick is pushed mostly forward rather than sideways.
+ * The dominant stick aims teleports when pushed forward and turns when
+ * pushed sideways, so each axis only counts while it dominates.
+ * 
+ * @param {{x: number, y: number}} stick - Stick state
+ * @param {number} threshold - Y value the stick must be pushed past (negative)
+ * @returns {boolean} True if pushed forward past the threshold
+ */
+export function isStickForward(stick, threshold) {
+  return stick.y < threshold && Math.abs(stick.y) > Math.abs(stick.x);
+}
+
+/**
+ * Creates a flick detector for one stick axis: fires once when the axis is
+ * pushed past the trigger threshold, and re-arms only after it returns
+ * near the center (hysteresis avoids repeated triggers while held)
+ * 
+ * @param {number} trigger - Axis value that fires a flick (default: 0.7)
+ * @param {number} release - Axis value below which it re-arms (default: 0.3)
+ * @returns {Function} (value) => -1 | 0 | 1 flick direction
+ */
+export function createFlickDetector(trigger = 0.7, release = 0.3) {
+  let armed = true;
+  
+  return (value) => {
+    if (armed && Math.abs(value) >= trigger) {
+      armed = false;
+      return Math.sign(value);
+    }
+    if (Math.abs(value) <= release) armed = true;
+    return 0;
+  };
+}
+
+/**
+ * Applies a deadzone to one stick axis, rescaling the rest of
+ * the range so output still ramps smoothly from 0 to 1
+ * 
+ * @param {number} value - Raw axis value (-1 to 1)
+ * @param {number} deadzone - Values below this magnitude are ignored (default: 0.15)
+ * @returns {number} Filtered axis value
+ */
+export function applyDeadzone(value, deadzone = 0.15) {
+  const magnitude = Math.abs(value);
+  if (magnitude < deadzone) return 0;
+  
+  return Math.sign(value) * Math.min(1, (magnitude - deadzone) / (1 - deadzone));
+}
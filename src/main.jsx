@@ -3,17 +3,36 @@
  * 
  * This file serves as the entry point for the React application.
  * It renders the root App component into the DOM and sets up
- * React's StrictMode for development quality checks.
+ * React's StrictMode for development quality checks, along with the
+ * application-wide context providers.
  */
 import React from 'react';
 import ReactDOM from 'react-dom/client';
 import App from './App';
+import { VRSettingsProvider } from './contexts/VRSettingsContext';
+import { InputBindingsProvider } from './contexts/InputBindingsContext';
+import { PanelProvider } from './contexts/PanelContext';
+import { PanelLayoutProvider } from './contexts/PanelLayoutContext';
+import { NavigationProvider } from './contexts/NavigationContext';
+import { NotificationProvider } from './contexts/NotificationContext';
 import './index.css';
 
 // Create a React root and render the App into the DOM
 ReactDOM.createRoot(document.getElementById('root')).render(
   // StrictMode enables additional development checks and warnings
   <React.StrictMode>
-    <App />
+    <VRSettingsProvider>
+      <InputBindingsProvider>
+        <PanelProvider>
+          <PanelLayoutProvider>
+            <NavigationProvider>
+              <NotificationProvider>
+                <App />
+              </NotificationProvider>
+            </NavigationProvider>
+          </PanelLayoutProvider>
+        </PanelProvider>
+      </InputBindingsProvider>
+    </VRSettingsProvider>
   </React.StrictMode>
 );
@@ -0,0 +1,213 @@
+/**
+ * Activity Service
+ * 
+ * Tracks app sessions for the signed-in user and records them through the
+ * /users/me/history API, along with history and per-app totals queries.
+ * 
+ * Features:
+ * - A session starts when an app is launched and ends when another app is
+ *   launched or the page is hidden; it resumes when the page is shown again
+ * - Events are queued and sent in batches rather than one request each
+ * - The queue is flushed when the page is hidden (visibilitychange), using
+ *   keepalive requests so it is delivered even if the page is closing, and
+ *   even if a timed flush is still in flight
+ * - Failed batches are kept and retried with the next flush
+ * 
+ * Technical implementation:
+ * - Sessions carry a client-generated id; the server upserts by it, so a
+ *   session's start and end events (or a resent batch) update one record
+ * - Queued events for the same session are merged into the latest one
+ */
+import { apiRequest, isSignedIn } from './api';
+
+// Delay before a queued batch is sent, in milliseconds
+const FLUSH_DELAY = 30000;
+
+// Events per request (the server accepts up to 50)
+const MAX_BATCH_SIZE = 50;
+
+// Events kept while the server can't be reached - oldest are dropped first
+const MAX_QUEUE_SIZE = 200;
+
+let queue = [];
+let flushTimer = null;
+let flushing = false;
+
+// Session of the app currently in use, and the app to resume when the
+// page is shown again
+let currentSession = null;
+let pausedAppId = null;
+
+/**
+ * Creates a session id
+ * 
+ * @returns {string} Unique id
+ */
+function createSessionId() {
+  if (window.crypto?.randomUUID) return window.crypto.randomUUID();
+  return `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 10)}`;
+}
+
+/**
+ * Queues a session event, replacing an unsent event for the same session
+ * 
+ * @param {Object} event - { sessionId, appId, startTime, endTime? }
+ */
+function enqueue(event) {
+  queue = [...queue.filter(queued => queued.sessionId !== event.sessionId), event]
+    .slice(-MAX_QUEUE_SIZE);
+  
+  if (!flushTimer) {
+    flushTimer = setTimeout(() => flushActivity(), FLUSH_DELAY);
+  }
+}
+
+/**
+ * Sends queued events to the server
+ * 
+ * A keepalive flush doesn't wait for a timed flush that is still running:
+ * the page may be gone before that one finishes, so the whole queue is sent
+ * at once. Events in both requests are harmless since the server upserts by
+ * session id.
+ * 
+ * @param {Object} options - Flush options
+ * @param {boolean} options.keepalive - Let the request outlive the page
+ * @returns {Promise<void>}
+ */
+export async function flushActivity({ keepalive = false } = {}) {
+  clearTimeout(flushTimer);
+  flushTimer = null;
+  
+  if (queue.length === 0 || !isSignedIn()) return;
+  if (flushing && !keepalive) return;
+  
+  const pending = keepalive ? queue : queue.slice(0, MAX_BATCH_SIZE);
+  const batches = [];
+  for (let i = 0; i < pending.length; i += MAX_BATCH_SIZE) {
+    batches.push(pending.slice(i, i + MAX_BATCH_SIZE));
+  }
+  
+  if (!keepalive) flushing = true;
+  
+  const results = await Promise.allSettled(batches.map(batch =>
+    apiRequest('/users/me/history', { method: 'POST', body: { events: batch }, keepalive })
+  ));
+  
+  if (!keepalive) flushing = false;
+  
+  results.forEach((result, index) => {
+    if (result.status === 'fulfilled') {
+      // Keep events queued during the request unless they were sent unchanged
+      queue = queue.filter(event => !batches[index].includes(event));
+    } else {
+      console.warn('Activity not recorded, will retry:', result.reason?.message);
+    }
+  });
+  
+  // More left over (or retrying after a failure) - send with the next flush
+  if (queue.length > 0 && !flushTimer) {
+    flushTimer = setTimeout(() => flushActivity(), FLUSH_DELAY);
+  }
+}
+
+/**
+ * Starts a session for an app, ending the current one
+ * 
+ * @param {string} appId - Id of the launched app
+ */
+export function startAppSession(appId) {
+  endAppSession();
+  pausedAppId = null;
+  
+  currentSession = {
+    sessionId: createSessionId(),
+    appId,
+    startTime: new Date().toISOString()
+  };
+  enqueue(currentSession);
+}
+
+/**
+ * Ends the current session, if any
+ */
+export function endAppSession() {
+  if (!currentSession) return;
+  
+  enqueue({ ...currentSession, endTime: new Date().toISOString() });
+  currentSession = null;
+}
+
+/**
+ * Pauses tracking while the page is hidden and resumes it when shown
+ */
+function handleVisibilityChange() {
+  if (document.visibilityState === 'hidden') {
+    if (currentSession) {
+      pausedAppId = currentSession.appId;
+      endAppSession();
+    }
+    flushActivity({ keepalive: true });
+  } else if (pausedAppId) {
+    startAppSession(pausedAppId);
+  }
+}
+
+/**
+ * Starts tracking page visibility for app sessions
+ * 
+ * @returns {Function} Stop function, suitable as an effect cleanup
+ */
+export function initActivityTracking() {
+  document.addEventListener('visibilitychange', handleVisibilityChange);
+  
+  return () => {
+    document.removeEventListener('visibilitychange', handleVisibilityChange);
+    endAppSession();
+    flushActivity({ keepalive: true });
+  };
+}
+
+/**
+ * Builds the query string for history requests
+ * 
+ * @param {Object} params - Query parameters (empty values are skipped)
+ * @returns {string} Query string, including the leading '?' when not empty
+ */
+function toQuery(params) {
+  const query = new URLSearchParams();
+  Object.entries(params).forEach(([key, value]) => {
+    if (value !== undefined && value !== null && value !== '') {
+      query.set(key, value instanceof Date ? value.toISOString() : value);
+    }
+  });
+  
+  const string = query.toString();
+  return string ? `?${string}` : '';
+}
+
+/**
+ * Fetches the user's app sessions, newest first
+ * 
+ * @param {Object} options - Query options
+ * @param {Date|string} options.from - Earliest session start
+ * @param {Date|string} options.to - Latest session start
+ * @param {string} options.appId - Only sessions of this app
+ * @param {number} options.page - Page number (default: 1)
+ * @param {number} options.limit - Sessions per page (default: 20)
+ * @returns {Promise<{sessions: Array, pagination: Object}>} Sessions and paging info
+ */
+export function fetchHistory({ from, to, appId, page, limit } = {}) {
+  return apiRequest(`/users/me/history${toQuery({ from, to, appId, page, limit })}`);
+}
+
+/**
+ * Fetches per-app usage totals, most played first
+ * 
+ * @param {Object} options - Query options
+ * @param {Date|string} options.from - Earliest session start
+ * @param {Date|string} options.to - Latest session start
+ * @returns {Promise<{apps: Array, totalDuration: number}>} Totals in seconds
+ */
+export function fetchHistorySummary({ from, to } = {}) {
+  return apiRequest(`/users/me/history/summary${toQuery({ from, to })}`);
+}
@@ -0,0 +1,220 @@
+/**
+ * API Client
+ * 
+ * Minimal fetch wrapper for talking to the pico-dashboard-backend REST API.
+ * Centralizes the base URL, JSON handling and authentication headers so
+ * feature services only need to describe their endpoints.
+ * 
+ * Configuration:
+ * - VITE_API_URL: Base URL of the API (defaults to the local dev server)
+ * - The auth token is kept in localStorage under AUTH_TOKEN_KEY
+ * - The refresh token is kept under REFRESH_TOKEN_KEY and used to renew
+ *   the short-lived access token when a request comes back 401
+ */
+import { clearCache } from './cache';
+
+// Base URL for all API requests
+export const API_BASE_URL = import.meta.env.VITE_API_URL || 'http://localhost:5000/api/v1';
+
+// localStorage keys holding the tokens issued by /auth/login
+const AUTH_TOKEN_KEY = 'xr-auth-token';
+const REFRESH_TOKEN_KEY = 'xr-refresh-token';
+
+// Renew access tokens this long before they expire
+const TOKEN_EXPIRY_MARGIN = 60 * 1000;
+
+// In-flight refresh, shared so concurrent 401s only refresh once
+let refreshPromise = null;
+
+/**
+ * Error thrown for non-2xx API responses
+ */
+export class ApiError extends Error {
+  /**
+   * @param {string} message - Error message returned by the API
+   * @param {number} status - HTTP status code (0 for network failures)
+   * @param {Object} data - Parsed response body, if any
+   */
+  constructor(message, status, data = null) {
+    super(message);
+    this.name = 'ApiError';
+    this.status = status;
+    this.data = data;
+  }
+}
+
+/**
+ * Gets the stored auth token
+ * 
+ * @returns {string|null} The JWT, or null when signed out
+ */
+export function getAuthToken() {
+  try {
+    return localStorage.getItem(AUTH_TOKEN_KEY);
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Stores (or clears) the session tokens
+ * 
+ * @param {string|null} token - The JWT access token, or null to sign out
+ * @param {string|null} refreshToken - The refresh token (unchanged if undefined)
+ */
+export function setAuthToken(token, refreshToken) {
+  if (token) {
+    localStorage.setItem(AUTH_TOKEN_KEY, token);
+  } else {
+    localStorage.removeItem(AUTH_TOKEN_KEY);
+    localStorage.removeItem(REFRESH_TOKEN_KEY);
+    
+    // Cached responses may hold the signed-out user's data
+    clearCache();
+    return;
+  }
+  
+  if (refreshToken) {
+    localStorage.setItem(REFRESH_TOKEN_KEY, refreshToken);
+  }
+}
+
+/**
+ * Gets the stored refresh token
+ * 
+ * @returns {string|null} The refresh token, or null when signed out
+ */
+export function getRefreshToken() {
+  try {
+    return localStorage.getItem(REFRESH_TOKEN_KEY);
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Reads the expiry time from a JWT without verifying it
+ * 
+ * @param {string} token - The JWT
+ * @returns {number|null} Expiry in ms since epoch, or null if unreadable
+ */
+function getTokenExpiry(token) {
+  try {
+    const payload = JSON.parse(atob(token.split('.')[1].replace(/-/g, '+').replace(/_/g, '/')));
+    return payload.exp ? payload.exp * 1000 : null;
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Exchanges the refresh token for a new token pair
+ * Clears the session if the refresh token is rejected.
+ * 
+ * @returns {Promise<boolean>} True if the session was renewed
+ */
+export function refreshSession() {
+  if (refreshPromise) return refreshPromise;
+  
+  const refreshToken = getRefreshToken();
+  if (!refreshToken) return Promise.resolve(false);
+  
+  refreshPromise = fetch(`${API_BASE_URL}/auth/refresh`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({ refreshToken })
+  })
+    .then(async (response) => {
+      if (response.status === 400 || response.status === 401) {
+        setAuthToken(null);
+        return false;
+      }
+      if (!response.ok) return false;
+      
+      const data = await response.json();
+      setAuthToken(data.token, data.refreshToken);
+      return true;
+    })
+    // Network errors keep the session - the refresh can be retried later
+    .catch(() => false)
+    .finally(() => {
+      refreshPromise = null;
+    });
+  
+  return refreshPromise;
+}
+
+/**
+ * Makes sure the access token is valid for at least a little longer,
+ * refreshing it ahead of expiry (used where a 401 can't be retried,
+ * such as opening a WebSocket)
+ * 
+ * @returns {Promise<string|null>} The current access token
+ */
+export async function ensureFreshToken() {
+  const token = getAuthToken();
+  if (!token) return null;
+  
+  const expiresAt = getTokenExpiry(token);
+  if (expiresAt && expiresAt - Date.now() < TOKEN_EXPIRY_MARGIN) {
+    await refreshSession();
+  }
+  
+  return getAuthToken();
+}
+
+/**
+ * Whether the user currently has a session
+ * 
+ * @returns {boolean} True when an auth token is stored
+ */
+export function isSignedIn() {
+  return Boolean(getAuthToken());
+}
+
+/**
+ * Performs a JSON request against the API
+ * 
+ * @param {string} path - Endpoint path relative to API_BASE_URL (e.g. '/friends')
+ * @param {Object} options - Request options
+ * @param {string} options.method - HTTP method (default: 'GET')
+ * @param {Object} options.body - JSON body to send
+ * @param {AbortSignal} options.signal - Optional abort signal
+ * @param {boolean} options.keepalive - Let the request outlive the page (e.g. when it is hidden or closed)
+ * @param {boolean} retried - Internal: whether this is a replay after a token refresh
+ * @returns {Promise<Object>} The parsed JSON response
+ * @throws {ApiError} When the request fails or returns a non-2xx status
+ */
+export async function apiRequest(path, { method = 'GET', body, signal, keepalive } = {}, retried = false) {
+  const headers = { 'Content-Type': 'application/json' };
+  const token = getAuthToken();
+  if (token) headers['x-auth-token'] = token;
+  
+  let response;
+  try {
+    response = await fetch(`${API_BASE_URL}${path}`, {
+      method,
+      headers,
+      body: body !== undefined ? JSON.stringify(body) : undefined,
+      signal,
+      keepalive
+    });
+  } catch (error) {
+    if (error.name === 'AbortError') throw error;
+    throw new ApiError('Unable to reach the server', 0);
+  }
+  
+  // Expired access token - renew it once and replay the request
+  if (response.status === 401 && token && !retried && await refreshSession()) {
+    return apiRequest(path, { method, body, signal, keepalive }, true);
+  }
+  
+  // Some endpoints may respond without a body
+  const data = await response.json().catch(() => null);
+  
+  if (!response.ok) {
+    throw new ApiError(data?.message || response.statusText, response.status, data);
+  }
+  
+  return data;
+}
@@ -0,0 +1,46 @@
+/**
+ * Apps Service
+ * 
+ * Endpoint wrappers for the /apps catalog API. Responses are mapped
+ * into the shape the interface cards render, converting the backend's
+ * { from, to } colors into CSS gradients.
+ */
+import { apiRequest } from './api';
+import { toGradient } from '../utils/gradients';
+
+/**
+ * Maps an app from the API into card data
+ * 
+ * @param {Object} app - App returned by the API
+ * @returns {Object} App with a CSS gradient `color`
+ */
+export function toCardApp(app) {
+  return {
+    ...app,
+    color: toGradient(app.color)
+  };
+}
+
+/**
+ * Fetches featured apps for the "Explore" section
+ * 
+ * @param {number} limit - Maximum number of apps (default: 3)
+ * @returns {Promise<Array>} Card-ready apps
+ */
+export async function fetchFeaturedApps(limit = 3) {
+  const { apps } = await apiRequest(`/apps/featured?limit=${limit}`);
+  return apps.map(toCardApp);
+}
+
+/**
+ * Fetches recommendations for the "For You" section, ranked by the server
+ * from the user's history, friends' activity and popularity (popularity
+ * only when signed out)
+ * 
+ * @param {number} limit - Maximum number of apps (default: 4)
+ * @returns {Promise<Array>} Card-ready apps, each with a `reason` ({ type, text })
+ */
+export async function fetchPersonalApps(limit = 4) {
+  const { apps } = await apiRequest(`/apps/recommended?limit=${limit}`);
+  return apps.map(toCardApp);
+}
@@ -0,0 +1,72 @@
+/**
+ * Audio Service
+ * 
+ * Owns the master volume for everything the app plays. Sounds connect to
+ * the master gain node instead of the audio context's destination, so the
+ * volume setting applies to all of them at once.
+ * 
+ * The audio context is created on first use rather than on load, since
+ * browsers keep contexts created before a user gesture suspended. It is
+ * three.js's shared context, so THREE.Audio sources can use the same node.
+ */
+import * as THREE from 'three';
+
+// Master volume (0-1), applied when the gain node is created
+let masterVolume = 0.5;
+let masterGain = null;
+
+/**
+ * Gets the master gain node, creating it on first use
+ * 
+ * @returns {GainNode} Node that sounds should connect to
+ */
+export function getMasterGain() {
+  if (!masterGain) {
+    const context = THREE.AudioContext.getContext();
+    masterGain = context.createGain();
+    masterGain.gain.value = masterVolume;
+    masterGain.connect(context.destination);
+  }
+  return masterGain;
+}
+
+/**
+ * Sets the master volume
+ * 
+ * @param {number} volume - Volume from 0 (muted) to 1 (full)
+ */
+export function setMasterVolume(volume) {
+  masterVolume = Math.min(Math.max(volume, 0), 1);
+  
+  if (masterGain) {
+    // Short ramp avoids clicks while a slider is dragged
+    masterGain.gain.setTargetAtTime(masterVolume, masterGain.context.currentTime, 0.02);
+  }
+}
+
+/**
+ * Plays the short two-note chime used for incoming notifications
+ */
+export function playNotificationSound() {
+  const gain = getMasterGain();
+  const context = gain.context;
+  
+  // Contexts stay suspended until the user has interacted with the page
+  if (context.state !== 'running') return;
+  
+  [880, 1320].forEach((frequency, index) => {
+    const start = context.currentTime + index * 0.12;
+    const oscillator = context.createOscillator();
+    const envelope = context.createGain();
+    
+    oscillator.type = 'sine';
+    oscillator.frequency.value = frequency;
+    envelope.gain.setValueAtTime(0.0001, start);
+    envelope.gain.exponentialRampToValueAtTime(0.3, start + 0.02);
+    envelope.gain.exponentialRampToValueAtTime(0.0001, start + 0.3);
+    
+    oscillator.connect(envelope).connect(gain);
+    oscillator.start(start);
+    oscillator.stop(start + 0.3);
+  });
+}
@@ -0,0 +1,71 @@
+/**
+ * Auth Service
+ * 
+ * Session management for the /auth API: signing in, registering and
+ * signing out. Tokens are persisted through the API client so every
+ * other service picks them up automatically.
+ */
+import { apiRequest, setAuthToken, getRefreshToken } from './api';
+
+/**
+ * Signs in with a username (or email) and password
+ * 
+ * @param {string} username - Username or email
+ * @param {string} password - Password
+ * @returns {Promise<Object>} The signed-in user
+ */
+export async function login(username, password) {
+  const { token, refreshToken, user } = await apiRequest('/auth/login', {
+    method: 'POST',
+    body: { username, password }
+  });
+  
+  setAuthToken(token, refreshToken);
+  return user;
+}
+
+/**
+ * Creates an account and signs in
+ * 
+ * @param {Object} details - { username, email, password }
+ * @returns {Promise<Object>} The new user
+ */
+export async function register(details) {
+  const { token, refreshToken, user } = await apiRequest('/auth/register', {
+    method: 'POST',
+    body: details
+  });
+  
+  setAuthToken(token, refreshToken);
+  return user;
+}
+
+/**
+ * Fetches the signed-in user's profile
+ * 
+ * @returns {Promise<Object>} The user (username, displayName, avatar, vrSettings, ...)
+ */
+export async function fetchCurrentUser() {
+  return apiRequest('/auth/me');
+}
+
+/**
+ * Signs out, revoking the session's refresh token on the server
+ * 
+ * @param {boolean} allDevices - Also sign out every other session
+ */
+export async function logout(allDevices = false) {
+  const refreshToken = getRefreshToken();
+  
+  try {
+    if (refreshToken) {
+      await apiRequest('/auth/logout', {
+        method: 'POST',
+        body: { refreshToken, all: allDevices }
+      });
+    }
+  } finally {
+    // Always clear the local session, even if the server is unreachable
+    setAuthToken(null);
+  }
+}
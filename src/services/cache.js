@@ -0,0 +1,53 @@
+/**
+ * Local Cache
+ * 
+ * Small localStorage-backed cache used to keep the last successful API
+ * responses around, so panels can still render when the headset is
+ * offline or the backend is unreachable.
+ */
+
+// Prefix for all cache entries in localStorage
+const CACHE_PREFIX = 'xr-cache:';
+
+/**
+ * Reads a cached value
+ * 
+ * @param {string} key - Cache key
+ * @returns {{data: any, savedAt: number}|null} The cached entry, or null
+ */
+export function readCache(key) {
+  try {
+    const raw = localStorage.getItem(CACHE_PREFIX + key);
+    return raw ? JSON.parse(raw) : null;
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Writes a value to the cache
+ * 
+ * @param {string} key - Cache key
+ * @param {any} data - JSON-serializable data to store
+ */
+export function writeCache(key, data) {
+  try {
+    localStorage.setItem(CACHE_PREFIX + key, JSON.stringify({ data, savedAt: Date.now() }));
+  } catch {
+    // Storage full or unavailable - caching is best-effort
+  }
+}
+
+/**
+ * Removes all cache entries, e.g. on sign-out so the next user of the
+ * headset doesn't see the previous user's personalized data
+ */
+export function clearCache() {
+  try {
+    Object.keys(localStorage)
+      .filter(key => key.startsWith(CACHE_PREFIX))
+      .forEach(key => localStorage.removeItem(key));
+  } catch {
+    // Storage unavailable - nothing to clear
+  }
+}
@@ -0,0 +1,66 @@
+/**
+ * Friends Service
+ * 
+ * Endpoint wrappers for the /friends API: friend lists and
+ * friend request management.
+ */
+import { apiRequest } from './api';
+
+/**
+ * Fetches the user's friends with their presence status
+ * 
+ * @returns {Promise<{friends: Array}>} Friend profiles
+ */
+export function fetchFriends() {
+  return apiRequest('/friends');
+}
+
+/**
+ * Fetches pending friend requests
+ * 
+ * @returns {Promise<{incoming: Array, outgoing: Array}>} Pending requests
+ */
+export function fetchFriendRequests() {
+  return apiRequest('/friends/requests');
+}
+
+/**
+ * Sends a friend request to a user
+ * 
+ * @param {string} username - Username of the recipient
+ * @returns {Promise<Object>} The created request
+ */
+export function sendFriendRequest(username) {
+  return apiRequest('/friends/request', { method: 'POST', body: { username } });
+}
+
+/**
+ * Accepts or rejects an incoming friend request
+ * 
+ * @param {string} requestId - Id of the friend request
+ * @param {'accept'|'reject'} action - Response to the request
+ * @returns {Promise<Object>} The updated request
+ */
+export function respondToFriendRequest(requestId, action) {
+  return apiRequest(`/friends/request/${requestId}`, { method: 'PATCH', body: { action } });
+}
+
+/**
+ * Cancels an outgoing friend request
+ * 
+ * @param {string} requestId - Id of the friend request
+ * @returns {Promise<Object>} Confirmation message
+ */
+export function cancelFriendRequest(requestId) {
+  return apiRequest(`/friends/request/${requestId}`, { method: 'DELETE' });
+}
+
+/**
+ * Removes a friend
+ * 
+ * @param {string} userId - User id of the friend
+ * @returns {Promise<Object>} Confirmation message
+ */
+export function removeFriend(userId) {
+  return apiRequest(`/friends/${userId}`, { method: 'DELETE' });
+}
@@ -0,0 +1,42 @@
+/**
+ * Layout Service
+ * 
+ * Endpoint wrappers for the /users/me/layout API, which stores the user's
+ * customized panel arrangement so their home space follows them between
+ * devices.
+ */
+import { apiRequest } from './api';
+
+/**
+ * Fetches the signed-in user's saved panel layouts
+ * 
+ * @returns {Promise<Object>} Layouts keyed by panel id
+ */
+export async function fetchPanelLayouts() {
+  const { panelLayouts } = await apiRequest('/users/me/layout');
+  return panelLayouts;
+}
+
+/**
+ * Replaces the saved panel layouts
+ * 
+ * @param {Object} panelLayouts - Layouts keyed by panel id ({position, rotation, scale})
+ * @returns {Promise<Object>} The saved layouts
+ */
+export async function savePanelLayouts(panelLayouts) {
+  const { panelLayouts: saved } = await apiRequest('/users/me/layout', {
+    method: 'PUT',
+    body: { panelLayouts }
+  });
+  return saved;
+}
+
+/**
+ * Clears the saved panel layouts, restoring the defaults
+ * 
+ * @returns {Promise<Object>} The (empty) saved layouts
+ */
+export async function resetPanelLayouts() {
+  const { panelLayouts } = await apiRequest('/users/me/layout', { method: 'DELETE' });
+  return panelLayouts;
+}
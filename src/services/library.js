@@ -0,0 +1,86 @@
+/**
+ * Library Service
+ * 
+ * Endpoint wrappers for the user's app library (/users/me/library):
+ * installed apps, installs and launches. Launching records the launch on
+ * the server, which also shows the app as the user's current activity.
+ * 
+ * Panels render in separate React roots, so library changes are
+ * broadcast to local listeners (see onLibraryChange) to keep every
+ * launcher view in step.
+ */
+import { apiRequest } from './api';
+import { toCardApp } from './apps';
+
+// Listeners notified after the library changes on this device
+const listeners = new Set();
+
+/**
+ * Notifies listeners of a library change
+ * 
+ * @param {Object} change - { type: 'install'|'uninstall'|'launch', app }
+ */
+function emitChange(change) {
+  listeners.forEach(listener => listener(change));
+}
+
+/**
+ * Registers a listener for library changes made on this device
+ * 
+ * @param {Function} listener - Called with { type, app }
+ * @returns {Function} Unsubscribe function
+ */
+export function onLibraryChange(listener) {
+  listeners.add(listener);
+  return () => listeners.delete(listener);
+}
+
+/**
+ * Fetches the user's installed apps
+ * 
+ * @param {'recent'|'installed'|'name'} sort - Sort order (default: 'recent')
+ * @returns {Promise<Array>} Card-ready apps with installedAt, lastLaunchedAt and launchCount
+ */
+export async function fetchLibrary(sort = 'recent') {
+  const { apps } = await apiRequest(`/users/me/library?sort=${sort}`);
+  return apps.map(toCardApp);
+}
+
+/**
+ * Adds an app to the library
+ * 
+ * @param {string} appId - Id of the app
+ * @returns {Promise<Object>} The installed app
+ */
+export async function installApp(appId) {
+  const { app } = await apiRequest('/users/me/library', { method: 'POST', body: { appId } });
+  const installed = toCardApp(app);
+  emitChange({ type: 'install', app: installed });
+  return installed;
+}
+
+/**
+ * Removes an app from the library
+ * 
+ * @param {string} appId - Id of the app
+ * @returns {Promise<Object>} Confirmation message
+ */
+export async function uninstallApp(appId) {
+  const result = await apiRequest(`/users/me/library/${appId}`, { method: 'DELETE' });
+  emitChange({ type: 'uninstall', app: { id: appId } });
+  return result;
+}
+
+/**
+ * Launches an app, recording the launch (apps not yet in the library
+ * are added to it)
+ * 
+ * @param {string} appId - Id of the app
+ * @returns {Promise<Object>} The launched app with its updated launch data
+ */
+export async function launchApp(appId) {
+  const { app } = await apiRequest(`/users/me/library/${appId}/launch`, { method: 'POST' });
+  const launched = toCardApp(app);
+  emitChange({ type: 'launch', app: launched });
+  return launched;
+}
@@ -0,0 +1,49 @@
+/**
+ * Notifications Service
+ * 
+ * Endpoint wrappers for the /notifications API: the signed-in user's
+ * notification feed and read state. New notifications also arrive over
+ * the realtime channel as 'notification' messages.
+ */
+import { apiRequest } from './api';
+
+/**
+ * Fetches the newest notifications
+ * 
+ * @param {Object} options - Query options
+ * @param {number} options.page - Page number (default: 1)
+ * @param {number} options.limit - Page size (default: 20)
+ * @returns {Promise<{notifications: Array, unreadCount: number, pagination: Object}>}
+ */
+export function fetchNotifications({ page = 1, limit = 20 } = {}) {
+  return apiRequest(`/notifications?page=${page}&limit=${limit}`);
+}
+
+/**
+ * Marks a notification as read
+ * 
+ * @param {string} id - Notification id
+ * @returns {Promise<{notification: Object, unreadCount: number}>}
+ */
+export function markNotificationRead(id) {
+  return apiRequest(`/notifications/${id}/read`, { method: 'PATCH' });
+}
+
+/**
+ * Marks every notification as read
+ * 
+ * @returns {Promise<{unreadCount: number}>}
+ */
+export function markAllNotificationsRead() {
+  return apiRequest('/notifications/read', { method: 'PATCH' });
+}
+
+/**
+ * Deletes a notification
+ * 
+ * @param {string} id - Notification id
+ * @returns {Promise<{unreadCount: number}>}
+ */
+export function deleteNotification(id) {
+  return apiRequest(`/notifications/${id}`, { method: 'DELETE' });
+}
@@ -0,0 +1,132 @@
+/**
+ * Realtime Client
+ * 
+ * Maintains the WebSocket connection to the backend realtime channel used
+ * for presence (and other server-pushed updates). A single shared socket is
+ * opened per app, authenticated with the same token as the REST API.
+ * 
+ * Features:
+ * - Automatic reconnection with exponential backoff
+ * - Periodic heartbeats so the server keeps the user marked online
+ * - Simple type-based subscriptions for incoming messages
+ */
+import { API_BASE_URL, ensureFreshToken } from './api';
+
+// Realtime endpoint derived from the REST base URL (http -> ws, https -> wss)
+const REALTIME_URL = `${API_BASE_URL.replace(/^http/, 'ws')}/realtime`;
+
+// How often the client reports it is still active
+const HEARTBEAT_INTERVAL = 30000;
+
+// Reconnection backoff limits
+const MIN_RECONNECT_DELAY = 1000;
+const MAX_RECONNECT_DELAY = 30000;
+
+let socket = null;
+let heartbeatTimer = null;
+let reconnectTimer = null;
+let reconnectDelay = MIN_RECONNECT_DELAY;
+let shouldReconnect = false;
+
+// Message listeners keyed by message type
+const listeners = new Map();
+
+/**
+ * Sends a message over the socket if it is open
+ * 
+ * @param {string} type - Message type
+ * @param {Object} payload - Message payload
+ */
+export function sendRealtimeMessage(type, payload = {}) {
+  if (socket && socket.readyState === WebSocket.OPEN) {
+    socket.send(JSON.stringify({ type, payload }));
+  }
+}
+
+/**
+ * Subscribes to messages of a given type
+ * 
+ * @param {string} type - Message type (e.g. 'presence')
+ * @param {Function} listener - Called with the message payload
+ * @returns {Function} Unsubscribe function
+ */
+export function subscribe(type, listener) {
+  if (!listeners.has(type)) listeners.set(type, new Set());
+  listeners.get(type).add(listener);
+  
+  return () => listeners.get(type)?.delete(listener);
+}
+
+/**
+ * Opens the socket (no-op when signed out or already connected)
+ */
+async function openSocket() {
+  if (socket) return;
+  
+  // The handshake can't be retried after a 401, so renew the token up front
+  const token = await ensureFreshToken();
+  if (!token || socket || !shouldReconnect) return;
+  
+  const current = new WebSocket(`${REALTIME_URL}?token=${encodeURIComponent(token)}`);
+  socket = current;
+  
+  // Events from a socket that has since been replaced (e.g. a late close
+  // after disconnecting and reconnecting) must not touch the current one
+  current.onopen = () => {
+    if (socket !== current) return;
+    reconnectDelay = MIN_RECONNECT_DELAY;
+    heartbeatTimer = setInterval(() => sendRealtimeMessage('heartbeat'), HEARTBEAT_INTERVAL);
+  };
+  
+  current.onmessage = (event) => {
+    if (socket !== current) return;
+    
+    let message;
+    try {
+      message = JSON.parse(event.data);
+    } catch {
+      return;
+    }
+    
+    listeners.get(message.type)?.forEach(listener => listener(message.payload));
+  };
+  
+  current.onclose = () => {
+    if (socket !== current) return;
+    
+    clearInterval(heartbeatTimer);
+    socket = null;
+    
+    // Reconnect with exponential backoff unless closed on purpose
+    if (shouldReconnect) {
+      reconnectTimer = setTimeout(openSocket, reconnectDelay);
+      reconnectDelay = Math.min(reconnectDelay * 2, MAX_RECONNECT_DELAY);
+    }
+  };
+}
+
+/**
+ * Connects to the realtime channel
+ * 
+ * @returns {Function} Disconnect function, suitable as an effect cleanup
+ */
+export function connectRealtime() {
+  shouldReconnect = true;
+  openSocket();
+  
+  return disconnectRealtime;
+}
+
+/**
+ * Closes the realtime channel and stops reconnecting
+ */
+export function disconnectRealtime() {
+  shouldReconnect = false;
+  clearTimeout(reconnectTimer);
+  clearInterval(heartbeatTimer);
+  
+  if (socket) {
+    socket.close();
+    socket = null;
+  }
+}
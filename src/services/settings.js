@@ -0,0 +1,30 @@
+/**
+ * Settings Service
+ * 
+ * Endpoint wrappers for the /users/me/settings API, which stores the
+ * user's VR settings (player height, handedness, comfort options, plus
+ * brightness, volume, notifications and graphics quality) on their
+ * profile so they follow them between devices.
+ */
+import { apiRequest } from './api';
+
+/**
+ * Fetches the signed-in user's VR settings
+ * 
+ * @returns {Promise<Object>} The stored vrSettings
+ */
+export async function fetchVRSettings() {
+  const { vrSettings } = await apiRequest('/users/me/settings');
+  return vrSettings;
+}
+
+/**
+ * Saves a partial VR settings update (deep-merged on the server)
+ * 
+ * @param {Object} patch - Settings to change, e.g. { comfortSettings: { vignette: false } }
+ * @returns {Promise<Object>} The merged vrSettings
+ */
+export async function saveVRSettings(patch) {
+  const { vrSettings } = await apiRequest('/users/me/settings', { method: 'PATCH', body: patch });
+  return vrSettings;
+}
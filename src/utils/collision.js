@@ -0,0 +1,124 @@
+/**
+ * Collision Utility
+ * 
+ * Keeps camera movement inside the play area and out of solid scene
+ * objects such as interface panels.
+ * 
+ * Objects opt in by registering themselves as colliders (see the
+ * useCollider hook). Their world-space bounding boxes are recomputed on
+ * every check, so panels that move or scale are handled automatically.
+ */
+import * as THREE from 'three';
+import { FLOOR } from '../config/scene';
+
+// Registered collider objects
+const colliders = new Set();
+
+// Reused bounding boxes and positions to avoid garbage collection
+const box = new THREE.Box3();
+const column = new THREE.Box3();
+const candidate = new THREE.Vector3();
+const stepStart = new THREE.Vector3();
+
+/**
+ * Registers an object whose bounds block movement
+ * 
+ * @param {THREE.Object3D} object - Collider object
+ * @returns {Function} Unregisters the collider
+ */
+export function registerCollider(object) {
+  colliders.add(object);
+  return () => colliders.delete(object);
+}
+
+/**
+ * Checks whether moving from one point to another runs into a collider
+ * Moving away from a collider is always allowed, so a viewer that ends up
+ * inside one (e.g. after turning collision on) can get back out
+ * 
+ * @param {THREE.Vector3} from - Position before the move
+ * @param {THREE.Vector3} to - Proposed position
+ * @param {number} radius - Distance to keep from colliders
+ * @returns {boolean} True if the move is blocked
+ */
+function isBlocked(from, to, radius) {
+  for (const object of colliders) {
+    box.setFromObject(object);
+    const distance = box.distanceToPoint(to);
+    if (distance < radius && distance < box.distanceToPoint(from)) return true;
+  }
+  return false;
+}
+
+/**
+ * Clamps a coordinate to a range, without pushing back a value that
+ * already started outside it
+ * 
+ * @param {number} value - Proposed coordinate
+ * @param {number} previous - Current coordinate
+ * @param {number} min - Range minimum
+ * @param {number} max - Range maximum
+ * @returns {number} Clamped coordinate
+ */
+function clampAxis(value, previous, min, max) {
+  return THREE.MathUtils.clamp(value, Math.min(min, previous), Math.max(max, previous));
+}
+
+/**
+ * Adjusts a movement vector in place so it respects the play area and
+ * slides along colliders instead of passing through them
+ * 
+ * Axes are resolved one at a time, so a blocked axis is dropped while
+ * movement along the others continues (sliding along the surface)
+ * 
+ * @param {THREE.Vector3} position - Current viewer position (world space)
+ * @param {THREE.Vector3} move - Proposed movement, modified in place
+ * @param {Object} playArea - Limits, see PLAY_AREA in config/scene
+ * @returns {THREE.Vector3} The adjusted movement vector
+ */
+export function constrainMovement(position, move, playArea) {
+  const { size, minEyeHeight, maxHeight, radius } = playArea;
+  const halfSize = size / 2;
+  
+  candidate.copy(position);
+  
+  ['x', 'z', 'y'].forEach(axis => {
+    if (move[axis] === 0) return;
+    
+    // Compare against where this axis step starts, which already includes
+    // the axes resolved before it
+    stepStart.copy(candidate);
+    candidate[axis] += move[axis];
+    
+    if (isBlocked(stepStart, candidate, radius)) {
+      candidate.copy(stepStart);
+    }
+  });
+  
+  // Keep within the play area and above the floor
+  candidate.x = clampAxis(candidate.x, position.x, -halfSize, halfSize);
+  candidate.z = clampAxis(candidate.z, position.z, -halfSize, halfSize);
+  candidate.y = clampAxis(candidate.y, position.y, FLOOR.y + minEyeHeight, FLOOR.y + maxHeight);
+  
+  return move.subVectors(candidate, position);
+}
+
+/**
+ * Checks whether a viewer standing at a point would overlap a collider,
+ * e.g. to reject teleport landings inside or right next to a panel
+ * 
+ * @param {THREE.Vector3} point - Standing point on the floor (world space)
+ * @param {number} height - Eye height above the point
+ * @param {number} radius - Distance to keep from colliders
+ * @returns {boolean} True if the space is taken
+ */
+export function isSpaceBlocked(point, height, radius) {
+  column.min.set(point.x - radius, point.y, point.z - radius);
+  column.max.set(point.x + radius, point.y + height, point.z + radius);
+  
+  for (const object of colliders) {
+    box.setFromObject(object);
+    if (box.intersectsBox(column)) return true;
+  }
+  return false;
+}
@@ -0,0 +1,54 @@
+/**
+ * Curved Surface Utility
+ *
+ * Geometry helpers for panels bent into a cylindrical segment that wraps
+ * around the viewer.
+ *
+ * Layout coordinates on a curved surface are in meters: x is the distance
+ * along the arc from the panel's center (positive to the viewer's right)
+ * and y is the height from the panel's center. The cylinder's axis is
+ * vertical and sits `radius` meters in front of the panel, so with the
+ * default radius the surface is centered on the viewer.
+ */
+
+/**
+ * Computes the pose of a point on the curved surface, facing the axis
+ *
+ * @param {number} x - Distance along the arc from the center in meters
+ * @param {number} y - Height from the center in meters
+ * @param {number} radius - Cylinder radius in meters
+ * @returns {{position: number[], rotation: number[]}} Pose relative to the panel
+ */
+export function getArcPlacement(x, y, radius) {
+  const angle = x / radius;
+
+  return {
+    position: [radius * Math.sin(angle), y, radius * (1 - Math.cos(angle))],
+    rotation: [0, -angle, 0]
+  };
+}
+
+/**
+ * Converts a point in the panel's local space (e.g. a raycast hit) to
+ * layout coordinates on the curved surface
+ *
+ * @param {THREE.Vector3} point - Point relative to the panel
+ * @param {number} radius - Cylinder radius in meters
+ * @returns {{x: number, y: number}} Layout coordinates in meters
+ */
+export function toArcCoordinates(point, radius) {
+  const angle = Math.atan2(point.x, radius - point.z);
+  return { x: angle * radius, y: point.y };
+}
+
+/**
+ * Checks whether layout coordinates fall inside a rectangle on the surface
+ *
+ * @param {{x: number, y: number}} point - Layout coordinates
+ * @param {{x: number, y: number, width: number, height: number}} rect - Centered rectangle
+ * @returns {boolean} True if the point is inside
+ */
+export function isInsideRect(point, rect) {
+  return Math.abs(point.x - rect.x) <= rect.width / 2 &&
+    Math.abs(point.y - rect.y) <= rect.height / 2;
+}
@@ -0,0 +1,22 @@
+/**
+ * Gradient Utilities
+ * 
+ * Converts the backend's canonical { from, to } color objects into the
+ * CSS gradients used by the interface cards.
+ */
+
+/**
+ * Converts a { from, to } color object into a CSS linear gradient
+ * 
+ * @param {Object|string} color - { from, to } hex colors, or an existing CSS value
+ * @param {number} angle - Gradient angle in degrees (default: 135)
+ * @returns {string} CSS background value
+ */
+export function toGradient(color, angle = 135) {
+  if (!color) return 'rgba(255,255,255,0.1)';
+  
+  // Already a CSS value (e.g. cached data from older builds)
+  if (typeof color === 'string') return color;
+  
+  return `linear-gradient(${angle}deg, ${color.from}, ${color.to})`;
+}
@@ -0,0 +1,96 @@
+/**
+ * Tag-Along Placement
+ *
+ * Keeps a body-anchored UI element (like the in-world toolbar) within
+ * reach without locking it to the head. The element rests at a fixed
+ * offset from where the user last settled; small head movements inside a
+ * dead zone leave it in place, and only once the user turns or walks far
+ * enough does it glide to the new resting spot.
+ *
+ * Poses are plain objects so the logic is independent of three.js:
+ * head {x, y, z, yaw} and element {position: [x, y, z], yaw}, in meters
+ * and radians. Yaw 0 faces -Z, like an unrotated camera.
+ */
+
+export const TAG_ALONG_DEFAULTS = {
+  // Horizontal distance in front of the head
+  distance: 0.45,
+  // Height relative to the head (negative is below)
+  height: -0.55,
+  // Head turn (radians) before the element follows, about 35°
+  deadZoneAngle: 0.6,
+  // Head travel (meters) before the element follows
+  deadZoneDistance: 0.3,
+  // How quickly the element catches up, per second
+  smoothing: 4
+};
+
+/**
+ * Wraps an angle difference into [-π, π]
+ *
+ * @param {number} angle - Angle in radians
+ * @returns {number} Equivalent angle in [-π, π]
+ */
+function wrapAngle(angle) {
+  return Math.atan2(Math.sin(angle), Math.cos(angle));
+}
+
+/**
+ * Computes the resting pose for a head pose
+ *
+ * @param {Object} head - Head pose {x, y, z, yaw}
+ * @param {Object} settings - Tag-along settings
+ * @returns {{position: number[], yaw: number}} Resting pose
+ */
+function getRestingPose(head, settings) {
+  return {
+    position: [
+      head.x - Math.sin(head.yaw) * settings.distance,
+      head.y + settings.height,
+      head.z - Math.cos(head.yaw) * settings.distance
+    ],
+    yaw: head.yaw
+  };
+}
+
+/**
+ * Creates a tag-along tracker for one element
+ *
+ * @param {Object} options - Overrides for TAG_ALONG_DEFAULTS
+ * @returns {Function} (head, delta) => element pose; delta is the frame time in
+ *   seconds. Pass reset: true as the third argument to snap into place (e.g. when
+ *   a session starts)
+ */
+export function createTagAlong(options = {}) {
+  const settings = { ...TAG_ALONG_DEFAULTS, ...options };
+
+  // Head pose the current resting spot was computed from
+  let anchor = null;
+  let target = null;
+  let current = null;
+
+  return (head, delta, reset = false) => {
+    const outsideDeadZone = anchor && (
+      Math.abs(wrapAngle(head.yaw - anchor.yaw)) > settings.deadZoneAngle ||
+      Math.hypot(head.x - anchor.x, head.y - anchor.y, head.z - anchor.z) > settings.deadZoneDistance
+    );
+
+    if (!anchor || reset || outsideDeadZone) {
+      anchor = { ...head };
+      target = getRestingPose(head, settings);
+    }
+
+    if (!current || reset) {
+      current = { position: [...target.position], yaw: target.yaw };
+      return current;
+    }
+
+    // Frame-rate independent easing toward the resting spot
+    const t = 1 - Math.exp(-settings.smoothing * delta);
+    current = {
+      position: current.position.map((value, i) => value + (target.position[i] - value) * t),
+      yaw: current.yaw + wrapAngle(target.yaw - current.yaw) * t
+    };
+    return current;
+  };
+}
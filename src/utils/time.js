@@ -0,0 +1,52 @@
+/**
+ * Time Formatting Utilities
+ * 
+ * Helpers for presenting timestamps from the backend in the compact
+ * formats used across the interface panels.
+ */
+
+const MINUTE = 60 * 1000;
+const HOUR = 60 * MINUTE;
+const DAY = 24 * HOUR;
+
+/**
+ * Formats a timestamp as a compact relative time (e.g. "Now", "15m", "2h", "3d")
+ * 
+ * @param {string|number|Date} date - The timestamp to format
+ * @param {number} now - Reference time in ms (default: current time)
+ * @returns {string} The compact relative time
+ */
+export function formatShortRelativeTime(date, now = Date.now()) {
+  if (!date) return '';
+  
+  const elapsed = Math.max(0, now - new Date(date).getTime());
+  
+  if (elapsed < MINUTE) return 'Now';
+  if (elapsed < HOUR) return `${Math.floor(elapsed / MINUTE)}m`;
+  if (elapsed < DAY) return `${Math.floor(elapsed / HOUR)}h`;
+  return `${Math.floor(elapsed / DAY)}d`;
+}
+
+/**
+ * Formats a timestamp as a readable relative time
+ * (e.g. "Just now", "5 minutes ago", "Yesterday", "3 weeks ago")
+ * 
+ * @param {string|number|Date} date - The timestamp to format
+ * @param {number} now - Reference time in ms (default: current time)
+ * @returns {string} The relative time
+ */
+export function formatRelativeTime(date, now = Date.now()) {
+  if (!date) return '';
+  
+  const elapsed = Math.max(0, now - new Date(date).getTime());
+  const plural = (count, unit) => `${count} ${unit}${count === 1 ? '' : 's'} ago`;
+  
+  if (elapsed < MINUTE) return 'Just now';
+  if (elapsed < HOUR) return plural(Math.floor(elapsed / MINUTE), 'minute');
+  if (elapsed < DAY) return plural(Math.floor(elapsed / HOUR), 'hour');
+  if (elapsed < 2 * DAY) return 'Yesterday';
+  if (elapsed < 7 * DAY) return plural(Math.floor(elapsed / DAY), 'day');
+  if (elapsed < 30 * DAY) return plural(Math.floor(elapsed / (7 * DAY)), 'week');
+  if (elapsed < 365 * DAY) return plural(Math.floor(elapsed / (30 * DAY)), 'month');
+  return plural(Math.floor(elapsed / (365 * DAY)), 'year');
+}